@@ -0,0 +1,165 @@
+// Sign-in for every router: access and refresh tokens, the middleware that checks them,
+// role and email-verification guards, and the account rules shared by signup and the admin's user form.
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const repos = require("./repositories");
+const { config } = require("./config");
+
+// Access tokens are short-lived; refresh tokens live in user_sessions and rotate on every use
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Admins are never self-registered; they come from create-admin.js or another admin
+const SIGNUP_ROLES = ["student", "owner"];
+const USER_ROLES = ["student", "owner", "admin"];
+const USER_STATUSES = ["active", "suspended"];
+
+const emailRule = { required: true, maxLength: 255, pattern: EMAIL_PATTERN, message: "Enter a valid email address" };
+const newPasswordRule = {
+    required: true,
+    trim: false,
+    minLength: MIN_PASSWORD_LENGTH,
+    maxLength: MAX_PASSWORD_LENGTH,
+    label: "Password"
+};
+
+const signupSchema = {
+    name: { required: true, minLength: 2, maxLength: 100, label: "Name" },
+    email: emailRule,
+    password: newPasswordRule,
+    role: { required: true, oneOf: SIGNUP_ROLES, message: "Role must be student or owner" }
+};
+
+function generateToken(user, sessionId) {
+    return jwt.sign(
+        { id: user.id, email: user.email, role: user.role, sid: sessionId },
+        config.jwtSecret,
+        { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+    );
+}
+
+function generateRefreshToken() {
+    return crypto.randomBytes(48).toString("base64url");
+}
+
+// Only a SHA-256 of each refresh token is stored, so a database leak cannot be replayed
+function hashRefreshToken(refreshToken) {
+    return crypto.createHash("sha256").update(refreshToken).digest("hex");
+}
+
+function refreshTokenExpiry() {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+}
+
+// Start a server-side session and return the token pair sent to the client
+async function issueTokens(repos, user, req) {
+    const refreshToken = generateRefreshToken();
+
+    const sessionId = await repos.sessions.create({
+        userId: user.id,
+        tokenHash: hashRefreshToken(refreshToken),
+        userAgent: (req.get("user-agent") || "").slice(0, 255),
+        ip: req.ip,
+        expiresAt: refreshTokenExpiry()
+    });
+
+    return {
+        token: generateToken(user, sessionId),
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS
+    };
+}
+
+async function verifyToken(req, res, next) {
+    const token = req.headers.authorization?.split(" ")[1];
+    if (!token) {
+        return res.status(401).json({ message: "Token required" });
+    }
+
+    let payload;
+    try {
+        payload = jwt.verify(token, config.jwtSecret);
+    } catch (error) {
+        return res.status(401).json({ message: "Invalid or expired token" });
+    }
+
+    try {
+        // Re-read the account and session so suspensions, role changes and
+        // logouts apply to access tokens that are already issued
+        const account = await repos.sessions.findUser(payload.id, payload.sid);
+
+        if (!account) {
+            return res.status(401).json({ message: "Invalid or expired token" });
+        }
+
+        if (account.status === "suspended") {
+            return res.status(403).json({ message: "Account suspended" });
+        }
+
+        req.user = {
+            ...payload,
+            email: account.email,
+            role: account.role,
+            emailVerified: account.email_verified_at !== null
+        };
+    } catch (error) {
+        return next(error);
+    }
+
+    next();
+}
+
+// Owners must confirm their address before they can publish anything
+function requireVerifiedEmail(req, res, next) {
+    if (!req.user.emailVerified) {
+        return res.status(403).json({
+            message: "Verify your email address first. Check your inbox or send a new link from your dashboard."
+        });
+    }
+
+    next();
+}
+
+function requireRole(roles) {
+    return (req, res, next) => {
+        if (!roles.includes(req.user.role)) {
+            return res.status(403).json({
+                message: `Access denied. Required roles: ${roles.join(", ")}`
+            });
+        }
+
+        next();
+    };
+}
+
+// EventSource cannot send headers, so the live stream takes the access token as ?token=
+function tokenFromQuery(req, res, next) {
+    if (!req.headers.authorization && typeof req.query.token === "string") {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+    }
+    next();
+}
+
+module.exports = {
+    ACCESS_TOKEN_TTL_SECONDS,
+    MAX_PASSWORD_LENGTH,
+    USER_ROLES,
+    USER_STATUSES,
+    emailRule,
+    newPasswordRule,
+    signupSchema,
+    generateToken,
+    generateRefreshToken,
+    hashRefreshToken,
+    refreshTokenExpiry,
+    issueTokens,
+    verifyToken,
+    requireVerifiedEmail,
+    requireRole,
+    tokenFromQuery
+};
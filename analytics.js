@@ -0,0 +1,325 @@
+// Admin analytics. Each chart is one small table, { columns, rows }, built from a single repository
+// query, so the dashboard draws exactly the numbers it exports as CSV. Time series have a row per
+// period (labelled with its first day) and periods without data are filled with zeros.
+
+const { logger } = require("./logger");
+const { LISTING_STATUSES } = require("./listings");
+const { USER_ROLES } = require("./accounts");
+
+const ANALYTICS_INTERVALS = ["day", "week", "month"];
+// Without ?from= the charts cover this many days up to ?to= (today by default)
+const DEFAULT_RANGE_DAYS = 90;
+// Points per time series; a year of days fits
+const MAX_PERIODS = 370;
+// City and college series past this many are summed into "Other"
+const TOP_SERIES = 6;
+const TOP_FACILITIES = 15;
+// Facilities counted per search, and their length (the owner form allows up to 50 characters)
+const MAX_LOGGED_FACILITIES = 10;
+const MAX_FACILITY_LENGTH = 50;
+// Distinct facilities one client can add to a day's counts
+const MAX_FACILITIES_PER_CLIENT = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "YYYY-MM-DD" as a UTC Date, or null when it is not a real calendar date
+function parseDate(value) {
+    if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value) ? date : null;
+}
+
+function formatDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+    return new Date(date.getTime() + days * DAY_MS);
+}
+
+function periodStart(date, interval) {
+    if (interval === "week") return addDays(date, -((date.getUTCDay() + 6) % 7));
+    if (interval === "month") return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+    return date;
+}
+
+function nextPeriod(date, interval) {
+    if (interval === "week") return addDays(date, 7);
+    if (interval === "month") return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+    return addDays(date, 1);
+}
+
+function countPeriods(from, to, interval) {
+    if (interval === "month") {
+        return (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + to.getUTCMonth() - from.getUTCMonth() + 1;
+    }
+    const days = Math.round((periodStart(to, interval) - periodStart(from, interval)) / DAY_MS);
+    return interval === "week" ? days / 7 + 1 : days + 1;
+}
+
+// Short ranges are drawn per day, up to a year per week, longer ones per month
+function defaultInterval(days) {
+    if (days <= 31) return "day";
+    if (days <= 366) return "week";
+    return "month";
+}
+
+// Reads ?from=&to= (YYYY-MM-DD, both days included) and ?interval=. Returns { range, errors } like
+// buildListingFilters(); range is { from, to, end, interval } with end the day after `to`.
+function parseAnalyticsRange(query, today = new Date()) {
+    const errors = {};
+
+    const to = query.to ? parseDate(query.to) : parseDate(formatDate(today));
+    if (!to) errors.to = "to must be a date (YYYY-MM-DD)";
+
+    const from = query.from ? parseDate(query.from) : to && addDays(to, -(DEFAULT_RANGE_DAYS - 1));
+    if (!from) errors.from = "from must be a date (YYYY-MM-DD)";
+
+    if (from && to && from > to) errors.from = "from must be on or before to";
+
+    if (query.interval && !ANALYTICS_INTERVALS.includes(query.interval)) {
+        errors.interval = `interval must be one of: ${ANALYTICS_INTERVALS.join(", ")}`;
+    }
+
+    if (Object.keys(errors).length > 0) return { range: null, errors };
+
+    const interval = query.interval || defaultInterval(Math.round((to - from) / DAY_MS) + 1);
+
+    if (countPeriods(from, to, interval) > MAX_PERIODS) {
+        errors.interval = `That is more than ${MAX_PERIODS} points; pick a longer interval or a shorter range`;
+        return { range: null, errors };
+    }
+
+    return {
+        range: { from: formatDate(from), to: formatDate(to), end: formatDate(addDays(to, 1)), interval },
+        errors
+    };
+}
+
+// Every period label in the range, oldest first
+function listPeriods({ from, to, interval }) {
+    const last = parseDate(to);
+    const periods = [];
+
+    for (let date = periodStart(parseDate(from), interval); date <= last; date = nextPeriod(date, interval)) {
+        periods.push(formatDate(date));
+    }
+    return periods;
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function roundTo(value, digits) {
+    if (value === null) return null;
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+// [{ period, label, count }] as one row per period with a column per label. With fixed `labels`
+// only those are kept; otherwise the `top` biggest labels get columns and the rest go to "Other".
+function pivotSeries(counts, periods, { labels = null, top = Infinity, missing = "Unknown" } = {}) {
+    const named = counts.map(row => ({ ...row, label: row.label === null ? missing : String(row.label) }));
+
+    let columns = labels;
+    let hasOther = false;
+    if (!columns) {
+        const totals = new Map();
+        named.forEach(row => totals.set(row.label, (totals.get(row.label) || 0) + Number(row.count)));
+
+        const ranked = [...totals.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).map(([label]) => label);
+        columns = ranked.slice(0, top);
+        hasOther = ranked.length > top;
+    }
+
+    const rows = new Map(periods.map(period => [period, {
+        period,
+        ...Object.fromEntries(columns.map(label => [label, 0])),
+        ...(hasOther ? { Other: 0 } : {})
+    }]));
+
+    named.forEach(row => {
+        const target = rows.get(row.period);
+        if (!target) return;
+
+        if (columns.includes(row.label)) target[row.label] += Number(row.count);
+        else if (hasOther) target.Other += Number(row.count);
+    });
+
+    return {
+        columns: ["period", ...columns, ...(hasOther ? ["Other"] : [])],
+        rows: [...rows.values()]
+    };
+}
+
+async function listingsBy(repos, range, dimension, options) {
+    return pivotSeries(await repos.analytics.listingsByPeriod(range, dimension), listPeriods(range), options);
+}
+
+// Hours from submission to approval, per period of approval, with the whole range as a summary
+async function approvalTime(repos, range) {
+    const waits = await repos.analytics.approvalWaits(range);
+    const hoursByPeriod = new Map(listPeriods(range).map(period => [period, []]));
+
+    waits.forEach(wait => {
+        const hours = hoursByPeriod.get(wait.period);
+        if (hours) hours.push(Math.max(0, Number(wait.seconds)) / 3600);
+    });
+
+    const summarize = hours => ({
+        approvals: hours.length,
+        avg_hours: hours.length ? roundTo(hours.reduce((sum, h) => sum + h, 0) / hours.length, 1) : null,
+        median_hours: roundTo(median(hours), 1)
+    });
+
+    return {
+        columns: ["period", "approvals", "avg_hours", "median_hours"],
+        rows: [...hoursByPeriod.entries()].map(([period, hours]) => ({ period, ...summarize(hours) })),
+        summary: summarize([...hoursByPeriod.values()].flat())
+    };
+}
+
+async function medianRent(repos, range) {
+    const groups = new Map();
+
+    (await repos.analytics.approvedRents(range)).forEach(({ area, room_type: roomType, rent }) => {
+        const key = JSON.stringify([area || "Unknown", roomType || "unspecified"]);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(rent);
+    });
+
+    const rows = [...groups.entries()]
+        .map(([key, rents]) => {
+            const [area, roomType] = JSON.parse(key);
+            return { area, room_type: roomType, listings: rents.length, median_rent: roundTo(median(rents), 0) };
+        })
+        .sort((a, b) => a.area.localeCompare(b.area) || a.room_type.localeCompare(b.room_type));
+
+    return { columns: ["area", "room_type", "listings", "median_rent"], rows };
+}
+
+async function topFacilities(repos, range) {
+    const rows = await repos.analytics.topFacilities(range, TOP_FACILITIES);
+    return { columns: ["facility", "searches"], rows };
+}
+
+// The charts GET /api/admin/analytics/:chart serves; `series` charts are split by ?interval=
+const ANALYTICS_CHARTS = {
+    "listings-by-status": {
+        title: "New listings by status",
+        series: true,
+        build: (repos, range) => listingsBy(repos, range, "status", { labels: LISTING_STATUSES })
+    },
+    "listings-by-city": {
+        title: "New listings by city",
+        series: true,
+        build: (repos, range) => listingsBy(repos, range, "city", { top: TOP_SERIES, missing: "No city" })
+    },
+    "listings-by-college": {
+        title: "New listings by college",
+        series: true,
+        build: (repos, range) => listingsBy(repos, range, "college", { top: TOP_SERIES, missing: "No college" })
+    },
+    "median-rent": {
+        title: "Median rent of approved listings by area and room type",
+        series: false,
+        build: medianRent
+    },
+    "signups-by-role": {
+        title: "Sign-ups by role",
+        series: true,
+        build: async (repos, range) => pivotSeries(await repos.analytics.signupsByPeriod(range), listPeriods(range), { labels: USER_ROLES })
+    },
+    "approval-time": {
+        title: "Time from submission to approval",
+        series: true,
+        build: approvalTime
+    },
+    "top-facilities": {
+        title: "Most searched facilities",
+        series: false,
+        build: topFacilities
+    }
+};
+
+function csvCell(value) {
+    if (value === null || value === undefined) return "";
+
+    let text = String(value);
+    // Spreadsheets run text starting with these as a formula, and facility names come from users
+    if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv({ columns, rows }) {
+    return [columns, ...rows.map(row => columns.map(column => row[column]))]
+        .map(line => line.map(csvCell).join(","))
+        .join("\r\n") + "\r\n";
+}
+
+// Which facilities each client has already been counted for today. A client counts once per
+// facility per day, however often it searches, pages or ticks boxes one at a time, and for at most
+// MAX_FACILITIES_PER_CLIENT facilities. Like rate-limit.js this lives in memory and starts again
+// at midnight (UTC) or on restart.
+function createFacilitySearchTracker({ now = Date.now } = {}) {
+    let day = null;
+    const counted = new Map();
+
+    return {
+        // Returns { day, facilities } with the facilities not yet counted for this client today
+        uncounted(client, facilities) {
+            const today = formatDate(new Date(now()));
+            if (today !== day) {
+                day = today;
+                counted.clear();
+            }
+
+            if (!counted.has(client)) counted.set(client, new Set());
+            const seen = counted.get(client);
+
+            const fresh = facilities
+                .filter(facility => !seen.has(facility))
+                .slice(0, Math.max(0, MAX_FACILITIES_PER_CLIENT - seen.size));
+            fresh.forEach(facility => seen.add(facility));
+
+            return { day, facilities: fresh };
+        }
+    };
+}
+
+const facilitySearches = createFacilitySearchTracker();
+
+// Count the ?facilities= of a listing search for the top-facilities chart; `client` is the
+// caller's IP address. Runs in the background: a failure is logged and never reaches the student.
+function recordFacilitySearch(repos, facilitiesParam, client, tracker = facilitySearches) {
+    if (!facilitiesParam) return;
+
+    const requested = [...new Set(
+        String(facilitiesParam).split(",").map(f => f.trim().slice(0, MAX_FACILITY_LENGTH)).filter(Boolean)
+    )].slice(0, MAX_LOGGED_FACILITIES);
+
+    const { day, facilities } = tracker.uncounted(client, requested);
+    if (facilities.length === 0) return;
+
+    repos.analytics.countFacilitySearches(day, facilities).catch(error => {
+        logger.warn("Facility search could not be counted", { error: error.message });
+    });
+}
+
+module.exports = {
+    ANALYTICS_CHARTS,
+    ANALYTICS_INTERVALS,
+    parseAnalyticsRange,
+    listPeriods,
+    median,
+    pivotSeries,
+    toCsv,
+    createFacilitySearchTracker,
+    recordFacilitySearch
+};
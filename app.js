@@ -0,0 +1,60 @@
+// The Express app: middleware, the API routers and central error handling.
+// Routes live in routes/ (one router per audience) and talk to MySQL only through repositories/.
+
+require("./config");
+
+const express = require("express");
+const cors = require("cors");
+const { UPLOAD_DIR } = require("./storage");
+const { apiNotFound, errorHandler } = require("./errors");
+const { requestLogger } = require("./logger");
+const { trackRequests } = require("./metrics");
+
+const app = express();
+
+// ==================== MIDDLEWARE ====================
+
+// Request ID and one log line per request; runs first so every later log line carries the ID
+app.use(requestLogger);
+
+app.use(cors({
+    origin: '*',
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+    exposedHeaders: ['X-Request-Id']
+}));
+
+// Per-route counts and latency for GET /api/metrics (ahead of the body parser so bad bodies count too)
+app.use("/api", trackRequests);
+
+// Listing forms carry their photos in the body; routes/owner.js parses them with a larger limit once
+// the caller is known to be an owner. Every other body keeps the 100kb default.
+const LISTING_FORM_ROUTES = [
+    { method: "POST", path: /^\/api\/pg\/add\/?$/i },
+    { method: "PUT", path: /^\/api\/owner\/pgs\/[^/]+\/?$/i }
+];
+const jsonBody = express.json();
+
+app.use((req, res, next) => {
+    const isListingForm = LISTING_FORM_ROUTES.some(route => route.method === req.method && route.path.test(req.path));
+    return isListingForm ? next() : jsonBody(req, res, next);
+});
+
+app.use("/uploads", express.static(UPLOAD_DIR, { maxAge: "7d" }));
+
+// ==================== ROUTES ====================
+
+// Public routes register /pgs/nearby and /pgs/filter-options ahead of /pgs/:pgId
+app.use("/api", require("./routes/system"));
+app.use("/api", require("./routes/auth"));
+app.use("/api", require("./routes/public"));
+app.use("/api", require("./routes/owner"));
+app.use("/api", require("./routes/admin"));
+app.use("/api", require("./routes/student"));
+app.use("/api", require("./routes/notifications"));
+app.use("/api", require("./routes/chat"));
+
+app.use("/api", apiNotFound);
+app.use(errorHandler);
+
+module.exports = { app };
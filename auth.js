@@ -97,11 +97,112 @@ function isTokenValid() {
   return !isTokenExpired(token);
 }
 
+/**
+ * Get refresh token from localStorage
+ */
+function getRefreshToken() {
+  return localStorage.getItem('refreshToken');
+}
+
+/**
+ * Store the tokens returned by login, signup and refresh
+ */
+function saveTokens(data) {
+  localStorage.setItem('token', data.token);
+  if (data.refreshToken) {
+    localStorage.setItem('refreshToken', data.refreshToken);
+  }
+  if (data.user) {
+    localStorage.setItem('user', JSON.stringify(data.user));
+  }
+}
+
+// Shared so several requests failing at once trigger only one refresh call
+let refreshInFlight = null;
+
+/**
+ * Exchange the refresh token for a new access token.
+ * Resolves to true when new tokens were stored, false when the session is gone.
+ */
+function refreshAccessToken() {
+  if (refreshInFlight) {
+    return refreshInFlight;
+  }
+
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) {
+    return Promise.resolve(false);
+  }
+
+  refreshInFlight = fetch(`${API_BASE_URL}/auth/refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken })
+  })
+    .then(async response => {
+      if (!response.ok) {
+        return false;
+      }
+      saveTokens(await response.json());
+      return true;
+    })
+    .catch(error => {
+      console.error('Error refreshing session:', error);
+      return false;
+    })
+    .finally(() => {
+      refreshInFlight = null;
+    });
+
+  return refreshInFlight;
+}
+
+/**
+ * Make sure a usable access token is stored, refreshing it silently if it expired
+ */
+async function ensureValidToken() {
+  if (isTokenValid()) {
+    return true;
+  }
+
+  return refreshAccessToken();
+}
+
+/**
+ * fetch() wrapper for authenticated API calls.
+ * Adds the Authorization header and retries once with a refreshed token on 401.
+ */
+async function authFetch(url, options = {}) {
+  await ensureValidToken();
+
+  const send = () => fetch(url, {
+    ...options,
+    headers: {
+      ...(options.headers || {}),
+      'Authorization': `Bearer ${getToken()}`
+    }
+  });
+
+  let response = await send();
+
+  if (response.status === 401 && await refreshAccessToken()) {
+    response = await send();
+  }
+
+  if (response.status === 401) {
+    clearAuth();
+    redirectToLogin();
+  }
+
+  return response;
+}
+
 /**
  * Clear authentication data
  */
 function clearAuth() {
   localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
   localStorage.removeItem('user');
 }
 
@@ -114,23 +215,24 @@ function redirectToLogin() {
 
 /**
  * Protected Route Handler
- * Checks authentication and role before allowing access
+ * Checks authentication and role before allowing access.
+ * An expired access token is refreshed silently before giving up.
  * 
  * @param {string} requiredRole - Required role to access the route ('student', 'owner', 'admin')
  * @param {boolean} allowMultipleRoles - If true, allows multiple roles (array)
+ * @returns {Promise<boolean>}
  */
-function protectRoute(requiredRole, allowMultipleRoles = false) {
-  // Check if token exists
-  const token = getToken();
-  if (!token) {
+async function protectRoute(requiredRole, allowMultipleRoles = false) {
+  // Check if we have any session at all
+  if (!getToken() && !getRefreshToken()) {
     console.warn('No token found. Redirecting to login.');
     redirectToLogin();
     return false;
   }
 
-  // Check if token is valid (not expired)
-  if (!isTokenValid()) {
-    console.warn('Token expired. Clearing auth and redirecting to login.');
+  // Check if token is valid, refreshing it if it expired
+  if (!(await ensureValidToken())) {
+    console.warn('Session expired. Clearing auth and redirecting to login.');
     clearAuth();
     redirectToLogin();
     return false;
@@ -174,53 +276,434 @@ function protectRoute(requiredRole, allowMultipleRoles = false) {
  * Call this function at the end of protected pages
  * 
  * @param {string} requiredRole - Required role for the page
+ * @returns {Promise<boolean>} Resolves once the check (and any token refresh) is done
  */
 function initRouteProtection(requiredRole) {
   // Wait for DOM to be ready
   if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-      protectRoute(requiredRole);
+    return new Promise(resolve => {
+      document.addEventListener('DOMContentLoaded', () => {
+        resolve(protectRoute(requiredRole));
+      });
     });
-  } else {
-    protectRoute(requiredRole);
   }
+
+  return protectRoute(requiredRole);
 }
 
 /**
  * Logout function
+ * Revokes this device's session on the server, then clears local auth data
  */
-function logout() {
+async function logout() {
+  const refreshToken = getRefreshToken();
+
+  if (refreshToken) {
+    try {
+      await fetch(`${API_BASE_URL}/auth/logout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken })
+      });
+    } catch (error) {
+      console.error('Error revoking session:', error);
+    }
+  }
+
   clearAuth();
   redirectToLogin();
 }
 
+/**
+ * Revoke every session of the current user, on all devices
+ */
+async function logoutAllDevices() {
+  if (!confirm('Log out of all devices? You will need to sign in again everywhere.')) {
+    return;
+  }
+
+  try {
+    const response = await authFetch(`${API_BASE_URL}/auth/logout-all`, { method: 'POST' });
+    if (!response.ok) {
+      const data = await response.json();
+      alert(data.message || data.error || 'Failed to log out of all devices');
+      return;
+    }
+  } catch (error) {
+    console.error('Error logging out of all devices:', error);
+    alert('Failed to log out of all devices');
+    return;
+  }
+
+  clearAuth();
+  redirectToLogin();
+}
+
+/**
+ * Saved PGs of the signed-in student, newest first (empty for other roles)
+ */
+async function fetchFavorites() {
+  if (getUserRole() !== 'student') {
+    return [];
+  }
+
+  const response = await authFetch(`${API_BASE_URL}/students/favorites`);
+  if (!response.ok) {
+    throw new Error(`Server returned ${response.status}`);
+  }
+
+  const data = await response.json();
+  return Array.isArray(data.favorites) ? data.favorites : [];
+}
+
+/**
+ * Save (`saved` true) or unsave a PG for the signed-in student
+ */
+async function setFavorite(pgId, saved) {
+  const response = saved
+    ? await authFetch(`${API_BASE_URL}/students/favorites`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ pgId })
+    })
+    : await authFetch(`${API_BASE_URL}/students/favorites/${encodeURIComponent(pgId)}`, { method: 'DELETE' });
+
+  // Unsaving something that is already gone is not an error
+  if (!response.ok && !(response.status === 404 && !saved)) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.message || data.error || `Server returned ${response.status}`);
+  }
+}
+
+/**
+ * Listings picked for comparison; kept for the browser tab so the map and dashboard share them
+ */
+const MAX_COMPARE_LISTINGS = 4;
+
+function getCompareIds() {
+  try {
+    const ids = JSON.parse(sessionStorage.getItem('compareIds') || '[]');
+    return Array.isArray(ids) ? ids.filter(id => Number.isInteger(id)) : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Add or remove a listing from the comparison. Returns false when the list is already full.
+ */
+function toggleCompareId(pgId) {
+  const ids = getCompareIds();
+  const index = ids.indexOf(pgId);
+
+  if (index > -1) {
+    ids.splice(index, 1);
+  } else if (ids.length >= MAX_COMPARE_LISTINGS) {
+    return false;
+  } else {
+    ids.push(pgId);
+  }
+
+  sessionStorage.setItem('compareIds', JSON.stringify(ids));
+  return true;
+}
+
+function clearCompareIds() {
+  sessionStorage.removeItem('compareIds');
+}
+
+/**
+ * Shareable link to the comparison page; with a college, distances are measured from it
+ */
+function compareUrl(ids, collegeId) {
+  return `compare.html?ids=${ids.join(',')}` + (collegeId ? `&collegeId=${encodeURIComponent(collegeId)}` : '');
+}
+
+/**
+ * Visit and booking requests: labels and timeline wording shared by the student and owner dashboards
+ */
+const INQUIRY_STATUS_LABELS = {
+  pending: 'Waiting for owner',
+  accepted: 'Accepted',
+  declined: 'Declined',
+  proposed: 'New time proposed',
+  cancelled: 'Cancelled'
+};
+
+function formatInquiryTime(value) {
+  return new Date(value).toLocaleString('en-IN', { day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit' });
+}
+
+function describeInquiryEvent(event) {
+  const who = event.actor_name || 'Someone';
+  const text = {
+    create: `${who} sent the request`,
+    accept: `${who} accepted the request`,
+    decline: `${who} declined the request`,
+    propose: `${who} proposed ${event.proposed_for ? formatInquiryTime(event.proposed_for) : 'another time'}`,
+    confirm: `${who} accepted the proposed time`,
+    cancel: `${who} cancelled the request`
+  }[event.action] || `${who} changed the status to ${event.new_status}`;
+
+  return event.note ? `${text}: “${event.note}”` : text;
+}
+
+/**
+ * Move a request along: owners accept, decline or propose; students confirm or cancel
+ */
+async function changeInquiryStatus(inquiryId, action, body = {}) {
+  const scope = getUserRole() === 'owner' ? 'owner' : 'students';
+  const response = await authFetch(`${API_BASE_URL}/${scope}/inquiries/${encodeURIComponent(inquiryId)}/${action}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const fieldError = data.errors && Object.values(data.errors)[0];
+    throw new Error(fieldError || data.message || data.error || `Server returned ${response.status}`);
+  }
+  return data;
+}
+
+/**
+ * Saved searches: named filter sets, optionally with new-listing alerts (students only)
+ */
+async function fetchSavedSearches() {
+  const response = await authFetch(`${API_BASE_URL}/students/saved-searches`);
+  if (!response.ok) {
+    throw new Error(`Could not load saved searches (${response.status})`);
+  }
+  const data = await response.json();
+  return data.savedSearches || [];
+}
+
+/**
+ * Create a saved search, or update one when `searchId` is given (only the fields sent change)
+ */
+async function saveSearch(searchId, body) {
+  const response = await authFetch(
+    searchId ? `${API_BASE_URL}/students/saved-searches/${encodeURIComponent(searchId)}` : `${API_BASE_URL}/students/saved-searches`,
+    {
+      method: searchId ? 'PUT' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    }
+  );
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const fieldError = data.errors && Object.values(data.errors)[0];
+    throw new Error(fieldError || data.message || data.error || `Server returned ${response.status}`);
+  }
+  return data.savedSearch;
+}
+
+async function deleteSavedSearch(searchId) {
+  const response = await authFetch(`${API_BASE_URL}/students/saved-searches/${encodeURIComponent(searchId)}`, { method: 'DELETE' });
+  if (!response.ok && response.status !== 404) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.message || data.error || `Server returned ${response.status}`);
+  }
+}
+
+/**
+ * Notification bell shared by the three dashboards.
+ * Expects #notificationBell with #notificationToggle, #notificationCount, #notificationPanel,
+ * #notificationList and #notificationMarkAll; new notifications arrive over Server-Sent Events.
+ */
+const NOTIFICATION_RECONNECT_MS = 10000;
+
+function initNotificationBell() {
+  const toggle = document.getElementById('notificationToggle');
+  const countEl = document.getElementById('notificationCount');
+  const panel = document.getElementById('notificationPanel');
+  const list = document.getElementById('notificationList');
+  const markAllBtn = document.getElementById('notificationMarkAll');
+  let stream = null;
+
+  function setUnread(unread) {
+    countEl.textContent = unread > 99 ? '99+' : String(unread);
+    countEl.hidden = unread === 0;
+  }
+
+  function renderItem(notification) {
+    const item = document.createElement('li');
+    item.className = 'notification-item' + (notification.read_at ? '' : ' is-unread');
+    item.dataset.id = notification.id;
+
+    const title = document.createElement('div');
+    title.className = 'notification-item-title';
+    title.textContent = notification.title;
+    item.appendChild(title);
+
+    if (notification.body) {
+      const body = document.createElement('div');
+      body.className = 'notification-item-body';
+      body.textContent = notification.body;
+      item.appendChild(body);
+    }
+
+    const time = document.createElement('div');
+    time.className = 'notification-item-time';
+    time.textContent = new Date(notification.created_at).toLocaleString('en-IN', { day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit' });
+    item.appendChild(time);
+
+    item.addEventListener('click', async () => {
+      if (!notification.read_at) {
+        const response = await authFetch(`${API_BASE_URL}/notifications/${encodeURIComponent(notification.id)}/read`, { method: 'PATCH' });
+        if (response.ok) {
+          notification.read_at = new Date().toISOString();
+          item.classList.remove('is-unread');
+          setUnread((await response.json()).unread);
+        }
+      }
+      if (notification.link) {
+        window.location.href = notification.link;
+      }
+    });
+
+    return item;
+  }
+
+  function showEmpty() {
+    if (list.children.length === 0) {
+      list.innerHTML = '<li class="notification-empty">No notifications yet</li>';
+    }
+  }
+
+  async function loadNotifications() {
+    try {
+      const response = await authFetch(`${API_BASE_URL}/notifications?limit=20`);
+      if (!response.ok) return;
+
+      const data = await response.json();
+      list.innerHTML = '';
+      data.notifications.forEach(notification => list.appendChild(renderItem(notification)));
+      showEmpty();
+      setUnread(data.unread);
+    } catch (error) {
+      console.error('❌ Could not load notifications:', error);
+    }
+  }
+
+  async function connect() {
+    if (!await ensureValidToken()) return;
+
+    stream = new EventSource(`${API_BASE_URL}/notifications/stream?token=${encodeURIComponent(getToken())}`);
+
+    stream.addEventListener('ready', event => setUnread(JSON.parse(event.data).unread));
+    stream.addEventListener('unread', event => setUnread(JSON.parse(event.data).unread));
+    stream.addEventListener('notification', event => {
+      const { notification, unread } = JSON.parse(event.data);
+      list.querySelector('.notification-empty')?.remove();
+      list.prepend(renderItem(notification));
+      setUnread(unread);
+    });
+
+    // The access token in the URL expires, so reconnect ourselves with a fresh one
+    stream.onerror = () => {
+      stream.close();
+      setTimeout(connect, NOTIFICATION_RECONNECT_MS);
+    };
+  }
+
+  toggle.addEventListener('click', event => {
+    event.stopPropagation();
+    panel.hidden = !panel.hidden;
+    toggle.setAttribute('aria-expanded', String(!panel.hidden));
+  });
+
+  panel.addEventListener('click', event => event.stopPropagation());
+
+  document.addEventListener('click', () => {
+    panel.hidden = true;
+    toggle.setAttribute('aria-expanded', 'false');
+  });
+
+  markAllBtn.addEventListener('click', async () => {
+    const response = await authFetch(`${API_BASE_URL}/notifications/read-all`, { method: 'POST' });
+    if (response.ok) {
+      list.querySelectorAll('.is-unread').forEach(item => item.classList.remove('is-unread'));
+      setUnread(0);
+    }
+  });
+
+  window.addEventListener('beforeunload', () => stream && stream.close());
+
+  loadNotifications();
+  connect();
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  if (document.getElementById('notificationBell') && getToken()) {
+    initNotificationBell();
+  }
+});
+
 // Export functions for use in other scripts
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     getToken,
+    getRefreshToken,
     getUser,
     getUserRole,
     isTokenValid,
+    saveTokens,
+    refreshAccessToken,
+    authFetch,
     clearAuth,
     redirectToLogin,
     protectRoute,
     initRouteProtection,
-    logout
+    logout,
+    logoutAllDevices,
+    fetchFavorites,
+    setFavorite,
+    getCompareIds,
+    toggleCompareId,
+    clearCompareIds,
+    compareUrl,
+    describeInquiryEvent,
+    changeInquiryStatus,
+    fetchSavedSearches,
+    saveSearch,
+    deleteSavedSearch,
+    initNotificationBell
   };
 }
 
 /*
  * Student PG filter & fetch enhancements
  * - Overrides the page-level `fetchAndRenderPGs` after load so HTML/CSS stay unchanged
- * - Builds query params: minPrice, maxPrice, maxDistance, facilities
+ * - Builds query params: q, maxPrice, maxDistance, city, collegeId, roomType, gender, minRating, available, facilities, sort
+ * - Loads results a page at a time; the next page is fetched when #pgLoadMore scrolls into view
  * - Debounces and avoids duplicate API calls
  * - Logs filters, final URL and backend result length for debugging
  */
 window.addEventListener('load', () => {
+  const PAGE_SIZE = 12;
+
   // Keep last request signature to avoid duplicate requests
   let lastRequestKey = null;
   let isFetching = false;
 
+  // Paging state for the current filter set
+  let activeParams = null;
+  let currentPage = 0;
+  let hasMore = false;
+  // Bumped on every new search so responses for an older search are ignored
+  let searchId = 0;
+  // 'all' shows the search results, 'saved' the student's saved PGs
+  let currentView = 'all';
+  // Listing count of the current search, restored when leaving the Saved PGs view
+  let lastTotal = 0;
+
+  // IDs of the student's saved PGs; hearts on the cards reflect this set
+  const canSave = getUserRole() === 'student';
+  let favoriteIds = new Set();
+
   // Utility: escape HTML for safe insertion
   function escapeHtml(str) {
     if (str === undefined || str === null) return '';
@@ -251,13 +734,16 @@ window.addEventListener('load', () => {
   function buildQueryParams() {
     const params = new URLSearchParams();
 
+    const searchEl = document.getElementById('pgSearch');
+    if (searchEl && searchEl.value.trim()) {
+      params.set('q', searchEl.value.trim());
+    }
+
     const priceEl = document.getElementById('priceRange');
     if (priceEl) {
-      // Use slider's min as minPrice and its current value as maxPrice
-      const minP = Number(priceEl.min || 0);
+      // The slider only sets an upper bound; at its max it means "any price"
       const maxP = Number(priceEl.value || 0);
-      if (!Number.isNaN(minP)) params.set('minPrice', String(minP));
-      if (!Number.isNaN(maxP)) params.set('maxPrice', String(maxP));
+      if (!Number.isNaN(maxP) && maxP < Number(priceEl.max)) params.set('maxPrice', String(maxP));
     }
 
     const distEl = document.getElementById('distanceSelect');
@@ -266,6 +752,20 @@ window.addEventListener('load', () => {
       if (maxDistance !== null) params.set('maxDistance', String(maxDistance));
     }
 
+    [
+      ['citySelect', 'city'],
+      ['collegeSelect', 'collegeId'],
+      ['roomTypeSelect', 'roomType'],
+      ['genderSelect', 'gender'],
+      ['ratingSelect', 'minRating']
+    ].forEach(([id, name]) => {
+      const el = document.getElementById(id);
+      if (el && el.value) params.set(name, el.value);
+    });
+
+    const availableEl = document.getElementById('availableOnly');
+    if (availableEl && availableEl.checked) params.set('available', '1');
+
     const facilityCheckboxes = Array.from(document.querySelectorAll('input[name="facilities"]:checked'));
     if (facilityCheckboxes.length) {
       const facilities = facilityCheckboxes.map(cb => cb.value).filter(Boolean);
@@ -275,6 +775,13 @@ window.addEventListener('load', () => {
     return params;
   }
 
+  // Sorting is not a filter, so it applies even when filters are ignored
+  function withSort(params) {
+    const sortEl = document.getElementById('sortSelect');
+    if (sortEl && sortEl.value) params.set('sort', sortEl.value);
+    return params;
+  }
+
   // Debounce helper (300ms). Use separate timer per invocation.
   function debounce(fn, wait = 300) {
     let t;
@@ -284,21 +791,120 @@ window.addEventListener('load', () => {
     };
   }
 
-  // Sort listings by numeric distance (ascending) and log before/after
-  function sortByDistance(listings) {
-    try {
-      const distancesBefore = listings.map(l => Number(l.distance || 0));
-      console.log('Distances before sort:', distancesBefore);
-      listings.sort((a, b) => (Number(a.distance || 0) - Number(b.distance || 0)));
-      const distancesAfter = listings.map(l => Number(l.distance || 0));
-      console.log('Sorted by distance. Distances after sort:', distancesAfter);
-    } catch (e) {
-      console.warn('Sorting error:', e);
+  // Prepare candidate bases to try (fallbacks) and build URLs safely
+  const candidateBases = [
+    (window.API_BASE_URL || API_BASE_URL),
+    '/api',
+    'http://localhost:5000/api',
+    'http://localhost:3000/api'
+  ].filter(Boolean).map(b => String(b).replace(/\/$/, ''));
+
+  // Fetch one page of results, trying each candidate base until one succeeds
+  async function requestPage(params, page) {
+    const pageParams = new URLSearchParams(params);
+    pageParams.set('page', String(page));
+    pageParams.set('limit', String(PAGE_SIZE));
+
+    let lastErr = null;
+    for (const base of candidateBases) {
+      const attemptUrl = `${base}/pgs?${pageParams.toString()}`;
+      try {
+        const res = await fetch(attemptUrl, { method: 'GET' });
+        if (!res.ok) {
+          lastErr = new Error(`Server returned ${res.status} for ${attemptUrl}`);
+          console.warn(lastErr);
+          continue; // try next base
+        }
+        return await res.json();
+      } catch (errAttempt) {
+        lastErr = errAttempt;
+        console.warn('Attempt failed:', attemptUrl, errAttempt);
+        // try next base
+      }
     }
+
+    throw lastErr || new Error('No API base reachable');
+  }
+
+  // Build one card using the same structure as the page; do not change layout
+  function renderCard(listing) {
+    const card = document.createElement('div');
+    card.className = 'pg-card';
+    const name = listing.name || 'PG';
+    const rent = Number(listing.rent || 0);
+    // distance_km is measured from the chosen college; otherwise fall back to the stored distance
+    const distance = listing.distance_km !== null && listing.distance_km !== undefined
+      ? listing.distance_km
+      : listing.distance;
+    let facilities = [];
+    if (Array.isArray(listing.facilities)) facilities = listing.facilities;
+    else if (typeof listing.facilities === 'string') facilities = listing.facilities.split(',').map(s => s.trim()).filter(Boolean);
+
+    const cover = Array.isArray(listing.images) && listing.images.length ? listing.images[0].thumbnail_url : null;
+
+    const saved = favoriteIds.has(listing.id);
+    const reviewCount = Number(listing.review_count || 0);
+    const rating = reviewCount > 0
+      ? `<span class="pg-card-rating" title="Average of ${reviewCount} review${reviewCount === 1 ? '' : 's'}">★ ${Number(listing.rating_avg).toFixed(1)} <span class="pg-card-rating-count">(${reviewCount})</span></span>`
+      : '<span class="pg-card-rating pg-card-rating-empty">No reviews yet</span>';
+    // Bed counts only exist once the owner has added room types
+    const freeBeds = listing.free_beds === null || listing.free_beds === undefined ? null : Number(listing.free_beds);
+    const beds = freeBeds === null
+      ? ''
+      : `<span class="pg-card-beds${freeBeds > 0 ? '' : ' is-full'}">${freeBeds > 0 ? `🛏 ${freeBeds} bed${freeBeds === 1 ? '' : 's'} available` : 'Full'}</span>`;
+    const hasRange = listing.rent_max !== null && listing.rent_max !== undefined && Number(listing.rent_max) > rent;
+
+    card.innerHTML = `
+      ${canSave ? `<button type="button" class="pg-card-favorite${saved ? ' is-saved' : ''}" data-pg-id="${escapeHtml(listing.id)}" aria-pressed="${saved}" title="${saved ? 'Remove from saved PGs' : 'Save this PG'}">${saved ? '♥' : '♡'}</button>` : ''}
+      <img src="${escapeHtml(cover || `https://via.placeholder.com/400x200?text=${encodeURIComponent(name)}`)}" alt="${escapeHtml(name)}" class="pg-card-image">
+      <div class="pg-card-body">
+        <div class="pg-card-header">
+          <h3 class="pg-card-name">${escapeHtml(name)}</h3>
+          <div class="pg-card-location">
+            <svg class="pg-card-location-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z"></path><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 11a3 3 0 11-6 0 3 3 0 016 0z"></path></svg>
+            <span>${escapeHtml(listing.college || listing.city || listing.address || 'Location')}</span>
+          </div>
+          ${rating}
+          ${beds}
+        </div>
+        <div class="pg-card-details">
+          <div class="pg-card-rent">
+            <span class="pg-card-rent-amount">₹${rent.toLocaleString('en-IN')}${hasRange ? `–${Number(listing.rent_max).toLocaleString('en-IN')}` : ''}</span>
+            <span class="pg-card-rent-period">per month${hasRange ? ', by room type' : ''}</span>
+          </div>
+          <div class="pg-card-distance">
+            <svg width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z"></path><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 11a3 3 0 11-6 0 3 3 0 016 0z"></path></svg>
+            ${escapeHtml(distance === null || distance === undefined ? 'Distance not measured' : distance + ' km')}
+          </div>
+        </div>
+        <div class="pg-card-facilities">
+          <div class="pg-card-facilities-title">Facilities</div>
+          <div class="pg-card-facilities-list">
+            ${facilities.length ? facilities.map(f => `<span class="pg-card-facility-badge"><span class="pg-card-facility-icon">${escapeHtml(({
+              wifi: '📶', ac: '❄️', laundry: '🧺', parking: '🚗', food: '🍽️', security: '🔒', water: '💧', tv: '📺'
+            }[f]) || '•')}</span>${escapeHtml(String(f).charAt(0).toUpperCase() + String(f).slice(1))}</span>`).join('') : '<span style="color:var(--neutral-500); font-size:var(--font-size-sm);">No facilities listed</span>'}
+          </div>
+        </div>
+        <div class="pg-card-footer">
+          <label class="pg-card-compare">
+            <input type="checkbox" class="pg-card-compare-input" data-pg-id="${escapeHtml(listing.id)}" ${getCompareIds().includes(listing.id) ? 'checked' : ''}>
+            Compare
+          </label>
+          <a href="pg-details.html?id=${encodeURIComponent(listing.id || '')}" class="btn btn-primary pg-card-button" style="text-decoration: none; display: block; text-align: center;">View Details</a>
+        </div>
+      </div>
+    `;
+    return card;
+  }
+
+  function updateLoadMore() {
+    const loadMore = document.getElementById('pgLoadMore');
+    if (loadMore) loadMore.style.display = hasMore && currentView === 'all' ? 'block' : 'none';
   }
 
   // Override or define global fetchAndRenderPGs used by the page
-  // `forceAll` true -> fetch without query params (used on initial load to show all PGs)
+  // `forceAll` true -> fetch without filters (used on initial load to show all PGs)
+  // Always starts again from page 1; loadMorePGs appends the following pages
   window.fetchAndRenderPGs = async function fetchAndRenderPGs(forceAll = false) {
     const grid = document.getElementById('pgCardsGrid');
     const loading = document.getElementById('pgLoading');
@@ -308,31 +914,23 @@ window.addEventListener('load', () => {
     if (!grid || !loading || !empty) return;
 
     // Build params and avoid identical back-to-back requests
-    const params = forceAll ? new URLSearchParams() : buildQueryParams();
+    const params = withSort(forceAll ? new URLSearchParams() : buildQueryParams());
     const requestKey = params.toString();
     if (requestKey === lastRequestKey && isFetching) {
       // duplicate in-flight request: skip
-      console.log('Skipping duplicate in-flight request');
       return;
     }
     if (requestKey === lastRequestKey && !isFetching) {
       // identical to last completed request: skip
-      console.log('Skipping duplicate request (no filter change)');
       return;
     }
     lastRequestKey = requestKey;
 
-    // Prepare candidate bases to try (fallbacks) and build URLs safely
-    const candidateBases = [
-      (window.API_BASE_URL || API_BASE_URL),
-      '/api',
-      'http://localhost:5000/api',
-      'http://localhost:3000/api'
-    ].filter(Boolean).map(b => String(b).replace(/\/$/, ''));
-
-    // Debug logs
-    console.log('Applied filters:', Object.fromEntries(params.entries()));
-    console.log('Candidate API bases:', candidateBases);
+    const thisSearch = ++searchId;
+    activeParams = params;
+    currentPage = 0;
+    hasMore = false;
+    updateLoadMore();
 
     // UI: show loading
     loading.style.display = 'block';
@@ -345,104 +943,561 @@ window.addEventListener('load', () => {
 
     isFetching = true;
     try {
-      let data = null;
-      let listings = [];
-      let lastErr = null;
-
-      // Try each candidate base until one succeeds
-      for (const base of candidateBases) {
-        const attemptUrl = `${base}/pgs` + (params.toString() ? `?${params.toString()}` : '');
-        console.log('Attempting API URL:', attemptUrl);
-        try {
-          const res = await fetch(attemptUrl, { method: 'GET' });
-          if (!res.ok) {
-            lastErr = new Error(`Server returned ${res.status} for ${attemptUrl}`);
-            console.warn(lastErr);
-            continue; // try next base
-          }
-          data = await res.json();
-          listings = Array.isArray(data) ? data : (Array.isArray(data.listings) ? data.listings : []);
-          // Successful fetch — break out
-          break;
-        } catch (errAttempt) {
-          lastErr = errAttempt;
-          console.warn('Attempt failed:', attemptUrl, errAttempt);
-          // try next base
-        }
-      }
+      const data = await requestPage(params, 1);
+      if (thisSearch !== searchId) return; // a newer search has started
 
-      // Log fetched count
-      console.log('Fetched PG count:', Array.isArray(listings) ? listings.length : 0);
+      const listings = Array.isArray(data.listings) ? data.listings : [];
 
-      if (!Array.isArray(listings) || listings.length === 0) {
+      currentPage = 1;
+      hasMore = Boolean(data.hasMore);
+      lastTotal = data.total || 0;
+      if (currentView === 'all' && resultsCountEl) resultsCountEl.textContent = String(lastTotal);
+
+      if (listings.length === 0) {
         // No results or empty array
         empty.style.display = 'block';
         empty.querySelector('h3') && (empty.querySelector('h3').textContent = 'No PGs found for selected filters');
-        resultsCountEl && (resultsCountEl.textContent = '0');
         return;
       }
 
-      // Always sort results by distance on frontend (nearest first)
-      sortByDistance(listings);
-
-      // Render cards using the same structure used by the page; do not change layout
-      listings.forEach(listing => {
-        const card = document.createElement('div');
-        card.className = 'pg-card';
-        const name = listing.name || 'PG';
-        const rent = Number(listing.rent || 0);
-        const distance = listing.distance || 0;
-        let facilities = [];
-        if (Array.isArray(listing.facilities)) facilities = listing.facilities;
-        else if (typeof listing.facilities === 'string') facilities = listing.facilities.split(',').map(s => s.trim()).filter(Boolean);
-
-        card.innerHTML = `
-          <img src="${escapeHtml(listing.image || `https://via.placeholder.com/400x200?text=${encodeURIComponent(name)}`)}" alt="${escapeHtml(name)}" class="pg-card-image">
-          <div class="pg-card-body">
-            <div class="pg-card-header">
-              <h3 class="pg-card-name">${escapeHtml(name)}</h3>
-              <div class="pg-card-location">
-                <svg class="pg-card-location-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z"></path><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 11a3 3 0 11-6 0 3 3 0 016 0z"></path></svg>
-                <span>${escapeHtml(listing.college || listing.city || listing.address || 'Location')}</span>
-              </div>
-            </div>
-            <div class="pg-card-details">
-              <div class="pg-card-rent">
-                <span class="pg-card-rent-amount">₹${rent.toLocaleString('en-IN')}</span>
-                <span class="pg-card-rent-period">per month</span>
-              </div>
-              <div class="pg-card-distance">
-                <svg width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z"></path><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 11a3 3 0 11-6 0 3 3 0 016 0z"></path></svg>
-                ${escapeHtml(String(distance) + ' km')}
-              </div>
-            </div>
-            <div class="pg-card-facilities">
-              <div class="pg-card-facilities-title">Facilities</div>
-              <div class="pg-card-facilities-list">
-                ${facilities.length ? facilities.map(f => `<span class="pg-card-facility-badge"><span class="pg-card-facility-icon">${escapeHtml(({
-                  wifi: '📶', ac: '❄️', laundry: '🧺', parking: '🚗', food: '🍽️', security: '🔒', water: '💧', tv: '📺'
-                }[f]) || '•')}</span>${escapeHtml(String(f).charAt(0).toUpperCase() + String(f).slice(1))}</span>`).join('') : '<span style="color:var(--neutral-500); font-size:var(--font-size-sm);">No facilities listed</span>'}
-              </div>
-            </div>
-            <div class="pg-card-footer">
-              <a href="pg-details.html?id=${encodeURIComponent(listing.id || '')}" class="btn btn-primary pg-card-button" style="text-decoration: none; display: block; text-align: center;">View Details</a>
-            </div>
-          </div>
-        `;
-        grid.appendChild(card);
-      });
-
-      resultsCountEl && (resultsCountEl.textContent = String(listings.length));
+      listings.forEach(listing => grid.appendChild(renderCard(listing)));
     } catch (err) {
+      if (thisSearch !== searchId) return;
       console.error('Failed to load PG listings (all attempts):', err);
+      lastRequestKey = null; // allow retrying the same filters
       empty.style.display = 'block';
       empty.querySelector('h3') && (empty.querySelector('h3').textContent = 'Unable to load listings');
     } finally {
-      loading.style.display = 'none';
-      isFetching = false;
+      if (thisSearch === searchId) {
+        loading.style.display = 'none';
+        isFetching = false;
+        updateLoadMore();
+      }
     }
   };
 
+  // Append the next page of the current search
+  async function loadMorePGs() {
+    const grid = document.getElementById('pgCardsGrid');
+    if (!grid || !hasMore || isFetching || !activeParams) return;
+
+    const thisSearch = searchId;
+    const button = document.getElementById('pgLoadMoreBtn');
+    isFetching = true;
+    if (button) {
+      button.disabled = true;
+      button.textContent = 'Loading…';
+    }
+
+    try {
+      const data = await requestPage(activeParams, currentPage + 1);
+      if (thisSearch !== searchId) return;
+
+      const listings = Array.isArray(data.listings) ? data.listings : [];
+
+      listings.forEach(listing => grid.appendChild(renderCard(listing)));
+      currentPage += 1;
+      hasMore = Boolean(data.hasMore);
+    } catch (err) {
+      console.error('Failed to load more PG listings:', err);
+    } finally {
+      if (thisSearch === searchId) isFetching = false;
+      if (button) {
+        button.disabled = false;
+        button.textContent = 'Load more';
+      }
+      updateLoadMore();
+    }
+  }
+
+  // Infinite scroll: load the next page as the sentinel below the grid comes into view.
+  // The "Load more" button inside it covers browsers without IntersectionObserver.
+  (function attachInfiniteScroll() {
+    const sentinel = document.getElementById('pgLoadMore');
+    const button = document.getElementById('pgLoadMoreBtn');
+    if (!sentinel) return;
+
+    button && button.addEventListener('click', loadMorePGs);
+
+    if ('IntersectionObserver' in window) {
+      const observer = new IntersectionObserver(entries => {
+        if (entries.some(entry => entry.isIntersecting)) loadMorePGs();
+      }, { rootMargin: '300px 0px' });
+      observer.observe(sentinel);
+    }
+  })();
+
+  // ===== Saved PGs =====
+  function updateHearts() {
+    document.querySelectorAll('.pg-card-favorite').forEach(button => {
+      const saved = favoriteIds.has(Number(button.dataset.pgId));
+      button.classList.toggle('is-saved', saved);
+      button.setAttribute('aria-pressed', String(saved));
+      button.title = saved ? 'Remove from saved PGs' : 'Save this PG';
+      button.textContent = saved ? '♥' : '♡';
+    });
+
+    const savedCount = document.getElementById('savedCount');
+    if (savedCount) savedCount.textContent = favoriteIds.size ? String(favoriteIds.size) : '';
+  }
+
+  // Listings that were taken down or deleted stay in the list with a note, so they do not just disappear
+  function renderUnavailableCard(favorite) {
+    const card = document.createElement('div');
+    card.className = 'pg-card pg-card-unavailable';
+    const note = favorite.availability === 'removed'
+      ? 'This PG was removed by its owner.'
+      : 'This PG is not listed right now. It may be back after review.';
+
+    card.innerHTML = `
+      <div class="pg-card-body">
+        <div class="pg-card-header">
+          <h3 class="pg-card-name">${escapeHtml(favorite.name || 'PG')}</h3>
+          <span class="pg-card-status">${favorite.availability === 'removed' ? 'Removed' : 'Unavailable'}</span>
+        </div>
+        <p class="pg-card-unavailable-note">${escapeHtml(note)}</p>
+        <div class="pg-card-footer">
+          <button type="button" class="btn btn-ghost pg-card-button pg-card-unsave" data-pg-id="${escapeHtml(favorite.pg_id)}">Remove from saved</button>
+        </div>
+      </div>
+    `;
+    return card;
+  }
+
+  async function renderSavedPGs() {
+    const savedGrid = document.getElementById('savedCardsGrid');
+    const resultsCountEl = document.querySelector('.dashboard-results-count strong');
+    if (!savedGrid) return;
+
+    savedGrid.innerHTML = '<p class="pg-saved-message">Loading saved PGs…</p>';
+
+    let favorites;
+    try {
+      favorites = await fetchFavorites();
+    } catch (err) {
+      console.error('Failed to load saved PGs:', err);
+      savedGrid.innerHTML = '<p class="pg-saved-message">Unable to load your saved PGs.</p>';
+      return;
+    }
+    if (currentView !== 'saved') return;
+
+    favoriteIds = new Set(favorites.map(favorite => favorite.pg_id));
+    updateHearts();
+    resultsCountEl && (resultsCountEl.textContent = String(favorites.length));
+
+    savedGrid.innerHTML = '';
+    if (favorites.length === 0) {
+      savedGrid.innerHTML = '<p class="pg-saved-message">No saved PGs yet. Tap the ♡ on a listing to save it here.</p>';
+      return;
+    }
+
+    favorites.forEach(favorite => {
+      savedGrid.appendChild(favorite.listing ? renderCard(favorite.listing) : renderUnavailableCard(favorite));
+    });
+  }
+
+  // ===== Visit & booking requests =====
+  function renderRequestCard(inquiry) {
+    const card = document.createElement('div');
+    card.className = 'inquiry-card';
+    const dates = [inquiry.preferred_date, inquiry.alternate_date].filter(Boolean).join(' or ');
+    const actions = [];
+    if (inquiry.status === 'proposed') {
+      actions.push(`<button type="button" class="btn btn-primary btn-sm inquiry-action" data-inquiry-id="${escapeHtml(inquiry.id)}" data-action="confirm">Accept new time</button>`);
+    }
+    if (['pending', 'proposed', 'accepted'].includes(inquiry.status)) {
+      actions.push(`<button type="button" class="btn btn-ghost btn-sm inquiry-action" data-inquiry-id="${escapeHtml(inquiry.id)}" data-action="cancel">Cancel request</button>`);
+    }
+
+    card.innerHTML = `
+      <div class="inquiry-card-header">
+        <a href="pg-details.html?id=${encodeURIComponent(inquiry.pg_id)}" class="inquiry-card-title">${escapeHtml(inquiry.pg_name)}</a>
+        <span class="inquiry-status inquiry-status-${escapeHtml(inquiry.status)}">${escapeHtml(INQUIRY_STATUS_LABELS[inquiry.status] || inquiry.status)}</span>
+      </div>
+      <p class="inquiry-card-meta">${inquiry.type === 'booking' ? 'Booking' : 'Visit'} · preferred ${escapeHtml(dates)}</p>
+      ${inquiry.status === 'proposed' && inquiry.proposed_for ? `<p class="inquiry-card-meta"><strong>Owner suggests ${escapeHtml(formatInquiryTime(inquiry.proposed_for))}</strong></p>` : ''}
+      <p class="inquiry-card-message">${escapeHtml(inquiry.message)}</p>
+      <ol class="inquiry-timeline">
+        ${(inquiry.timeline || []).map(event => `<li><span>${escapeHtml(describeInquiryEvent(event))}</span><time>${escapeHtml(new Date(event.created_at).toLocaleString('en-IN'))}</time></li>`).join('')}
+      </ol>
+      ${actions.length ? `<div class="inquiry-card-actions">${actions.join('')}</div>` : ''}
+    `;
+    return card;
+  }
+
+  async function renderRequests() {
+    const list = document.getElementById('requestsList');
+    const resultsCountEl = document.querySelector('.dashboard-results-count strong');
+    if (!list) return;
+
+    list.innerHTML = '<p class="pg-saved-message">Loading your requests…</p>';
+
+    let inquiries;
+    try {
+      const response = await authFetch(`${API_BASE_URL}/students/inquiries`);
+      if (!response.ok) throw new Error(`Server returned ${response.status}`);
+      inquiries = (await response.json()).inquiries || [];
+    } catch (err) {
+      console.error('Failed to load requests:', err);
+      list.innerHTML = '<p class="pg-saved-message">Unable to load your requests.</p>';
+      return;
+    }
+    if (currentView !== 'requests') return;
+
+    resultsCountEl && (resultsCountEl.textContent = String(inquiries.length));
+
+    list.innerHTML = '';
+    if (inquiries.length === 0) {
+      list.innerHTML = '<p class="pg-saved-message">No requests yet. Open a PG and use “Request a visit” to contact its owner.</p>';
+      return;
+    }
+
+    inquiries.forEach(inquiry => list.appendChild(renderRequestCard(inquiry)));
+  }
+
+  (function attachRequestListeners() {
+    if (!document.getElementById('requestsList')) return;
+
+    document.addEventListener('click', async event => {
+      const button = event.target.closest('.inquiry-action');
+      if (!button) return;
+
+      if (button.dataset.action === 'cancel' && !confirm('Cancel this request?')) return;
+
+      button.disabled = true;
+      try {
+        await changeInquiryStatus(Number(button.dataset.inquiryId), button.dataset.action);
+      } catch (err) {
+        alert(err.message || 'Could not update the request');
+      }
+      renderRequests();
+    });
+  })();
+
+  const VIEW_TITLES = { all: 'Available PGs', saved: 'Saved PGs', requests: 'My Requests' };
+
+  function showView(view) {
+    const grid = document.getElementById('pgCardsGrid');
+    const savedGrid = document.getElementById('savedCardsGrid');
+    const requestsList = document.getElementById('requestsList');
+    const title = document.querySelector('.dashboard-content-title');
+    const resultsCountEl = document.querySelector('.dashboard-results-count strong');
+    if (!grid || !savedGrid || !requestsList) return;
+
+    currentView = view;
+    document.querySelectorAll('.dashboard-view-tab').forEach(tab => {
+      tab.classList.toggle('active', tab.dataset.view === view);
+    });
+
+    grid.style.display = view === 'all' ? '' : 'none';
+    savedGrid.style.display = view === 'saved' ? '' : 'none';
+    requestsList.style.display = view === 'requests' ? '' : 'none';
+    title && (title.textContent = VIEW_TITLES[view] || VIEW_TITLES.all);
+
+    if (view !== 'all') {
+      document.getElementById('pgLoadMore') && (document.getElementById('pgLoadMore').style.display = 'none');
+    }
+
+    if (view === 'saved') {
+      renderSavedPGs();
+    } else if (view === 'requests') {
+      renderRequests();
+    } else {
+      resultsCountEl && (resultsCountEl.textContent = String(lastTotal));
+      updateLoadMore();
+    }
+  }
+
+  async function toggleSaved(pgId, saved) {
+    try {
+      await setFavorite(pgId, saved);
+    } catch (err) {
+      console.error('Failed to update saved PGs:', err);
+      alert(err.message || 'Could not update your saved PGs');
+      return;
+    }
+
+    if (saved) favoriteIds.add(pgId);
+    else favoriteIds.delete(pgId);
+    updateHearts();
+
+    // Unsaving from the Saved PGs view takes the card out of the list
+    if (!saved && currentView === 'saved') renderSavedPGs();
+  }
+
+  (function attachFavoriteListeners() {
+    if (!canSave) return;
+
+    document.addEventListener('click', event => {
+      const heart = event.target.closest('.pg-card-favorite');
+      const unsave = event.target.closest('.pg-card-unsave');
+      if (heart) toggleSaved(Number(heart.dataset.pgId), !favoriteIds.has(Number(heart.dataset.pgId)));
+      else if (unsave) toggleSaved(Number(unsave.dataset.pgId), false);
+    });
+
+    document.querySelectorAll('.dashboard-view-tab').forEach(tab => {
+      tab.addEventListener('click', () => showView(tab.dataset.view));
+    });
+
+    // pg-details.html links to ?view=requests after a request is sent
+    const initialView = new URLSearchParams(window.location.search).get('view');
+    if (initialView === 'saved' || initialView === 'requests') showView(initialView);
+
+    fetchFavorites()
+      .then(favorites => {
+        favoriteIds = new Set(favorites.map(favorite => favorite.pg_id));
+        updateHearts();
+      })
+      .catch(err => console.warn('Could not load saved PGs:', err));
+  })();
+
+  // ===== Saved searches =====
+  const ALERT_LABELS = { in_app: '🔔 Dashboard', email: '✉️ Email', sms: '📱 SMS', off: 'Off' };
+  let savedSearches = [];
+
+  // Put a saved search's filters back into the sidebar, the reverse of buildQueryParams
+  function applySavedFilters(filters) {
+    const setValue = (id, value) => {
+      const el = document.getElementById(id);
+      if (el) el.value = value || '';
+    };
+
+    setValue('pgSearch', filters.q);
+    ['citySelect:city', 'collegeSelect:collegeId', 'roomTypeSelect:roomType', 'genderSelect:gender', 'ratingSelect:minRating', 'sortSelect:sort']
+      .map(pair => pair.split(':'))
+      .forEach(([id, name]) => setValue(id, filters[name]));
+
+    const priceEl = document.getElementById('priceRange');
+    if (priceEl) {
+      priceEl.value = filters.maxPrice || priceEl.max;
+      priceEl.dispatchEvent(new Event('input'));
+    }
+
+    const distEl = document.getElementById('distanceSelect');
+    if (distEl) {
+      const option = Array.from(distEl.options).find(opt => opt.value && String(parseMaxDistance(opt.value)) === filters.maxDistance);
+      distEl.value = option ? option.value : '';
+    }
+
+    const availableEl = document.getElementById('availableOnly');
+    if (availableEl) availableEl.checked = filters.available === '1';
+
+    const facilities = (filters.facilities || '').split(',');
+    document.querySelectorAll('input[name="facilities"]').forEach(cb => {
+      cb.checked = facilities.includes(cb.value);
+    });
+
+    showView('all');
+    window.fetchAndRenderPGs();
+  }
+
+  function describeFilters(filters) {
+    const parts = [];
+    if (filters.q) parts.push(`“${filters.q}”`);
+    if (filters.maxPrice) parts.push(`up to ₹${Number(filters.maxPrice).toLocaleString('en-IN')}`);
+    if (filters.maxDistance) parts.push(`within ${filters.maxDistance} km`);
+    if (filters.city) parts.push(filters.city);
+    if (filters.roomType) parts.push(filters.roomType);
+    if (filters.gender) parts.push(filters.gender === 'female' ? 'girls' : 'boys');
+    if (filters.minRating) parts.push(`★ ${filters.minRating}+`);
+    if (filters.available === '1') parts.push('free beds');
+    if (filters.facilities) parts.push(filters.facilities.split(',').join(', '));
+    return parts.join(' · ') || 'All PGs';
+  }
+
+  function renderSavedSearches() {
+    const list = document.getElementById('savedSearchList');
+    if (!list) return;
+
+    if (!savedSearches.length) {
+      list.innerHTML = '<li class="saved-search-empty">Save the filters you use most and get alerts for new PGs that match.</li>';
+      return;
+    }
+
+    list.innerHTML = savedSearches.map(search => `
+      <li class="saved-search-item" data-search-id="${escapeHtml(search.id)}">
+        <button type="button" class="saved-search-apply" title="Apply these filters">
+          <span class="saved-search-name">${escapeHtml(search.name)}</span>
+          <span class="saved-search-summary">${escapeHtml(describeFilters(search.filters))}</span>
+        </button>
+        <div class="saved-search-actions">
+          <select class="saved-search-alerts" aria-label="Alerts for ${escapeHtml(search.name)}">
+            ${Object.entries(ALERT_LABELS).map(([value, label]) => `<option value="${value}" ${search.alerts === value ? 'selected' : ''}>${label}</option>`).join('')}
+          </select>
+          <button type="button" class="saved-search-delete" title="Delete saved search">✕</button>
+        </div>
+      </li>
+    `).join('');
+  }
+
+  (function attachSavedSearchListeners() {
+    const container = document.getElementById('savedSearches');
+    const form = document.getElementById('savedSearchForm');
+    if (!canSave || !container || !form) return;
+
+    container.style.display = '';
+
+    const alertsEl = document.getElementById('savedSearchAlerts');
+    const phoneEl = document.getElementById('savedSearchPhone');
+    const errorEl = document.getElementById('savedSearchError');
+
+    alertsEl.addEventListener('change', () => {
+      phoneEl.style.display = alertsEl.value === 'sms' ? '' : 'none';
+    });
+
+    form.addEventListener('submit', async event => {
+      event.preventDefault();
+      errorEl.textContent = '';
+
+      try {
+        const saved = await saveSearch(null, {
+          name: document.getElementById('savedSearchName').value,
+          filters: Object.fromEntries(withSort(buildQueryParams())),
+          alerts: alertsEl.value,
+          phone: phoneEl.value
+        });
+        savedSearches.unshift(saved);
+        renderSavedSearches();
+        form.reset();
+        phoneEl.style.display = 'none';
+      } catch (err) {
+        errorEl.textContent = err.message;
+      }
+    });
+
+    document.getElementById('savedSearchList').addEventListener('click', async event => {
+      const item = event.target.closest('.saved-search-item');
+      if (!item) return;
+      const search = savedSearches.find(s => String(s.id) === item.dataset.searchId);
+      if (!search) return;
+
+      if (event.target.closest('.saved-search-apply')) {
+        applySavedFilters(search.filters);
+      } else if (event.target.closest('.saved-search-delete')) {
+        if (!confirm(`Delete the saved search "${search.name}"?`)) return;
+        try {
+          await deleteSavedSearch(search.id);
+          savedSearches = savedSearches.filter(s => s.id !== search.id);
+          renderSavedSearches();
+        } catch (err) {
+          alert(err.message || 'Could not delete the saved search');
+        }
+      }
+    });
+
+    document.getElementById('savedSearchList').addEventListener('change', async event => {
+      const select = event.target.closest('.saved-search-alerts');
+      if (!select) return;
+      const item = select.closest('.saved-search-item');
+      const index = savedSearches.findIndex(s => String(s.id) === item.dataset.searchId);
+
+      const body = { alerts: select.value };
+      if (select.value === 'sms' && !savedSearches[index].phone) {
+        const phone = prompt('Mobile number for SMS alerts:');
+        if (!phone) {
+          renderSavedSearches();
+          return;
+        }
+        body.phone = phone;
+      }
+
+      try {
+        savedSearches[index] = await saveSearch(savedSearches[index].id, body);
+      } catch (err) {
+        alert(err.message || 'Could not update alerts');
+      }
+      renderSavedSearches();
+    });
+
+    fetchSavedSearches()
+      .then(searches => {
+        savedSearches = searches;
+        renderSavedSearches();
+      })
+      .catch(err => console.warn('Could not load saved searches:', err));
+  })();
+
+  // ===== Comparison =====
+  function updateCompareTray() {
+    const tray = document.getElementById('compareTray');
+    const ids = getCompareIds();
+
+    document.querySelectorAll('.pg-card-compare-input').forEach(input => {
+      input.checked = ids.includes(Number(input.dataset.pgId));
+    });
+
+    if (!tray) return;
+    tray.style.display = ids.length ? 'flex' : 'none';
+    document.getElementById('compareCount').textContent = String(ids.length);
+
+    document.getElementById('compareLink').classList.toggle('disabled', ids.length < 2);
+  }
+
+  (function attachCompareListeners() {
+    document.addEventListener('change', event => {
+      const input = event.target.closest('.pg-card-compare-input');
+      if (!input) return;
+
+      if (!toggleCompareId(Number(input.dataset.pgId))) {
+        input.checked = false;
+        alert(`You can compare up to ${MAX_COMPARE_LISTINGS} PGs at a time.`);
+      }
+      updateCompareTray();
+    });
+
+    const clear = document.getElementById('compareClear');
+    clear && clear.addEventListener('click', () => {
+      clearCompareIds();
+      updateCompareTray();
+    });
+
+    const link = document.getElementById('compareLink');
+    link && link.addEventListener('click', event => {
+      const ids = getCompareIds();
+      if (ids.length < 2) {
+        event.preventDefault();
+        alert('Pick at least 2 PGs to compare.');
+        return;
+      }
+      const collegeSelect = document.getElementById('collegeSelect');
+      link.href = compareUrl(ids, collegeSelect && collegeSelect.value);
+    });
+
+    updateCompareTray();
+  })();
+
+  // Fill the city dropdown with values that have listings and the college dropdown with known colleges
+  (async function loadFilterOptions() {
+    const citySelect = document.getElementById('citySelect');
+    const collegeSelect = document.getElementById('collegeSelect');
+    if (!citySelect && !collegeSelect) return;
+
+    try {
+      const res = await fetch(`${candidateBases[0]}/pgs/filter-options`);
+      if (!res.ok) throw new Error(`Server returned ${res.status}`);
+      const options = await res.json();
+
+      const fill = (select, values, toOption) => {
+        if (!select) return;
+        values.forEach(value => {
+          const option = document.createElement('option');
+          const { value: optionValue, label } = toOption(value);
+          option.value = optionValue;
+          option.textContent = label;
+          select.appendChild(option);
+        });
+      };
+
+      fill(citySelect, options.cities || [], city => ({ value: city, label: city }));
+      fill(collegeSelect, options.colleges || [], college => ({
+        value: college.id,
+        label: college.city ? `${college.name} (${college.city})` : college.name
+      }));
+    } catch (err) {
+      console.warn('Could not load filter options:', err);
+    }
+  })();
+
   // Wire facilities checkboxes to trigger debounced fetches
   (function attachFacilityListeners() {
     const facilityEls = Array.from(document.querySelectorAll('input[name="facilities"]'));
@@ -456,6 +1511,19 @@ window.addEventListener('load', () => {
     });
   })();
 
+  // Wire search box, sort and the select filters the page does not handle itself
+  (function attachSearchListeners() {
+    const debouncedFetch = debounce(() => { try { window.fetchAndRenderPGs(); } catch (e) { console.error(e); } }, 300);
+
+    const searchEl = document.getElementById('pgSearch');
+    searchEl && searchEl.addEventListener('input', debouncedFetch);
+
+    ['sortSelect', 'citySelect', 'collegeSelect', 'roomTypeSelect', 'genderSelect', 'ratingSelect', 'availableOnly'].forEach(id => {
+      const el = document.getElementById(id);
+      el && el.addEventListener('change', debouncedFetch);
+    });
+  })();
+
   // The page's inline script already attaches listeners that call `fetchAndRenderPGs`.
   // We ensure an initial call to load data once everything is ready.
   // Debounce the initial call to avoid rapid double-calls from other handlers.
@@ -0,0 +1,181 @@
+// AI assistant behind POST /api/chat.
+// routes/chat.js calls whichever provider is configured through its one method:
+//   reply({ prompt, message, language, listings }) -> Promise<string>
+// Pick one with CHAT_PROVIDER ("gemini" or "local"). Without it, Gemini is used when
+// GEMINI_API_KEY is set and the local stub otherwise, so development needs no key.
+
+const GEMINI_MODEL = process.env.GEMINI_MODEL || "gemini-2.5-flash";
+const PROVIDER_TIMEOUT_MS = 15000;
+
+const LANGUAGE_NAMES = {
+    en: "English",
+    bn: "Bengali",
+    hi: "Hindi",
+    es: "Spanish",
+    fr: "French"
+};
+
+// Stored facility names (as saved by the owner form) and the words students use for them
+const FACILITY_KEYWORDS = {
+    "WiFi": /\bwi-?fi\b|\binternet\b/,
+    "AC": /\bac\b|\bair[- ]?condition/,
+    "Laundry": /\blaundry\b|\bwashing\b/,
+    "Parking": /\bparking\b/,
+    "Food": /\bfood\b|\bmeals?\b|\bmess\b/,
+    "24/7 Security": /\bsecurity\b|\bguard\b|\bcctv\b/,
+    "24/7 Water": /\bwater\b/,
+    "TV": /\btv\b|\btelevision\b/
+};
+
+class ChatProviderError extends Error {}
+
+// Turn a free-text question into GET /api/pgs style query parameters.
+// Only clear signals become filters; anything else is left to the model.
+function extractListingQuery(message) {
+    const text = String(message).toLowerCase();
+    const query = {};
+
+    const price = text.match(/(?:under|below|less than|within|upto|up to|max(?:imum)?|<)\s*(?:rs\.?|inr|₹)?\s*(\d[\d,]*)(\s*k\b)?/);
+    if (price) {
+        const amount = Number(price[1].replace(/,/g, ""));
+        query.maxPrice = String(price[2] ? amount * 1000 : amount);
+    }
+
+    if (/\b(girls?|female|women|ladies)\b/.test(text)) {
+        query.gender = "female";
+    } else if (/\b(boys?|male|men|gents)\b/.test(text)) {
+        query.gender = "male";
+    }
+
+    const roomType = ["single", "shared", "studio"].find(type => text.includes(type));
+    if (roomType) query.roomType = roomType;
+
+    const facilities = Object.keys(FACILITY_KEYWORDS).filter(name => FACILITY_KEYWORDS[name].test(text));
+    if (facilities.length > 0) query.facilities = facilities.join(",");
+
+    if (/\b(cheap|cheapest|lowest|affordable|budget)\b/.test(text)) {
+        query.sort = "rent_asc";
+    } else if (/\b(near|nearest|closest)\b/.test(text)) {
+        query.sort = "distance";
+    }
+
+    return query;
+}
+
+function describeListing(listing) {
+    const distance = listing.distance_km !== null && listing.distance_km !== undefined
+        ? listing.distance_km
+        : listing.distance;
+
+    return [
+        `#${listing.id} ${listing.name}`,
+        `rent ₹${listing.rent}/month`,
+        listing.deposit ? `deposit ₹${listing.deposit}` : "no deposit",
+        `${listing.gender === "both" ? "boys and girls" : listing.gender === "female" ? "girls only" : "boys only"}`,
+        `${listing.room_type} room`,
+        [listing.city, listing.college && distance !== null ? `${distance} km from ${listing.college}` : null].filter(Boolean).join(", "),
+        `facilities: ${listing.facilities.length ? listing.facilities.join(", ") : "none listed"}`
+    ].join("; ");
+}
+
+function buildPrompt({ message, language, listings }) {
+    const lines = [
+        "You are the PG Finder assistant helping students find paying-guest accommodation.",
+        "Answer briefly (1-3 sentences). Recommend only PGs from the list below and mention them by name and rent.",
+        "If none of them fit, say so instead of inventing listings. General questions about safety, food or moving in are fine to answer.",
+        `Reply in ${LANGUAGE_NAMES[language] || LANGUAGE_NAMES.en}.`,
+        "",
+        listings.length
+            ? "Approved listings matching the question:"
+            : "No approved listings match the question.",
+        ...listings.map(listing => `- ${describeListing(listing)}`),
+        "",
+        `Question: ${message}`
+    ];
+
+    return lines.join("\n");
+}
+
+// Google Gemini over its REST API; the key never leaves the server
+function createGeminiProvider({ apiKey, model }) {
+    if (!apiKey) {
+        throw new Error("GEMINI_API_KEY is required for the gemini chat provider");
+    }
+
+    const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`;
+
+    return {
+        async reply({ prompt }) {
+            // A malformed or cut-off body is as much the provider's failure as a refused connection
+            let data;
+            try {
+                const response = await fetch(url, {
+                    method: "POST",
+                    headers: {
+                        "Content-Type": "application/json",
+                        "x-goog-api-key": apiKey
+                    },
+                    body: JSON.stringify({
+                        contents: [{ role: "user", parts: [{ text: prompt }] }]
+                    }),
+                    signal: AbortSignal.timeout(PROVIDER_TIMEOUT_MS)
+                });
+
+                if (!response.ok) {
+                    throw new ChatProviderError(`Gemini returned ${response.status}`);
+                }
+
+                data = await response.json();
+            } catch (error) {
+                if (error instanceof ChatProviderError) throw error;
+                throw new ChatProviderError(`Gemini request failed: ${error.message}`);
+            }
+
+            const text = data?.candidates?.[0]?.content?.parts?.[0]?.text;
+            if (!text) {
+                throw new ChatProviderError("Gemini returned an empty reply");
+            }
+
+            return text.trim();
+        }
+    };
+}
+
+// Offline stand-in: answers from the listing context alone, deterministically
+function createLocalProvider() {
+    return {
+        async reply({ listings }) {
+            if (listings.length === 0) {
+                return "I couldn't find any approved PGs matching that. Try a higher budget or fewer facilities.";
+            }
+
+            const top = listings.slice(0, 3).map(listing => `${listing.name} (₹${listing.rent}/month)`);
+            return `I found ${listings.length} matching PG${listings.length === 1 ? "" : "s"}: ${top.join(", ")}.`;
+        }
+    };
+}
+
+const providers = {
+    gemini: createGeminiProvider,
+    local: createLocalProvider
+};
+
+function createChatProvider(options = {}) {
+    const apiKey = options.apiKey || process.env.GEMINI_API_KEY;
+    const name = options.provider || process.env.CHAT_PROVIDER || (apiKey ? "gemini" : "local");
+    const factory = providers[name];
+
+    if (!factory) {
+        throw new Error(`Unknown chat provider: ${name}`);
+    }
+
+    return factory({ apiKey, model: options.model || GEMINI_MODEL });
+}
+
+module.exports = {
+    createChatProvider,
+    extractListingQuery,
+    buildPrompt,
+    ChatProviderError,
+    LANGUAGE_NAMES
+};
@@ -0,0 +1,62 @@
+// Settings the server reads from the environment, loaded once (with .env) before anything else.
+// server.js runs checkConfig() at startup and refuses to listen while it reports errors.
+//   NODE_ENV        development (default), test or production
+//   PORT            HTTP port (default 3000)
+//   JWT_SECRET      signs access tokens; required outside development
+//   APP_BASE_URL    where the HTML pages are served, for links in emails and SMS
+//   METRICS_TOKEN   when set, GET /api/metrics requires it as a Bearer token
+
+require("dotenv").config({ quiet: true });
+
+// The placeholder older setups ran with; tokens signed with it can be forged by anyone
+const DEFAULT_JWT_SECRET = "your-secret-key-change-in-production";
+const MIN_JWT_SECRET_LENGTH = 32;
+// Where the placeholder secret is tolerated so a fresh checkout runs without setup
+const DEVELOPMENT_ENVS = ["development", "test"];
+
+function loadConfig(env = process.env) {
+    const nodeEnv = env.NODE_ENV || "development";
+
+    return {
+        nodeEnv,
+        isDevelopment: DEVELOPMENT_ENVS.includes(nodeEnv),
+        port: env.PORT === undefined || env.PORT === "" ? 3000 : Number(env.PORT),
+        jwtSecret: env.JWT_SECRET || DEFAULT_JWT_SECRET,
+        appBaseUrl: (env.APP_BASE_URL || "http://localhost:5500").replace(/\/$/, ""),
+        metricsToken: env.METRICS_TOKEN || null
+    };
+}
+
+// Returns { errors, warnings }: errors stop the server, warnings are only printed
+function checkConfig(current) {
+    const errors = [];
+    const warnings = [];
+
+    if (!Number.isInteger(current.port) || current.port < 1 || current.port > 65535) {
+        errors.push("PORT must be a whole number between 1 and 65535");
+    }
+
+    if (current.jwtSecret === DEFAULT_JWT_SECRET) {
+        if (current.isDevelopment) {
+            warnings.push("JWT_SECRET is not set; using the development placeholder");
+        } else {
+            errors.push(`JWT_SECRET must be set when NODE_ENV is ${current.nodeEnv}`);
+        }
+    } else if (!current.isDevelopment && current.jwtSecret.length < MIN_JWT_SECRET_LENGTH) {
+        errors.push(`JWT_SECRET must be at least ${MIN_JWT_SECRET_LENGTH} characters when NODE_ENV is ${current.nodeEnv}`);
+    }
+
+    if (!current.isDevelopment && !current.metricsToken) {
+        warnings.push("METRICS_TOKEN is not set; /api/metrics is open to anyone who can reach the server");
+    }
+
+    return { errors, warnings };
+}
+
+const config = loadConfig();
+
+module.exports = {
+    config,
+    loadConfig,
+    checkConfig
+};
@@ -0,0 +1,55 @@
+// Creates an admin account, or promotes an existing account to admin.
+// Self-signup only allows students and owners, so this is how the first admin is made.
+//
+// Usage: npm run create-admin -- "Full Name" admin@example.com "password"
+//    or: ADMIN_NAME=... ADMIN_EMAIL=... ADMIN_PASSWORD=... npm run create-admin
+
+require("dotenv").config();
+
+const pool = require("./db");
+const { hashPassword } = require("./passwords");
+
+async function main() {
+    const [name = process.env.ADMIN_NAME, email = process.env.ADMIN_EMAIL, password = process.env.ADMIN_PASSWORD] =
+        process.argv.slice(2);
+
+    if (!name || !email || !password) {
+        console.error('Usage: npm run create-admin -- "Full Name" admin@example.com "password"');
+        process.exitCode = 1;
+        return;
+    }
+
+    const conn = await pool.getConnection();
+
+    try {
+        const [existing] = await conn.query(
+            "SELECT id, role FROM users WHERE email = ?",
+            [email.toLowerCase()]
+        );
+
+        if (existing.length > 0) {
+            await conn.query(
+                "UPDATE users SET role = 'admin', status = 'active', email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = ?",
+                [existing[0].id]
+            );
+            console.log(`✅ Existing user ${email} (was ${existing[0].role}) is now an admin. Password unchanged.`);
+            return;
+        }
+
+        const [result] = await conn.query(
+            "INSERT INTO users (name, email, password, role, email_verified_at) VALUES (?, ?, ?, 'admin', NOW())",
+            [name, email.toLowerCase(), await hashPassword(password)]
+        );
+
+        console.log(`✅ Admin created with ID ${result.insertId}: ${email}`);
+    } finally {
+        conn.release();
+    }
+}
+
+main()
+    .catch(error => {
+        console.error("❌ Could not create admin:", error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
@@ -0,0 +1,19 @@
+// MySQL connection pool shared by the server and the command-line scripts.
+// Settings come from the environment (config.js and the scripts load .env first):
+//   DB_HOST, DB_PORT, DB_USER, DB_PASSWORD, DB_NAME, DB_CONNECTION_LIMIT
+// Callers take a connection with pool.getConnection() and must release it when done.
+
+const mysql = require("mysql2/promise");
+
+const pool = mysql.createPool({
+    host: process.env.DB_HOST || "localhost",
+    port: Number(process.env.DB_PORT) || 3306,
+    user: process.env.DB_USER || "root",
+    password: process.env.DB_PASSWORD || "",
+    database: process.env.DB_NAME || "pg_finder",
+    connectionLimit: Number(process.env.DB_CONNECTION_LIMIT) || 10,
+    waitForConnections: true,
+    charset: "utf8mb4"
+});
+
+module.exports = pool;
@@ -0,0 +1,96 @@
+// Outgoing email and SMS: saved-search alerts from messaging.js, and the email verification
+// and password reset links from routes/auth.js. Both go through whichever transport is configured:
+//   send({ channel, to, subject, text }) -> Promise<void>   channel is "email" or "sms"
+// Pick one with DELIVERY_TRANSPORT ("outbox" or "webhook"). Without it, messages are
+// written to OUTBOX_DIR as JSON files, so development needs no mail or SMS account.
+
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+const OUTBOX_DIR = process.env.OUTBOX_DIR || path.join(__dirname, "outbox");
+const DELIVERY_TIMEOUT_MS = 10000;
+const CHANNELS = ["email", "sms"];
+
+class DeliveryError extends Error {}
+
+function checkMessage({ channel, to }) {
+    if (!CHANNELS.includes(channel)) {
+        throw new DeliveryError(`Unknown delivery channel: ${channel}`);
+    }
+    if (!to) {
+        throw new DeliveryError(`No ${channel} recipient`);
+    }
+}
+
+// Local stand-in: one file per message, newest last when sorted by name
+function createOutboxTransport({ outboxDir }) {
+    return {
+        async send(message) {
+            checkMessage(message);
+
+            const sentAt = new Date().toISOString();
+            const fileName = `${sentAt.replace(/[:.]/g, "-")}-${message.channel}-${crypto.randomBytes(3).toString("hex")}.json`;
+
+            await fs.mkdir(outboxDir, { recursive: true });
+            await fs.writeFile(
+                path.join(outboxDir, fileName),
+                JSON.stringify({ ...message, sentAt }, null, 2)
+            );
+        }
+    };
+}
+
+// Hands each message to an HTTP relay (a small function in front of the mail or SMS provider)
+function createWebhookTransport({ webhookUrl, webhookSecret }) {
+    if (!webhookUrl) {
+        throw new Error("DELIVERY_WEBHOOK_URL is required for the webhook delivery transport");
+    }
+
+    return {
+        async send(message) {
+            checkMessage(message);
+
+            let response;
+            try {
+                response = await fetch(webhookUrl, {
+                    method: "POST",
+                    headers: {
+                        "Content-Type": "application/json",
+                        ...(webhookSecret ? { "Authorization": `Bearer ${webhookSecret}` } : {})
+                    },
+                    body: JSON.stringify(message),
+                    signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+                });
+            } catch (error) {
+                throw new DeliveryError(`Delivery webhook failed: ${error.message}`);
+            }
+
+            if (!response.ok) {
+                throw new DeliveryError(`Delivery webhook returned ${response.status}`);
+            }
+        }
+    };
+}
+
+const transports = {
+    outbox: createOutboxTransport,
+    webhook: createWebhookTransport
+};
+
+function createDeliveryTransport(options = {}) {
+    const name = options.transport || process.env.DELIVERY_TRANSPORT || "outbox";
+    const factory = transports[name];
+
+    if (!factory) {
+        throw new Error(`Unknown delivery transport: ${name}`);
+    }
+
+    return factory({
+        outboxDir: options.outboxDir || OUTBOX_DIR,
+        webhookUrl: options.webhookUrl || process.env.DELIVERY_WEBHOOK_URL,
+        webhookSecret: options.webhookSecret || process.env.DELIVERY_WEBHOOK_SECRET
+    });
+}
+
+module.exports = { createDeliveryTransport, DeliveryError, OUTBOX_DIR };
@@ -0,0 +1,65 @@
+// Central error handling. Route handlers are wrapped in asyncHandler() so anything they throw
+// (a failed query, a bug) ends up in errorHandler, which logs the details and answers with a
+// stable code instead of the raw error:
+//   { error: "internal_error", message: "Something went wrong on our side. Please try again." }
+// Expected failures (validation, missing rows, conflicts) are still answered by the handlers.
+
+const { sendValidationErrors } = require("./validation");
+const { logger, requestPath } = require("./logger");
+
+// mysql2 error codes meaning the database cannot be reached, as opposed to a bad query
+const DATABASE_UNAVAILABLE_CODES = [
+    "ECONNREFUSED",
+    "ECONNRESET",
+    "ETIMEDOUT",
+    "ENOTFOUND",
+    "PROTOCOL_CONNECTION_LOST",
+    "ER_CON_COUNT_ERROR",
+    "ER_ACCESS_DENIED_ERROR",
+    "ER_BAD_DB_ERROR"
+];
+
+// Express 4 does not catch rejected promises; pass them on to errorHandler
+function asyncHandler(handler) {
+    return (req, res, next) => {
+        Promise.resolve(handler(req, res, next)).catch(next);
+    };
+}
+
+// Unknown /api paths get JSON like every other API response
+function apiNotFound(req, res) {
+    res.status(404).json({ error: "not_found", message: `No API endpoint at ${req.method} ${req.originalUrl}` });
+}
+
+// Express only treats middleware as an error handler when it declares all four arguments, so next stays even though it is unused
+function errorHandler(error, req, res, next) {
+    if (res.headersSent) {
+        logger.error("Request failed after the response started", { method: req.method, path: requestPath(req), error });
+        return res.end();
+    }
+
+    // Body parser errors: malformed JSON gets the usual validation shape
+    if (error.type === "entity.parse.failed") {
+        return sendValidationErrors(res, { body: "Request body must be valid JSON" });
+    }
+    if (error.type === "entity.too.large") {
+        return res.status(413).json({ error: "payload_too_large", message: "Request body is too large" });
+    }
+
+    if (DATABASE_UNAVAILABLE_CODES.includes(error.code)) {
+        logger.error("Database unavailable", { method: req.method, path: requestPath(req), code: error.code });
+        return res.status(503).json({
+            error: "service_unavailable",
+            message: "The service is temporarily unavailable. Please try again shortly."
+        });
+    }
+
+    logger.error("Request failed", { method: req.method, path: requestPath(req), error });
+    res.status(500).json({ error: "internal_error", message: "Something went wrong on our side. Please try again." });
+}
+
+module.exports = {
+    asyncHandler,
+    apiNotFound,
+    errorHandler
+};
@@ -0,0 +1,102 @@
+// Coordinates for PG listings: validation, a small offline geocoding table and
+// the haversine distance used by GET /api/pgs/nearby.
+//
+// The lookup table is deliberately local so adding a listing never depends on a
+// third-party geocoder. Pincodes give neighbourhood-level positions; cities fall
+// back to their centre. Owners can always drop an exact pin on the map instead.
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LAT = 111.045;
+// Farthest a listing may be from the college it is linked to; anything beyond is a misplaced pin
+// (and would not fit pgs.distance, a DECIMAL(6,2))
+const MAX_COLLEGE_DISTANCE_KM = 100;
+
+const PINCODE_LOCATIONS = {
+    "713206": { lat: 23.5495, lng: 87.2907 }, // Durgapur (Bidhannagar)
+    "713205": { lat: 23.5204, lng: 87.3119 }, // Durgapur City Centre
+    "713216": { lat: 23.5350, lng: 87.3410 }, // Durgapur Benachity
+    "700091": { lat: 22.5800, lng: 88.4180 }, // Kolkata Salt Lake
+    "700032": { lat: 22.4990, lng: 88.3710 }, // Kolkata Jadavpur
+    "560034": { lat: 12.9352, lng: 77.6245 }, // Bengaluru Koramangala
+    "560095": { lat: 12.9340, lng: 77.6100 }, // Bengaluru Koramangala 6th Block
+    "411007": { lat: 18.5590, lng: 73.8070 }, // Pune Aundh
+    "400076": { lat: 19.1334, lng: 72.9133 }, // Mumbai Powai
+    "110016": { lat: 28.5450, lng: 77.1920 }, // New Delhi Hauz Khas
+    "500032": { lat: 17.4450, lng: 78.3490 }, // Hyderabad Gachibowli
+    "600036": { lat: 12.9916, lng: 80.2336 } // Chennai IIT Madras
+};
+
+const CITY_LOCATIONS = {
+    durgapur: { lat: 23.5204, lng: 87.3119 },
+    kolkata: { lat: 22.5726, lng: 88.3639 },
+    bengaluru: { lat: 12.9716, lng: 77.5946 },
+    bangalore: { lat: 12.9716, lng: 77.5946 },
+    pune: { lat: 18.5204, lng: 73.8567 },
+    mumbai: { lat: 19.0760, lng: 72.8777 },
+    delhi: { lat: 28.6139, lng: 77.2090 },
+    "new delhi": { lat: 28.6139, lng: 77.2090 },
+    hyderabad: { lat: 17.3850, lng: 78.4867 },
+    chennai: { lat: 13.0827, lng: 80.2707 }
+};
+
+function isValidCoordinate(lat, lng) {
+    return Number.isFinite(lat) && Number.isFinite(lng) &&
+        lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+}
+
+// Best known position for an address, or null. `precision` tells the UI how far to trust it.
+function lookupCoordinates({ pincode, city } = {}) {
+    const pin = pincode ? String(pincode).trim() : "";
+    if (PINCODE_LOCATIONS[pin]) {
+        return { ...PINCODE_LOCATIONS[pin], precision: "pincode" };
+    }
+
+    const cityKey = city ? String(city).trim().toLowerCase() : "";
+    if (CITY_LOCATIONS[cityKey]) {
+        return { ...CITY_LOCATIONS[cityKey], precision: "city" };
+    }
+
+    return null;
+}
+
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+function haversineKm(lat1, lng1, lat2, lng2) {
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+// Lat/lng rectangle that contains the search circle; lets MySQL use the index before the exact distance check
+function boundingBox(lat, lng, radiusKm) {
+    const latDelta = radiusKm / KM_PER_DEGREE_LAT;
+    const lngDelta = radiusKm / (KM_PER_DEGREE_LAT * Math.max(Math.cos(toRadians(lat)), 0.01));
+
+    return {
+        minLat: lat - latDelta,
+        maxLat: lat + latDelta,
+        minLng: lng - lngDelta,
+        maxLng: lng + lngDelta
+    };
+}
+
+// SQL expression for the great-circle distance in km from (?, ?) to a row's latitude/longitude.
+// Parameters, in order: lat, lat, lng.
+const HAVERSINE_SQL = `(2 * ${EARTH_RADIUS_KM} * ASIN(SQRT(
+    POWER(SIN(RADIANS(latitude - ?) / 2), 2) +
+    COS(RADIANS(?)) * COS(RADIANS(latitude)) * POWER(SIN(RADIANS(longitude - ?) / 2), 2)
+)))`;
+
+module.exports = {
+    MAX_COLLEGE_DISTANCE_KM,
+    isValidCoordinate,
+    lookupCoordinates,
+    haversineKm,
+    boundingBox,
+    HAVERSINE_SQL
+};
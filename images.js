@@ -0,0 +1,86 @@
+// Validation and thumbnailing for PG photos sent as base64 data URLs from the owner dashboard.
+
+const crypto = require("crypto");
+const sharp = require("sharp");
+
+const MAX_IMAGES_PER_PG = 5;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const THUMBNAIL_WIDTH = 400;
+const THUMBNAIL_HEIGHT = 300;
+
+// The browser-declared type is only trusted when the file's magic bytes agree with it
+const ALLOWED_TYPES = {
+    "image/jpeg": { ext: "jpg", matches: buf => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+    "image/png": { ext: "png", matches: buf => buf.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    "image/webp": { ext: "webp", matches: buf => buf.toString("ascii", 0, 4) === "RIFF" && buf.toString("ascii", 8, 12) === "WEBP" }
+};
+
+class ImageValidationError extends Error {}
+
+function decodeDataUrl(dataUrl, index) {
+    const match = typeof dataUrl === "string" && dataUrl.match(/^data:([\w/+.-]+);base64,(.+)$/s);
+    if (!match) {
+        throw new ImageValidationError(`Image ${index + 1} is not a valid data URL`);
+    }
+
+    const mimeType = match[1].toLowerCase();
+    const type = ALLOWED_TYPES[mimeType];
+    if (!type) {
+        throw new ImageValidationError(`Image ${index + 1} must be a JPEG, PNG or WebP file`);
+    }
+
+    const buffer = Buffer.from(match[2], "base64");
+    if (buffer.length > MAX_IMAGE_BYTES) {
+        throw new ImageValidationError(`Image ${index + 1} is larger than 5MB`);
+    }
+
+    if (!type.matches(buffer)) {
+        throw new ImageValidationError(`Image ${index + 1} does not match its declared type`);
+    }
+
+    return { buffer, ext: type.ext };
+}
+
+// Decodes, validates and thumbnails every image before anything is written,
+// so a bad upload rejects the whole request instead of leaving half a gallery.
+async function prepareImages(images) {
+    if (images === undefined || images === null) return [];
+
+    if (!Array.isArray(images)) {
+        throw new ImageValidationError("Images must be an array");
+    }
+
+    if (images.length > MAX_IMAGES_PER_PG) {
+        throw new ImageValidationError(`You can upload at most ${MAX_IMAGES_PER_PG} images`);
+    }
+
+    return Promise.all(images.map(async (dataUrl, index) => {
+        const { buffer, ext } = decodeDataUrl(dataUrl, index);
+
+        let thumbnail;
+        try {
+            thumbnail = await sharp(buffer)
+                .rotate()
+                .resize(THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT, { fit: "cover" })
+                .jpeg({ quality: 80 })
+                .toBuffer();
+        } catch (error) {
+            throw new ImageValidationError(`Image ${index + 1} could not be read`);
+        }
+
+        const name = crypto.randomBytes(12).toString("hex");
+
+        return {
+            original: buffer,
+            thumbnail,
+            fileName: `${name}.${ext}`,
+            thumbName: `${name}_thumb.jpg`
+        };
+    }));
+}
+
+module.exports = {
+    prepareImages,
+    ImageValidationError,
+    MAX_IMAGES_PER_PG
+};
@@ -0,0 +1,159 @@
+// Visit and booking requests: input rules and the status changes shared by the owner and student routers
+
+const repos = require("./repositories");
+const { asyncHandler } = require("./errors");
+const { logger } = require("./logger");
+const { notify } = require("./messaging");
+const { validateBody } = require("./validation");
+
+const INQUIRY_TYPES = ["visit", "booking"];
+const INQUIRY_STATUSES = ["pending", "accepted", "declined", "proposed", "cancelled"];
+const MAX_INQUIRY_MESSAGE_LENGTH = 1000;
+
+// What each side may do to a request, and from which statuses.
+// Owners answer pending requests; students confirm a proposed time or withdraw.
+const INQUIRY_ACTIONS = {
+    accept: { role: "owner", from: ["pending"], to: "accepted" },
+    decline: { role: "owner", from: ["pending", "proposed"], to: "declined" },
+    propose: { role: "owner", from: ["pending", "proposed"], to: "proposed" },
+    confirm: { role: "student", from: ["proposed"], to: "accepted" },
+    cancel: { role: "student", from: ["pending", "proposed", "accepted"], to: "cancelled" }
+};
+
+function todayString() {
+    const now = new Date();
+    const pad = value => String(value).padStart(2, "0");
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+// "YYYY-MM-DD" that is a real calendar date, today or later
+function isUpcomingDate(value) {
+    if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value && value >= todayString();
+}
+
+function upcomingDate(value) {
+    return value === undefined || isUpcomingDate(value) ? null : "Choose a date from today onwards";
+}
+
+// "YYYY-MM-DDTHH:mm" from a datetime-local input, later than now
+function futureDateTime(value) {
+    const valid = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(value) && new Date(value) > new Date();
+    return valid ? null : "Propose a date and time in the future";
+}
+
+// A student's new request (POST /api/students/inquiries)
+const inquirySchema = {
+    pgId: { type: "integer", required: true, min: 1, message: "Pick a PG" },
+    type: { oneOf: INQUIRY_TYPES, message: `Type must be one of: ${INQUIRY_TYPES.join(", ")}` },
+    preferredDate: { required: true, message: "Choose a date from today onwards", check: upcomingDate },
+    alternateDate: { check: upcomingDate },
+    message: {
+        required: true,
+        maxLength: MAX_INQUIRY_MESSAGE_LENGTH,
+        message: `Messages must be between 1 and ${MAX_INQUIRY_MESSAGE_LENGTH} characters`
+    }
+};
+
+// The checked body as the columns inquiries.create() expects
+function inquiryFromBody(body) {
+    return {
+        pgId: body.pgId,
+        type: body.type || "visit",
+        preferredDate: body.preferredDate,
+        alternateDate: body.alternateDate || null,
+        message: body.message
+    };
+}
+
+// Every status change may carry a note; proposing also needs the new time
+function inquiryStatusSchema(action) {
+    const schema = {
+        note: { maxLength: MAX_INQUIRY_MESSAGE_LENGTH, message: `Keep the note under ${MAX_INQUIRY_MESSAGE_LENGTH} characters` }
+    };
+
+    if (action === "propose") {
+        schema.proposedFor = { required: true, message: "Propose a date and time in the future", check: futureDateTime };
+    }
+    return schema;
+}
+
+// One handler for every status change, behind its body check. Owners may only touch requests
+// for their own listings and students only their own requests.
+function changeInquiryStatus(action) {
+    const { role, from, to } = INQUIRY_ACTIONS[action];
+
+    return [validateBody(inquiryStatusSchema(action)), asyncHandler(async (req, res) => {
+        const { inquiryId } = req.params;
+        const note = req.body.note || "";
+        const { proposedFor } = req.body;
+
+        const existing = await repos.inquiries.findForParticipant(inquiryId, role, req.user.id);
+
+        if (!existing) {
+            return res.status(404).json({ message: "Request not found" });
+        }
+
+        const oldStatus = existing.status;
+
+        if (!from.includes(oldStatus)) {
+            return res.status(409).json({ message: `A ${oldStatus} request cannot be changed that way` });
+        }
+
+        const proposedValue = action === "propose" ? `${proposedFor.replace("T", " ")}:00` : null;
+
+        const changed = await repos.transaction(async tx => {
+            if (!(await tx.inquiries.setStatus(inquiryId, { from: oldStatus, to, proposedFor: proposedValue }))) {
+                return false;
+            }
+
+            await tx.inquiries.recordEvent({
+                inquiryId,
+                actorId: req.user.id,
+                action,
+                oldStatus,
+                newStatus: to,
+                note,
+                proposedFor: proposedValue
+            });
+
+            return true;
+        });
+
+        if (!changed) {
+            return res.status(409).json({ message: "Request was just updated. Reload and try again." });
+        }
+
+        const { type, pg_name: pgName } = existing;
+        await notify(role === "owner" ? existing.student_id : existing.owner_id, {
+            type: `inquiry_${action}`,
+            title: {
+                accept: `Your ${type} request for "${pgName}" was accepted`,
+                decline: `Your ${type} request for "${pgName}" was declined`,
+                propose: `The owner of "${pgName}" proposed another time`,
+                confirm: `The student confirmed the new time for "${pgName}"`,
+                cancel: `A ${type} request for "${pgName}" was cancelled`
+            }[action],
+            body: note,
+            link: role === "owner" ? "student-dashboard.html?view=requests" : "owner-dashboard.html"
+        });
+
+        logger.info("Inquiry status changed", { inquiryId, action, from: oldStatus, to, role, userId: req.user.id });
+
+        res.json({
+            message: `Request ${to}`,
+            inquiryId: Number(inquiryId),
+            status: to,
+            proposedFor: action === "propose" ? proposedFor : null
+        });
+    })];
+}
+
+module.exports = {
+    INQUIRY_STATUSES,
+    inquirySchema,
+    inquiryFromBody,
+    changeInquiryStatus
+};
@@ -0,0 +1,369 @@
+// Listing rules shared by the owner, admin, student and public routes: search filters and sorts,
+// coordinates and college distances, and the photos and room types attached to each listing.
+// Helpers that read or write take the repositories to use (`repos`) as their first argument,
+// like the connection they used to take, so they work inside and outside a transaction.
+
+const { createStorage } = require("./storage");
+const { MAX_COLLEGE_DISTANCE_KM, isValidCoordinate, lookupCoordinates, haversineKm, HAVERSINE_SQL } = require("./geo");
+const { containsPattern } = require("./repositories/like");
+
+const storage = createStorage();
+
+// Listing search: page size and the sort orders students can pick (id breaks ties so pages never overlap)
+const DEFAULT_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 50;
+const LISTING_SORTS = {
+    distance: "distance IS NULL, distance ASC, id ASC",
+    rent_asc: "rent ASC, id ASC",
+    rent_desc: "rent DESC, id DESC",
+    deposit_asc: "deposit ASC, id ASC",
+    deposit_desc: "deposit DESC, id DESC",
+    newest: "created_at DESC, id DESC",
+    rating: "rating_avg IS NULL, rating_avg DESC, review_count DESC, id ASC"
+};
+const LISTING_STATUSES = ["pending", "approved", "rejected"];
+const ROOM_TYPES = ["single", "shared", "studio"];
+const GENDERS = ["male", "female", "both"];
+// Upper bound for rents and deposits, in rupees
+const MAX_RENT = 1000000;
+// Listings that can be fetched at once with ?ids= (the comparison view shows up to four)
+const MAX_COMPARE_IDS = 4;
+const DEFAULT_NEARBY_RADIUS_KM = 5;
+const MAX_NEARBY_RADIUS_KM = 50;
+const MAX_NEARBY_RESULTS = 100;
+// Colleges within this distance are listed on a PG's detail page
+const NEARBY_COLLEGE_RADIUS_KM = 15;
+
+// Longest note an admin or owner can attach to a status change
+const MAX_MODERATION_NOTE_LENGTH = 1000;
+
+// Safe parsing of facilities - handles both JSON and comma-separated formats
+function safeParseFacilities(facilitiesData) {
+    if (!facilitiesData) return [];
+
+    if (Array.isArray(facilitiesData)) return facilitiesData;
+
+    if (typeof facilitiesData === 'string') {
+        if (facilitiesData.trim().startsWith('[')) {
+            try {
+                return JSON.parse(facilitiesData);
+            } catch (e) {
+                // Parsing failed, fall through to comma-separated
+            }
+        }
+
+        return facilitiesData
+            .split(',')
+            .map(f => f.trim())
+            .filter(f => f.length > 0);
+    }
+
+    return [];
+}
+
+// Attach ordered photo URLs to each PG row; the first image is the cover
+async function attachImages(repos, pgs) {
+    if (pgs.length === 0) return pgs;
+
+    const rows = await repos.images.listForPgs(pgs.map(pg => pg.id));
+
+    const imagesByPg = {};
+    rows.forEach(row => {
+        (imagesByPg[row.pg_id] = imagesByPg[row.pg_id] || []).push({
+            id: row.id,
+            url: storage.publicUrl(row.file_key),
+            thumbnail_url: storage.publicUrl(row.thumb_key)
+        });
+    });
+
+    return pgs.map(pg => ({ ...pg, images: imagesByPg[pg.id] || [] }));
+}
+
+// Add each listing's room types, cheapest first
+async function attachRooms(repos, pgs) {
+    if (pgs.length === 0) return pgs;
+
+    const rows = await repos.rooms.listForPgs(pgs.map(pg => pg.id));
+
+    const roomsByPg = {};
+    rows.forEach(({ pg_id: pgId, ...room }) => {
+        (roomsByPg[pgId] = roomsByPg[pgId] || []).push(room);
+    });
+
+    return pgs.map(pg => ({ ...pg, rooms: roomsByPg[pg.id] || [] }));
+}
+
+async function listRooms(repos, pgId) {
+    const [pg] = await attachRooms(repos, [{ id: Number(pgId) }]);
+    return pg.rooms;
+}
+
+async function listImages(repos, pgId) {
+    const [pg] = await attachImages(repos, [{ id: Number(pgId) }]);
+    return pg.images;
+}
+
+// Record prepared images after any existing photos. Nothing is written to storage here:
+// the returned files go to writeImageFiles() once the transaction has committed, so a
+// rollback never leaves uploads on disk that no row points at.
+async function saveImages(repos, pgId, prepared) {
+    if (prepared.length === 0) return [];
+
+    const nextPosition = await repos.images.nextPosition(pgId);
+    const files = [];
+
+    for (const [index, image] of prepared.entries()) {
+        const fileKey = `pgs/${pgId}/${image.fileName}`;
+        const thumbKey = `pgs/${pgId}/${image.thumbName}`;
+
+        await repos.images.add(pgId, { fileKey, thumbKey, position: nextPosition + index });
+        files.push({ key: fileKey, data: image.original }, { key: thumbKey, data: image.thumbnail });
+    }
+
+    return files;
+}
+
+async function writeImageFiles(files) {
+    for (const { key, data } of files) {
+        await storage.save(key, data);
+    }
+}
+
+// Pick a listing's coordinates: the owner's map pin if sent, otherwise the ones it
+// already has, otherwise the local pincode/city table. Returns { latitude, longitude }
+// (both null when nothing is known) or { error } for a bad pin.
+function resolveCoordinates(body, existing = null) {
+    const { pgLatitude, pgLongitude, pgPincode, pgCity } = body;
+    const sent = value => value !== undefined && value !== null && value !== "";
+
+    if (sent(pgLatitude) || sent(pgLongitude)) {
+        const latitude = Number(pgLatitude);
+        const longitude = Number(pgLongitude);
+
+        if (!isValidCoordinate(latitude, longitude)) {
+            return { error: "Pick the PG's location on the map again; the coordinates are invalid" };
+        }
+
+        return { latitude, longitude };
+    }
+
+    if (existing && existing.latitude !== null && existing.longitude !== null) {
+        return { latitude: existing.latitude, longitude: existing.longitude };
+    }
+
+    const found = lookupCoordinates({ pincode: pgPincode, city: pgCity });
+
+    return found
+        ? { latitude: found.lat, longitude: found.lng }
+        : { latitude: null, longitude: null };
+}
+
+function roundKm(km) {
+    return Math.round(km * 100) / 100;
+}
+
+// Link a listing to a college and work out its distance from the coordinates. The owner never
+// types a distance: a listed college needs a position (map pin or a pincode/city lookup hit), and a
+// college entered by name stores a NULL distance because there is nothing to measure from.
+// Returns { collegeId, collegeName, distance } or { errors } keyed by form field.
+async function resolveCollegeDistance(repos, body, location) {
+    const { pgCollegeId, pgCollege } = body;
+
+    if (pgCollegeId !== undefined && pgCollegeId !== null && pgCollegeId !== "") {
+        const college = await repos.colleges.findById(pgCollegeId);
+
+        if (!college) {
+            return { errors: { pgCollegeId: "The selected college does not exist" } };
+        }
+
+        if (location.latitude === null || location.longitude === null) {
+            return { errors: { pgLatitude: "Pin the PG on the map; its pincode and city are not in the location list, so the distance to the college cannot be calculated" } };
+        }
+
+        const distance = roundKm(haversineKm(
+            Number(location.latitude), Number(location.longitude),
+            Number(college.latitude), Number(college.longitude)
+        ));
+
+        if (distance > MAX_COLLEGE_DISTANCE_KM) {
+            return {
+                errors: {
+                    pgLatitude: `The PG is ${Math.round(distance)} km from ${college.name}. Check the map pin or pick a college within ${MAX_COLLEGE_DISTANCE_KM} km.`
+                }
+            };
+        }
+
+        return { collegeId: college.id, collegeName: college.name, distance };
+    }
+
+    if (!(pgCollege && String(pgCollege).trim())) {
+        return { errors: { pgCollege: "Pick a college from the list or enter its name" } };
+    }
+
+    return { collegeId: null, collegeName: pgCollege, distance: null };
+}
+
+// Turn GET /api/pgs query parameters into SQL conditions on public listings.
+// With a `college` ({ latitude, longitude }), maxDistance is measured from it; otherwise it filters on the
+// stored distance, which is NULL (and so never matches) for listings that name an unlisted college.
+// Price and `available` match individual room types, so a listing qualifies when one of its rooms does.
+// Returns { conditions, params, errors }; errors is keyed by query parameter.
+function buildListingFilters(query, { college = null } = {}) {
+    const conditions = ["status = 'approved'", "is_published = 1"];
+    const params = [];
+    const errors = {};
+
+    const collegePoint = college ? [college.latitude, college.latitude, college.longitude] : [];
+    const numberFilters = [
+        ["minRating", "rating_avg >= ?", []],
+        ["maxDistance", college ? `${HAVERSINE_SQL} <= ?` : "distance <= ?", collegePoint]
+    ];
+
+    numberFilters.forEach(([name, condition, conditionParams]) => {
+        if (query[name] === undefined || query[name] === "") return;
+
+        const value = Number(query[name]);
+        if (!Number.isFinite(value) || value < 0) {
+            errors[name] = `${name} must be a positive number`;
+            return;
+        }
+
+        conditions.push(condition);
+        params.push(...conditionParams, value);
+    });
+
+    const roomConditions = [];
+    const roomParams = [];
+    [["minPrice", "rent >= ?"], ["maxPrice", "rent <= ?"]].forEach(([name, condition]) => {
+        if (query[name] === undefined || query[name] === "") return;
+
+        const value = Number(query[name]);
+        if (!Number.isFinite(value) || value < 0) {
+            errors[name] = `${name} must be a positive number`;
+            return;
+        }
+
+        roomConditions.push(condition);
+        roomParams.push(value);
+    });
+
+    const availableOnly = query.available === "1" || query.available === "true";
+    if (query.available !== undefined && query.available !== "" && !availableOnly &&
+        query.available !== "0" && query.available !== "false") {
+        errors.available = "available must be 1 or 0";
+    }
+
+    if (availableOnly || roomConditions.length > 0) {
+        const matchingRoom = `EXISTS (SELECT 1 FROM pg_rooms r WHERE r.pg_id = pgs.id AND ${[
+            ...roomConditions.map(condition => `r.${condition}`),
+            ...(availableOnly ? ["r.free_beds > 0"] : [])
+        ].join(" AND ")})`;
+
+        // Listings without room types have no bed counts, so only their own rent can match
+        if (availableOnly) {
+            conditions.push(matchingRoom);
+            params.push(...roomParams);
+        } else {
+            conditions.push(`(${matchingRoom} OR (total_beds IS NULL AND ${roomConditions.join(" AND ")}))`);
+            params.push(...roomParams, ...roomParams);
+        }
+    }
+
+    if (query.ids !== undefined && query.ids !== "") {
+        const ids = String(query.ids).split(",").map(id => Number(id.trim()));
+
+        if (ids.length > MAX_COMPARE_IDS || ids.some(id => !Number.isInteger(id) || id <= 0)) {
+            errors.ids = `ids must be up to ${MAX_COMPARE_IDS} listing IDs separated by commas`;
+        } else {
+            conditions.push("id IN (?)");
+            params.push(ids);
+        }
+    }
+
+    if (query.facilities) {
+        String(query.facilities).split(",").map(f => f.trim()).filter(Boolean).forEach(f => {
+            conditions.push("JSON_CONTAINS(facilities, JSON_QUOTE(?))");
+            params.push(f);
+        });
+    }
+
+    if (query.city) {
+        conditions.push("city = ?");
+        params.push(String(query.city).trim());
+    }
+
+    if (query.college) {
+        conditions.push("college = ?");
+        params.push(String(query.college).trim());
+    }
+
+    if (query.roomType) {
+        if (!ROOM_TYPES.includes(query.roomType)) {
+            errors.roomType = `roomType must be one of: ${ROOM_TYPES.join(", ")}`;
+        } else {
+            conditions.push("room_type = ?");
+            params.push(query.roomType);
+        }
+    }
+
+    // Mixed PGs suit everyone, so they match any gender filter
+    if (query.gender) {
+        if (!GENDERS.includes(query.gender)) {
+            errors.gender = `gender must be one of: ${GENDERS.join(", ")}`;
+        } else {
+            conditions.push("gender IN (?, 'both')");
+            params.push(query.gender);
+        }
+    }
+
+    const keyword = typeof query.q === "string" ? query.q.trim() : "";
+    if (keyword) {
+        const pattern = containsPattern(keyword);
+        conditions.push("(name LIKE ? OR address LIKE ? OR college LIKE ? OR description LIKE ?)");
+        params.push(pattern, pattern, pattern, pattern);
+    }
+
+    return { conditions, params, errors };
+}
+
+// ORDER BY for a sort name; measured from a college, listings without a map position go last
+function listingOrder(sort, college = null) {
+    return college && sort === "distance"
+        ? "distance_km IS NULL, distance_km ASC, id ASC"
+        : LISTING_SORTS[sort];
+}
+
+// Read ?page=&limit= with sane bounds; page is 1-based
+function parsePagination(query, defaultLimit = DEFAULT_PAGE_SIZE) {
+    const page = Math.max(1, parseInt(query.page, 10) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit, 10) || defaultLimit));
+
+    return { page, limit, offset: (page - 1) * limit };
+}
+
+module.exports = {
+    storage,
+    LISTING_SORTS,
+    LISTING_STATUSES,
+    ROOM_TYPES,
+    GENDERS,
+    MAX_RENT,
+    DEFAULT_NEARBY_RADIUS_KM,
+    MAX_NEARBY_RADIUS_KM,
+    MAX_NEARBY_RESULTS,
+    NEARBY_COLLEGE_RADIUS_KM,
+    MAX_MODERATION_NOTE_LENGTH,
+    safeParseFacilities,
+    attachImages,
+    attachRooms,
+    listRooms,
+    listImages,
+    saveImages,
+    writeImageFiles,
+    resolveCoordinates,
+    roundKm,
+    resolveCollegeDistance,
+    buildListingFilters,
+    listingOrder,
+    parsePagination
+};
@@ -0,0 +1,104 @@
+// Structured logging: every line is one JSON object, e.g.
+//   {"time":"…","level":"info","msg":"PG approved","requestId":"…","pgId":12,"adminId":3}
+// requestLogger() gives each request an ID (taken from a sane incoming X-Request-Id or generated),
+// returns it in the X-Request-Id response header and keeps it in AsyncLocalStorage, so any log
+// line written while handling that request carries it without passing it around.
+//   LOG_LEVEL   debug, info (default), warn, error or silent
+
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+// Incoming IDs are echoed into logs and headers, so only short, plain ones are trusted
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+const requestContext = new AsyncLocalStorage();
+
+function currentRequestId() {
+    const store = requestContext.getStore();
+    return store ? store.requestId : undefined;
+}
+
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.code ? { code: error.code } : {}),
+        stack: error.stack
+    };
+}
+
+// Info and debug go to stdout, warnings and errors to stderr
+function consoleWrite(level, line) {
+    if (LEVELS[level] >= LEVELS.warn) console.error(line);
+    else console.log(line);
+}
+
+function createLogger({ level = "info", write = consoleWrite } = {}) {
+    const threshold = LEVELS[level] === undefined ? LEVELS.info : LEVELS[level];
+
+    function log(lineLevel, msg, fields = {}) {
+        if (LEVELS[lineLevel] < threshold) return;
+
+        const entry = { time: new Date().toISOString(), level: lineLevel, msg };
+        const requestId = currentRequestId();
+        if (requestId) entry.requestId = requestId;
+
+        for (const [key, value] of Object.entries(fields)) {
+            if (value === undefined) continue;
+            entry[key] = value instanceof Error ? serializeError(value) : value;
+        }
+
+        write(lineLevel, JSON.stringify(entry));
+    }
+
+    return {
+        debug: (msg, fields) => log("debug", msg, fields),
+        info: (msg, fields) => log("info", msg, fields),
+        warn: (msg, fields) => log("warn", msg, fields),
+        error: (msg, fields) => log("error", msg, fields)
+    };
+}
+
+const logger = createLogger({ level: process.env.LOG_LEVEL || "info" });
+
+// The path without its query string: some routes take a token in the query (the notification stream)
+function requestPath(req) {
+    return req.originalUrl.split("?")[0];
+}
+
+// First middleware: assigns the request ID and logs one line per request when it ends
+function requestLogger(req, res, next) {
+    const incoming = req.get("X-Request-Id");
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    const started = process.hrtime.bigint();
+
+    req.id = requestId;
+    res.set("X-Request-Id", requestId);
+
+    // "close" also fires for streams the client hangs up on, which never "finish"
+    res.on("close", () => {
+        const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+        const status = res.statusCode;
+
+        logger[status >= 500 ? "error" : "info"]("Request completed", {
+            requestId,
+            method: req.method,
+            path: requestPath(req),
+            status,
+            durationMs: Math.round(durationMs * 10) / 10,
+            userId: req.user ? req.user.id : undefined,
+            aborted: res.writableFinished ? undefined : true
+        });
+    });
+
+    requestContext.run({ requestId }, next);
+}
+
+module.exports = {
+    logger,
+    createLogger,
+    requestLogger,
+    requestPath,
+    currentRequestId
+};
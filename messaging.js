@@ -0,0 +1,123 @@
+// Everything the API sends to users outside a response: in-app notifications (stored, then
+// pushed live through the hub) and saved-search alerts by email or SMS through the delivery transport.
+
+const repos = require("./repositories");
+const { config } = require("./config");
+const { logger } = require("./logger");
+const { createNotificationHub } = require("./notifications");
+const { createDeliveryTransport } = require("./delivery");
+const { buildListingFilters } = require("./listings");
+
+const notificationHub = createNotificationHub();
+const deliveryTransport = createDeliveryTransport();
+
+const MAX_NOTIFICATION_TITLE_LENGTH = 200;
+
+// Store a notification and push it to the user's open dashboards. Call it once the action
+// has been committed; it is best effort, so a failure is only logged.
+async function notify(userId, { type, title, body = null, link = null }) {
+    try {
+        const id = await repos.notifications.create(userId, {
+            type,
+            title: title.slice(0, MAX_NOTIFICATION_TITLE_LENGTH),
+            body: body || null,
+            link
+        });
+
+        notificationHub.publish(userId, "notification", {
+            notification: {
+                id,
+                type,
+                title,
+                body: body || null,
+                link,
+                read_at: null,
+                created_at: new Date().toISOString()
+            },
+            unread: await repos.notifications.countUnread(userId)
+        });
+    } catch (error) {
+        logger.error("Notification could not be sent", { userId, type, error });
+    }
+}
+
+// Email or SMS copy of a saved-search alert; the in-app notification is sent separately
+function sendSearchAlert(search, pg) {
+    const link = `${config.appBaseUrl}/pg-details.html?id=${pg.id}`;
+    const rent = `₹${Number(pg.rent)}/month`;
+
+    if (search.alerts === "sms") {
+        return deliveryTransport.send({
+            channel: "sms",
+            to: search.phone,
+            text: `PG Finder: ${pg.name} (${rent}) matches "${search.name}". ${link}`
+        });
+    }
+
+    return deliveryTransport.send({
+        channel: "email",
+        to: search.email,
+        subject: `New PG for "${search.name}": ${pg.name}`,
+        text: [
+            `Hi ${search.user_name},`,
+            "",
+            `${pg.name}${pg.city ? ` in ${pg.city}` : ""} (${rent}) was just listed and matches your saved search "${search.name}".`,
+            link,
+            "",
+            "You can change or turn off these alerts under Saved searches on your dashboard."
+        ].join("\n")
+    });
+}
+
+// Tell every student whose saved search matches a newly approved listing.
+// Runs after the admin has their response; the caller logs any failure.
+async function alertSavedSearches(pgId) {
+    const pg = await repos.pgs.findById(pgId);
+    if (!pg) return;
+
+    const searches = await repos.savedSearches.listAlerting();
+
+    let alerted = 0;
+    for (const search of searches) {
+        const { filters } = search;
+        const college = filters.collegeId ? await repos.colleges.findById(filters.collegeId) : null;
+
+        // A search whose college was removed can no longer be measured from it
+        if (filters.collegeId && !college) continue;
+
+        const { conditions, params, errors } = buildListingFilters(filters, { college });
+        if (Object.keys(errors).length > 0) continue;
+
+        if (!(await repos.pgs.matches(pgId, conditions, params))) continue;
+
+        await repos.savedSearches.markAlerted(search.id);
+
+        await notify(search.user_id, {
+            type: "saved_search_match",
+            title: `New PG for "${search.name}": ${pg.name}`,
+            body: `₹${Number(pg.rent)}/month${pg.city ? ` in ${pg.city}` : ""}`,
+            link: `pg-details.html?id=${pgId}`
+        });
+
+        if (search.alerts === "email" || search.alerts === "sms") {
+            try {
+                await sendSearchAlert(search, pg);
+            } catch (error) {
+                logger.error("Saved-search alert delivery failed", { searchId: search.id, channel: search.alerts, error: error.message });
+            }
+        }
+
+        alerted++;
+    }
+
+    if (alerted > 0) {
+        logger.info("Saved-search alerts sent", { pgId, alerted });
+    }
+}
+
+module.exports = {
+    notificationHub,
+    deliveryTransport,
+    notify,
+    alertSavedSearches
+};
@@ -0,0 +1,104 @@
+// In-process request metrics for GET /api/metrics: per route (method + route pattern, so
+// /api/pgs/4 and /api/pgs/9 count together) the number of requests, responses by status and
+// latency percentiles over the most recent requests. Like rate-limit.js, the numbers live in this
+// process and start again from zero when the server restarts.
+
+// Latency percentiles are computed over this many recent requests per route
+const LATENCY_SAMPLES = 500;
+// Requests that matched no route share one entry, so random URLs cannot grow the table
+const UNMATCHED_ROUTE = "unmatched";
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+    return sorted[Math.max(0, index)];
+}
+
+function round(ms) {
+    return ms === null ? null : Math.round(ms * 10) / 10;
+}
+
+function createMetrics({ now = Date.now } = {}) {
+    const startedAt = now();
+    const routes = new Map();
+
+    return {
+        record(route, status, durationMs) {
+            if (!routes.has(route)) {
+                routes.set(route, { count: 0, statuses: {}, totalMs: 0, maxMs: 0, samples: [] });
+            }
+            const entry = routes.get(route);
+
+            entry.count++;
+            entry.statuses[status] = (entry.statuses[status] || 0) + 1;
+            entry.totalMs += durationMs;
+            entry.maxMs = Math.max(entry.maxMs, durationMs);
+
+            entry.samples.push(durationMs);
+            if (entry.samples.length > LATENCY_SAMPLES) entry.samples.shift();
+        },
+
+        // Routes sorted by request count, busiest first
+        snapshot() {
+            const byStatus = {};
+            let total = 0;
+
+            const list = [...routes.entries()].map(([route, entry]) => {
+                total += entry.count;
+                for (const [status, count] of Object.entries(entry.statuses)) {
+                    byStatus[status] = (byStatus[status] || 0) + count;
+                }
+
+                const sorted = [...entry.samples].sort((a, b) => a - b);
+                const serverErrors = Object.entries(entry.statuses)
+                    .filter(([status]) => Number(status) >= 500)
+                    .reduce((sum, [, count]) => sum + count, 0);
+
+                return {
+                    route,
+                    count: entry.count,
+                    statuses: entry.statuses,
+                    errorRate: Math.round((serverErrors / entry.count) * 1000) / 1000,
+                    latencyMs: {
+                        avg: round(entry.totalMs / entry.count),
+                        p50: round(percentile(sorted, 50)),
+                        p95: round(percentile(sorted, 95)),
+                        p99: round(percentile(sorted, 99)),
+                        max: round(entry.maxMs)
+                    }
+                };
+            });
+
+            list.sort((a, b) => b.count - a.count || a.route.localeCompare(b.route));
+
+            return {
+                startedAt: new Date(startedAt).toISOString(),
+                uptimeSeconds: Math.round((now() - startedAt) / 1000),
+                requests: { total, byStatus },
+                routes: list
+            };
+        }
+    };
+}
+
+const metrics = createMetrics();
+
+// Mounted at the routers' prefix ("/api"): req.baseUrl is that prefix here, while by the time the
+// response ends an error may have taken the request back out of its router
+function trackRequests(req, res, next) {
+    const prefix = req.baseUrl;
+    const started = process.hrtime.bigint();
+
+    res.on("close", () => {
+        const route = req.route ? `${req.method} ${prefix}${req.route.path}` : UNMATCHED_ROUTE;
+        metrics.record(route, res.statusCode, Number(process.hrtime.bigint() - started) / 1e6);
+    });
+
+    next();
+}
+
+module.exports = {
+    metrics,
+    createMetrics,
+    trackRequests
+};
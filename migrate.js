@@ -0,0 +1,153 @@
+// Applies the versioned schema changes in migrations/ and records them in schema_migrations.
+// Each migration file exports { up: [sql, ...], down: [sql, ...] }; files run in name order.
+//
+// Usage: npm run migrate                          apply every pending migration
+//        npm run migrate:rollback                 undo the last applied migration
+//        npm run migrate:rollback -- 3            undo the last three
+//        npm run migrate -- status                list applied and pending migrations
+//        npm run migrate -- baseline 016          mark migrations up to 016 as applied without running them
+//
+// `baseline` is for databases built by hand from the SQL in README-BACKEND.md before migrations existed.
+// MySQL commits schema changes immediately, so a migration that fails halfway is not rolled back;
+// fix the cause, undo the statements that did run, and migrate again.
+
+require("dotenv").config();
+
+const fs = require("fs");
+const path = require("path");
+const pool = require("./db");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+function loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+        .sort()
+        .map(file => ({
+            version: file.replace(/\.js$/, ""),
+            ...require(path.join(MIGRATIONS_DIR, file))
+        }));
+}
+
+async function appliedVersions(conn) {
+    await conn.query(
+        `CREATE TABLE IF NOT EXISTS schema_migrations (
+            version VARCHAR(255) PRIMARY KEY,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`
+    );
+
+    const [rows] = await conn.query("SELECT version FROM schema_migrations ORDER BY version");
+    return rows.map(row => row.version);
+}
+
+async function runStatements(conn, statements) {
+    for (const sql of statements) {
+        await conn.query(sql);
+    }
+}
+
+// `log` lets the test suite migrate its throwaway databases quietly
+async function migrateUp(conn, { log = console.log } = {}) {
+    const applied = new Set(await appliedVersions(conn));
+    const pending = loadMigrations().filter(migration => !applied.has(migration.version));
+
+    if (pending.length === 0) {
+        log("✅ Database is up to date");
+        return;
+    }
+
+    for (const migration of pending) {
+        await runStatements(conn, migration.up);
+        await conn.query("INSERT INTO schema_migrations (version) VALUES (?)", [migration.version]);
+        log(`✅ Applied ${migration.version}`);
+    }
+}
+
+async function rollback(conn, steps) {
+    const applied = await appliedVersions(conn);
+    const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+    const toUndo = applied.slice(-steps).reverse();
+
+    if (toUndo.length === 0) {
+        console.log("Nothing to roll back");
+        return;
+    }
+
+    for (const version of toUndo) {
+        const migration = migrations.get(version);
+        if (!migration) {
+            throw new Error(`Migration file for ${version} is missing; cannot roll it back`);
+        }
+
+        await runStatements(conn, migration.down);
+        await conn.query("DELETE FROM schema_migrations WHERE version = ?", [version]);
+        console.log(`✅ Rolled back ${version}`);
+    }
+}
+
+async function status(conn) {
+    const applied = new Set(await appliedVersions(conn));
+
+    for (const migration of loadMigrations()) {
+        console.log(`${applied.has(migration.version) ? "applied" : "pending"}  ${migration.version}`);
+    }
+}
+
+async function baseline(conn, upTo) {
+    const applied = new Set(await appliedVersions(conn));
+    const migrations = loadMigrations();
+    const last = migrations.findIndex(migration => migration.version.startsWith(`${upTo}_`) || migration.version === upTo);
+
+    if (!upTo || last === -1) {
+        throw new Error(`Unknown migration: ${upTo || "(none given)"}`);
+    }
+
+    for (const migration of migrations.slice(0, last + 1)) {
+        if (applied.has(migration.version)) continue;
+
+        await conn.query("INSERT INTO schema_migrations (version) VALUES (?)", [migration.version]);
+        console.log(`✅ Marked ${migration.version} as applied`);
+    }
+}
+
+async function main() {
+    const [command = "up", arg] = process.argv.slice(2);
+    const commands = {
+        up: conn => migrateUp(conn),
+        rollback: conn => {
+            const steps = arg === undefined ? 1 : Number(arg);
+            if (!Number.isInteger(steps) || steps < 1) {
+                throw new Error("rollback takes a positive number of migrations");
+            }
+            return rollback(conn, steps);
+        },
+        status: conn => status(conn),
+        baseline: conn => baseline(conn, arg)
+    };
+
+    if (!commands[command]) {
+        console.error("Usage: node migrate.js [up | rollback [steps] | status | baseline <version>]");
+        process.exitCode = 1;
+        return;
+    }
+
+    const conn = await pool.getConnection();
+
+    try {
+        await commands[command](conn);
+    } finally {
+        conn.release();
+    }
+}
+
+if (require.main === module) {
+    main()
+        .catch(error => {
+            console.error("❌ Migration failed:", error.message);
+            process.exitCode = 1;
+        })
+        .finally(() => pool.end());
+}
+
+module.exports = { loadMigrations, migrateUp, rollback };
@@ -0,0 +1,14 @@
+// Accounts for students, owners and admins. Later migrations add status and email verification.
+module.exports = {
+    up: [
+        `CREATE TABLE users (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(100) NOT NULL,
+            email VARCHAR(255) NOT NULL UNIQUE,
+            password VARCHAR(255) NOT NULL,
+            role ENUM('student', 'owner', 'admin') NOT NULL DEFAULT 'student',
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`
+    ],
+    down: ["DROP TABLE users"]
+};
@@ -0,0 +1,29 @@
+// Listings as owners first submitted them. `college` and `distance` are what the owner typed;
+// location, college links, ratings and room totals come in later migrations.
+module.exports = {
+    up: [
+        `CREATE TABLE pgs (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            owner_id INT NOT NULL,
+            name VARCHAR(150) NOT NULL,
+            rent DECIMAL(10,2) NOT NULL,
+            address VARCHAR(255) NOT NULL,
+            city VARCHAR(100) NOT NULL,
+            pincode VARCHAR(10) NOT NULL,
+            distance DECIMAL(6,2) NULL,
+            college VARCHAR(150) NULL,
+            room_type VARCHAR(20) NULL,
+            gender VARCHAR(10) NULL,
+            deposit DECIMAL(10,2) NOT NULL DEFAULT 0,
+            facilities JSON NULL,
+            description TEXT NULL,
+            status ENUM('pending', 'approved', 'rejected') NOT NULL DEFAULT 'pending',
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_pgs_owner (owner_id),
+            INDEX idx_pgs_status (status),
+            FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE CASCADE
+        )`
+    ],
+    down: ["DROP TABLE pgs"]
+};
@@ -0,0 +1,14 @@
+module.exports = {
+    up: [
+        `CREATE TABLE pg_images (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            pg_id INT NOT NULL,
+            file_key VARCHAR(255) NOT NULL,
+            thumb_key VARCHAR(255) NOT NULL,
+            position INT NOT NULL DEFAULT 0,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (pg_id) REFERENCES pgs(id) ON DELETE CASCADE
+        )`
+    ],
+    down: ["DROP TABLE pg_images"]
+};
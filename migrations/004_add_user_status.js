@@ -0,0 +1,4 @@
+module.exports = {
+    up: ["ALTER TABLE users ADD COLUMN status ENUM('active', 'suspended') NOT NULL DEFAULT 'active'"],
+    down: ["ALTER TABLE users DROP COLUMN status"]
+};
@@ -0,0 +1,18 @@
+// One row per refresh token; only its SHA-256 hash is stored
+module.exports = {
+    up: [
+        `CREATE TABLE user_sessions (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            token_hash CHAR(64) NOT NULL UNIQUE,
+            user_agent VARCHAR(255),
+            ip VARCHAR(45),
+            expires_at DATETIME NOT NULL,
+            revoked_at DATETIME NULL,
+            last_used_at DATETIME NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )`
+    ],
+    down: ["DROP TABLE user_sessions"]
+};
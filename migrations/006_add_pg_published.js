@@ -0,0 +1,4 @@
+module.exports = {
+    up: ["ALTER TABLE pgs ADD COLUMN is_published TINYINT(1) NOT NULL DEFAULT 1"],
+    down: ["ALTER TABLE pgs DROP COLUMN is_published"]
+};
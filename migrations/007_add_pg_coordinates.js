@@ -0,0 +1,14 @@
+module.exports = {
+    up: [
+        `ALTER TABLE pgs
+            ADD COLUMN latitude DECIMAL(9,6) NULL,
+            ADD COLUMN longitude DECIMAL(9,6) NULL,
+            ADD INDEX idx_pgs_location (latitude, longitude)`
+    ],
+    down: [
+        `ALTER TABLE pgs
+            DROP INDEX idx_pgs_location,
+            DROP COLUMN latitude,
+            DROP COLUMN longitude`
+    ]
+};
@@ -0,0 +1,24 @@
+// The foreign key is named so the rollback can drop it
+module.exports = {
+    up: [
+        `CREATE TABLE colleges (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(150) NOT NULL,
+            city VARCHAR(100) NULL,
+            latitude DECIMAL(9,6) NOT NULL,
+            longitude DECIMAL(9,6) NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY uniq_college (name, city),
+            INDEX idx_colleges_location (latitude, longitude)
+        )`,
+        `ALTER TABLE pgs
+            ADD COLUMN college_id INT NULL,
+            ADD CONSTRAINT fk_pgs_college FOREIGN KEY (college_id) REFERENCES colleges(id) ON DELETE SET NULL`
+    ],
+    down: [
+        "ALTER TABLE pgs DROP FOREIGN KEY fk_pgs_college",
+        "ALTER TABLE pgs DROP COLUMN college_id",
+        "DROP TABLE colleges"
+    ]
+};
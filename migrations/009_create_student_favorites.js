@@ -0,0 +1,14 @@
+// pg_id has no foreign key on purpose: a saved entry outlives a deleted listing and pg_name still names it
+module.exports = {
+    up: [
+        `CREATE TABLE student_favorites (
+            user_id INT NOT NULL,
+            pg_id INT NOT NULL,
+            pg_name VARCHAR(255) NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (user_id, pg_id),
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )`
+    ],
+    down: ["DROP TABLE student_favorites"]
+};
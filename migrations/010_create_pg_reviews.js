@@ -0,0 +1,33 @@
+module.exports = {
+    up: [
+        `CREATE TABLE pg_reviews (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            pg_id INT NOT NULL,
+            user_id INT NOT NULL,
+            rating TINYINT NOT NULL,
+            body TEXT NOT NULL,
+            owner_reply TEXT NULL,
+            owner_replied_at TIMESTAMP NULL,
+            is_hidden TINYINT(1) NOT NULL DEFAULT 0,
+            hidden_reason VARCHAR(1000) NULL,
+            hidden_by INT NULL,
+            hidden_at TIMESTAMP NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY uniq_review_per_student (pg_id, user_id),
+            FOREIGN KEY (pg_id) REFERENCES pgs(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (hidden_by) REFERENCES users(id) ON DELETE SET NULL,
+            CHECK (rating BETWEEN 1 AND 5)
+        )`,
+        `ALTER TABLE pgs
+            ADD COLUMN rating_avg DECIMAL(3,2) NULL,
+            ADD COLUMN review_count INT NOT NULL DEFAULT 0`
+    ],
+    down: [
+        `ALTER TABLE pgs
+            DROP COLUMN rating_avg,
+            DROP COLUMN review_count`,
+        "DROP TABLE pg_reviews"
+    ]
+};
@@ -0,0 +1,18 @@
+module.exports = {
+    up: [
+        `CREATE TABLE pg_moderation_log (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            pg_id INT NOT NULL,
+            changed_by INT NULL,
+            action ENUM('approve', 'reject', 'resubmit', 'edit') NOT NULL,
+            old_status VARCHAR(20) NOT NULL,
+            new_status VARCHAR(20) NOT NULL,
+            note TEXT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_moderation_pg (pg_id),
+            FOREIGN KEY (pg_id) REFERENCES pgs(id) ON DELETE CASCADE,
+            FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL
+        )`
+    ],
+    down: ["DROP TABLE pg_moderation_log"]
+};
@@ -0,0 +1,31 @@
+// pgs.rent, rent_max and the bed columns are kept in sync with the rooms by pgs.refreshRooms() in repositories/pgs.js
+module.exports = {
+    up: [
+        `CREATE TABLE pg_rooms (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            pg_id INT NOT NULL,
+            name VARCHAR(60) NOT NULL,
+            sharing TINYINT NOT NULL DEFAULT 1,
+            rent DECIMAL(10,2) NOT NULL,
+            deposit DECIMAL(10,2) NOT NULL DEFAULT 0,
+            total_beds INT NOT NULL,
+            free_beds INT NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_rooms_pg (pg_id),
+            FOREIGN KEY (pg_id) REFERENCES pgs(id) ON DELETE CASCADE,
+            CHECK (free_beds BETWEEN 0 AND total_beds)
+        )`,
+        `ALTER TABLE pgs
+            ADD COLUMN rent_max DECIMAL(10,2) NULL,
+            ADD COLUMN total_beds INT NULL,
+            ADD COLUMN free_beds INT NULL`
+    ],
+    down: [
+        `ALTER TABLE pgs
+            DROP COLUMN rent_max,
+            DROP COLUMN total_beds,
+            DROP COLUMN free_beds`,
+        "DROP TABLE pg_rooms"
+    ]
+};
@@ -0,0 +1,40 @@
+// Visit and booking requests, plus the timeline of every status change
+module.exports = {
+    up: [
+        `CREATE TABLE pg_inquiries (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            pg_id INT NOT NULL,
+            student_id INT NOT NULL,
+            type ENUM('visit', 'booking') NOT NULL DEFAULT 'visit',
+            preferred_date DATE NOT NULL,
+            alternate_date DATE NULL,
+            message TEXT NOT NULL,
+            status ENUM('pending', 'accepted', 'declined', 'proposed', 'cancelled') NOT NULL DEFAULT 'pending',
+            proposed_for DATETIME NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_inquiry_student (student_id),
+            INDEX idx_inquiry_pg_status (pg_id, status),
+            FOREIGN KEY (pg_id) REFERENCES pgs(id) ON DELETE CASCADE,
+            FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE
+        )`,
+        `CREATE TABLE pg_inquiry_events (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            inquiry_id INT NOT NULL,
+            actor_id INT NULL,
+            action ENUM('create', 'accept', 'decline', 'propose', 'confirm', 'cancel') NOT NULL,
+            old_status VARCHAR(20) NULL,
+            new_status VARCHAR(20) NOT NULL,
+            note TEXT NULL,
+            proposed_for DATETIME NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_inquiry_events (inquiry_id),
+            FOREIGN KEY (inquiry_id) REFERENCES pg_inquiries(id) ON DELETE CASCADE,
+            FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL
+        )`
+    ],
+    down: [
+        "DROP TABLE pg_inquiry_events",
+        "DROP TABLE pg_inquiries"
+    ]
+};
@@ -0,0 +1,17 @@
+module.exports = {
+    up: [
+        `CREATE TABLE notifications (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            type VARCHAR(40) NOT NULL,
+            title VARCHAR(200) NOT NULL,
+            body TEXT NULL,
+            link VARCHAR(255) NULL,
+            read_at TIMESTAMP NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_notifications_user (user_id, read_at),
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )`
+    ],
+    down: ["DROP TABLE notifications"]
+};
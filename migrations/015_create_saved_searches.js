@@ -0,0 +1,17 @@
+module.exports = {
+    up: [
+        `CREATE TABLE saved_searches (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            name VARCHAR(80) NOT NULL,
+            filters JSON NOT NULL,
+            alerts ENUM('off', 'in_app', 'email', 'sms') NOT NULL DEFAULT 'in_app',
+            phone VARCHAR(20) NULL,
+            last_alert_at TIMESTAMP NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_saved_searches_user (user_id),
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )`
+    ],
+    down: ["DROP TABLE saved_searches"]
+};
@@ -0,0 +1,22 @@
+// Accounts that existed before verification was introduced are treated as verified
+module.exports = {
+    up: [
+        "ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMP NULL",
+        "UPDATE users SET email_verified_at = NOW() WHERE email_verified_at IS NULL",
+        `CREATE TABLE user_tokens (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            purpose ENUM('verify_email', 'reset_password') NOT NULL,
+            token_hash CHAR(64) NOT NULL UNIQUE,
+            expires_at DATETIME NOT NULL,
+            used_at DATETIME NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_user_tokens_user (user_id, purpose),
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )`
+    ],
+    down: [
+        "DROP TABLE user_tokens",
+        "ALTER TABLE users DROP COLUMN email_verified_at"
+    ]
+};
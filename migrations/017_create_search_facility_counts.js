@@ -0,0 +1,21 @@
+// Per-day counts of the facilities students filtered listings by, for the admin analytics' top
+// searched facilities; plus indexes for the analytics' date-range queries
+module.exports = {
+    up: [
+        `CREATE TABLE search_facility_counts (
+            day DATE NOT NULL,
+            facility VARCHAR(50) NOT NULL,
+            searches INT NOT NULL DEFAULT 0,
+            PRIMARY KEY (day, facility)
+        )`,
+        "CREATE INDEX idx_pgs_created ON pgs (created_at)",
+        "CREATE INDEX idx_users_created ON users (created_at)",
+        "CREATE INDEX idx_moderation_action ON pg_moderation_log (action, created_at)"
+    ],
+    down: [
+        "DROP INDEX idx_moderation_action ON pg_moderation_log",
+        "DROP INDEX idx_users_created ON users",
+        "DROP INDEX idx_pgs_created ON pgs",
+        "DROP TABLE search_facility_counts"
+    ]
+};
@@ -0,0 +1,14 @@
+// Distances are only ever calculated now. Listings that still hold the number their owner typed
+// (no linked college or no position) lose it from pgs.distance; owner_distance keeps a copy so
+// rolling back puts the typed values back.
+module.exports = {
+    up: [
+        "ALTER TABLE pgs ADD COLUMN owner_distance DECIMAL(6,2) NULL",
+        `UPDATE pgs SET owner_distance = distance, distance = NULL
+        WHERE college_id IS NULL OR latitude IS NULL OR longitude IS NULL`
+    ],
+    down: [
+        "UPDATE pgs SET distance = owner_distance WHERE owner_distance IS NOT NULL",
+        "ALTER TABLE pgs DROP COLUMN owner_distance"
+    ]
+};
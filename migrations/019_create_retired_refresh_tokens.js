@@ -0,0 +1,12 @@
+// Hashes of refresh tokens that have been rotated away, so presenting one again is recognised as reuse
+module.exports = {
+    up: [
+        `CREATE TABLE retired_refresh_tokens (
+            token_hash CHAR(64) PRIMARY KEY,
+            session_id INT NOT NULL,
+            retired_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (session_id) REFERENCES user_sessions(id) ON DELETE CASCADE
+        )`
+    ],
+    down: ["DROP TABLE retired_refresh_tokens"]
+};
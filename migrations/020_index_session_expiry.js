@@ -0,0 +1,5 @@
+// Pruning retired refresh tokens looks sessions up by expiry
+module.exports = {
+    up: ["CREATE INDEX idx_sessions_expires ON user_sessions (expires_at)"],
+    down: ["DROP INDEX idx_sessions_expires ON user_sessions"]
+};
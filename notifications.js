@@ -0,0 +1,93 @@
+// Live delivery of in-app notifications over Server-Sent Events.
+// messaging.js stores every notification in MySQL through the repositories; this hub only
+// pushes it to the dashboard tabs a user has open right now. Like rate-limit.js, the connections
+// live in this process, so a restart drops them and browsers reconnect by themselves.
+
+const HEARTBEAT_MS = 25 * 1000;
+
+function createNotificationHub({ now = Date.now } = {}) {
+    // userId -> Map(res -> { sessionId, expiresAt })
+    const streams = new Map();
+
+    function send(res, event, data) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    // Forget the matching streams before ending them, so nothing writes to one that is closing
+    function endWhere(shouldEnd) {
+        for (const [userId, connections] of streams) {
+            for (const [res, stream] of connections) {
+                if (!shouldEnd(stream, userId)) continue;
+
+                connections.delete(res);
+                res.end();
+            }
+            if (connections.size === 0) streams.delete(userId);
+        }
+    }
+
+    // A stream is only authorised when it opens, so the heartbeat also ends streams whose access
+    // token has expired; the browser reconnects with a fresh token or not at all.
+    // Comment lines keep the other idle connections from being closed by proxies.
+    const heartbeat = setInterval(() => {
+        endWhere(stream => stream.expiresAt !== null && stream.expiresAt <= now());
+
+        for (const connections of streams.values()) {
+            for (const res of connections.keys()) res.write(": ping\n\n");
+        }
+    }, HEARTBEAT_MS);
+    heartbeat.unref();
+
+    return {
+        // Turn an Express response into an event stream for `userId`, opened with the access token
+        // of session `sessionId` that expires at `expiresAt` (ms)
+        subscribe(userId, res, { unread = 0, sessionId = null, expiresAt = null } = {}) {
+            res.set({
+                "Content-Type": "text/event-stream",
+                "Cache-Control": "no-cache",
+                "Connection": "keep-alive",
+                "X-Accel-Buffering": "no"
+            });
+            res.flushHeaders();
+
+            if (!streams.has(userId)) streams.set(userId, new Map());
+            streams.get(userId).set(res, { sessionId, expiresAt });
+
+            res.on("close", () => {
+                const connections = streams.get(userId);
+                if (!connections) return;
+
+                connections.delete(res);
+                if (connections.size === 0) streams.delete(userId);
+            });
+
+            send(res, "ready", { unread });
+        },
+
+        publish(userId, event, data) {
+            const connections = streams.get(userId);
+            if (!connections) return;
+
+            for (const res of connections.keys()) send(res, event, data);
+        },
+
+        // End every stream `userId` has open once their sessions are revoked. The browser's
+        // reconnect then fails verifyToken, so nothing more reaches a signed-out or suspended account.
+        disconnectUser(userId) {
+            endWhere((stream, streamUserId) => streamUserId === userId);
+        },
+
+        // The same for the streams of one session, e.g. after logging out on that device
+        disconnectSession(sessionId) {
+            endWhere(stream => stream.sessionId === sessionId);
+        },
+
+        connectionCount() {
+            let count = 0;
+            for (const connections of streams.values()) count += connections.size;
+            return count;
+        }
+    };
+}
+
+module.exports = { createNotificationHub, HEARTBEAT_MS };
@@ -0,0 +1,55 @@
+// Password hashing with Node's built-in scrypt.
+// Hashes are stored as "scrypt$N$r$p$salt$hash" so the cost can be raised later
+// without breaking existing rows.
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+const COST = 16384;
+const BLOCK_SIZE = 8;
+const PARALLELISM = 1;
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+function isHashed(stored) {
+    return typeof stored === "string" && stored.startsWith("scrypt$");
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const hash = await scrypt(password, salt, KEY_LENGTH, { N: COST, r: BLOCK_SIZE, p: PARALLELISM });
+
+    return ["scrypt", COST, BLOCK_SIZE, PARALLELISM, salt.toString("base64"), hash.toString("base64")].join("$");
+}
+
+// Accepts legacy plaintext rows too; callers should re-hash when needsRehash() is true
+async function verifyPassword(password, stored) {
+    if (typeof password !== "string" || typeof stored !== "string") return false;
+
+    if (!isHashed(stored)) {
+        const a = Buffer.from(password);
+        const b = Buffer.from(stored);
+        return a.length === b.length && crypto.timingSafeEqual(a, b);
+    }
+
+    const [, N, r, p, salt, hash] = stored.split("$");
+    const expected = Buffer.from(hash, "base64");
+    const actual = await scrypt(password, Buffer.from(salt, "base64"), expected.length, {
+        N: Number(N),
+        r: Number(r),
+        p: Number(p)
+    });
+
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+function needsRehash(stored) {
+    if (!isHashed(stored)) return true;
+
+    const [, N, r, p] = stored.split("$");
+    return Number(N) !== COST || Number(r) !== BLOCK_SIZE || Number(p) !== PARALLELISM;
+}
+
+module.exports = { hashPassword, verifyPassword, needsRehash };
@@ -0,0 +1,69 @@
+// In-memory fixed-window rate limiter.
+// Each key gets `max` hits per `windowMs`; reaching the limit blocks the key for `blockMs`.
+// State lives in this process only, so it resets when the server restarts.
+
+function createRateLimiter({ windowMs, max, blockMs = windowMs }) {
+    const entries = new Map();
+
+    function current(key, now) {
+        const entry = entries.get(key);
+        if (!entry) return null;
+
+        const expired = entry.blockedUntil
+            ? entry.blockedUntil <= now
+            : entry.windowStart + windowMs <= now;
+
+        if (expired) {
+            entries.delete(key);
+            return null;
+        }
+
+        return entry;
+    }
+
+    function toStatus(entry, now) {
+        if (entry && entry.blockedUntil) {
+            return { blocked: true, retryAfterMs: entry.blockedUntil - now };
+        }
+        return { blocked: false, remaining: max - (entry ? entry.count : 0) };
+    }
+
+    // Drop stale keys now and then so the map does not grow forever
+    const sweeper = setInterval(() => {
+        const now = Date.now();
+        for (const key of entries.keys()) current(key, now);
+    }, Math.max(windowMs, blockMs));
+    sweeper.unref();
+
+    return {
+        status(key) {
+            const now = Date.now();
+            return toStatus(current(key, now), now);
+        },
+
+        hit(key) {
+            const now = Date.now();
+            let entry = current(key, now);
+
+            if (!entry) {
+                entry = { count: 0, windowStart: now, blockedUntil: null };
+                entries.set(key, entry);
+            }
+
+            if (!entry.blockedUntil) {
+                entry.count += 1;
+                if (entry.count >= max) {
+                    entry.blockedUntil = now + blockMs;
+                }
+            }
+
+            return toStatus(entry, now);
+        },
+
+        reset(key) {
+            entries.delete(key);
+        }
+    };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,39 @@
+// Single-use tokens behind emailed links (email verification, password reset), stored hashed
+
+function createAccountTokenRepository(db) {
+    return {
+        // Any earlier unused link of the same kind stops working
+        async replace(userId, purpose, tokenHash, expiresAt) {
+            await db.query(
+                "UPDATE user_tokens SET used_at = NOW() WHERE user_id = ? AND purpose = ? AND used_at IS NULL",
+                [userId, purpose]
+            );
+
+            await db.query(
+                "INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at) VALUES (?, ?, ?, ?)",
+                [userId, purpose, tokenHash, expiresAt]
+            );
+        },
+
+        // Use up a token; returns its user ID, or null when it is unknown, expired or already used
+        async consume(tokenHash, purpose) {
+            const [rows] = await db.query(
+                `SELECT id, user_id FROM user_tokens
+                WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > NOW()`,
+                [tokenHash, purpose]
+            );
+
+            if (rows.length === 0) return null;
+
+            // The IS NULL check makes two simultaneous uses of one link succeed only once
+            const [result] = await db.query(
+                "UPDATE user_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL",
+                [rows[0].id]
+            );
+
+            return result.affectedRows === 1 ? rows[0].user_id : null;
+        }
+    };
+}
+
+module.exports = { createAccountTokenRepository };
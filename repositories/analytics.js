@@ -0,0 +1,107 @@
+// Aggregates for the admin analytics, plus the per-day facility search counts they report on.
+// Every query takes a range { from, end, interval }: from is the first day included, end the
+// first day after the range (both YYYY-MM-DD), and time series are grouped by that interval.
+
+// Timestamps come back in the connection's time zone, but days and periods are UTC, as in analytics.js
+const utc = column => `CONVERT_TZ(${column}, @@session.time_zone, '+00:00')`;
+
+// A range bound (a UTC day) in the connection's time zone, so the comparison can still use an index
+const UTC_DAY = "CONVERT_TZ(?, '+00:00', @@session.time_zone)";
+
+// Each period is labelled with its first day (weeks start on Monday), as YYYY-MM-DD
+const PERIOD_SQL = {
+    day: column => `DATE_FORMAT(${utc(column)}, '%Y-%m-%d')`,
+    week: column => `DATE_FORMAT(DATE_SUB(DATE(${utc(column)}), INTERVAL WEEKDAY(${utc(column)}) DAY), '%Y-%m-%d')`,
+    month: column => `DATE_FORMAT(${utc(column)}, '%Y-%m-01')`
+};
+
+// What new listings can be grouped by; a listing without a linked college falls back to the name the owner typed
+const LISTING_DIMENSIONS = {
+    status: "p.status",
+    city: "NULLIF(p.city, '')",
+    college: "COALESCE(c.name, NULLIF(p.college, ''))"
+};
+
+function createAnalyticsRepository(db) {
+    return {
+        // [{ period, label, count }] for listings submitted in the range
+        async listingsByPeriod(range, dimension) {
+            const [rows] = await db.query(
+                `SELECT ${PERIOD_SQL[range.interval]("p.created_at")} AS period,
+                ${LISTING_DIMENSIONS[dimension]} AS label, COUNT(*) AS count
+                FROM pgs p
+                LEFT JOIN colleges c ON c.id = p.college_id
+                WHERE p.created_at >= ${UTC_DAY} AND p.created_at < ${UTC_DAY}
+                GROUP BY period, label`,
+                [range.from, range.end]
+            );
+            return rows;
+        },
+
+        // [{ period, label: role, count }] for accounts created in the range
+        async signupsByPeriod(range) {
+            const [rows] = await db.query(
+                `SELECT ${PERIOD_SQL[range.interval]("created_at")} AS period, role AS label, COUNT(*) AS count
+                FROM users
+                WHERE created_at >= ${UTC_DAY} AND created_at < ${UTC_DAY}
+                GROUP BY period, label`,
+                [range.from, range.end]
+            );
+            return rows;
+        },
+
+        // [{ area, room_type, rent }] for approved listings submitted in the range
+        async approvedRents(range) {
+            const [rows] = await db.query(
+                `SELECT NULLIF(city, '') AS area, room_type, rent
+                FROM pgs
+                WHERE status = 'approved' AND created_at >= ${UTC_DAY} AND created_at < ${UTC_DAY}`,
+                [range.from, range.end]
+            );
+            return rows.map(row => ({ ...row, rent: Number(row.rent) }));
+        },
+
+        // [{ period, seconds }], one row per approval in the range. The wait is measured from the
+        // listing's latest move back to pending (a resubmission or an edit), or from its creation.
+        async approvalWaits(range) {
+            const [rows] = await db.query(
+                `SELECT ${PERIOD_SQL[range.interval]("a.created_at")} AS period,
+                TIMESTAMPDIFF(SECOND, COALESCE(
+                    (SELECT MAX(s.created_at) FROM pg_moderation_log s
+                    WHERE s.pg_id = a.pg_id AND s.new_status = 'pending' AND s.id < a.id),
+                    p.created_at
+                ), a.created_at) AS seconds
+                FROM pg_moderation_log a
+                JOIN pgs p ON p.id = a.pg_id
+                WHERE a.action = 'approve' AND a.created_at >= ${UTC_DAY} AND a.created_at < ${UTC_DAY}`,
+                [range.from, range.end]
+            );
+            return rows;
+        },
+
+        // [{ facility, searches }], most searched first
+        async topFacilities(range, limit) {
+            const [rows] = await db.query(
+                `SELECT facility, SUM(searches) AS searches
+                FROM search_facility_counts
+                WHERE day >= ? AND day < ?
+                GROUP BY facility
+                ORDER BY searches DESC, facility ASC
+                LIMIT ?`,
+                [range.from, range.end, limit]
+            );
+            return rows.map(row => ({ ...row, searches: Number(row.searches) }));
+        },
+
+        // Adds one search of each facility to the day's counts (day is YYYY-MM-DD)
+        async countFacilitySearches(day, facilities) {
+            await db.query(
+                `INSERT INTO search_facility_counts (day, facility, searches) VALUES ?
+                ON DUPLICATE KEY UPDATE searches = searches + 1`,
+                [facilities.map(facility => [day, facility, 1])]
+            );
+        }
+    };
+}
+
+module.exports = { createAnalyticsRepository };
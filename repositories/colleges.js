@@ -0,0 +1,92 @@
+// Colleges students search from; listings measure their distance to one of them
+
+const { MAX_COLLEGE_DISTANCE_KM, HAVERSINE_SQL } = require("../geo");
+
+function createCollegeRepository(db) {
+    return {
+        async list() {
+            const [rows] = await db.query(
+                "SELECT id, name, city, latitude, longitude FROM colleges ORDER BY name"
+            );
+            return rows;
+        },
+
+        // College row used to measure distances, or null if the ID is unknown
+        async findById(collegeId) {
+            const [rows] = await db.query(
+                "SELECT id, name, latitude, longitude FROM colleges WHERE id = ?",
+                [collegeId]
+            );
+            return rows[0] || null;
+        },
+
+        // Colleges within `radius` km of a point, nearest first; `box` narrows the scan first
+        async near({ lat, lng, radius, box }) {
+            const [rows] = await db.query(
+                `SELECT id, name, city, ${HAVERSINE_SQL} AS distance_km
+                FROM colleges
+                WHERE latitude BETWEEN ? AND ? AND longitude BETWEEN ? AND ?
+                HAVING distance_km <= ?
+                ORDER BY distance_km ASC`,
+                [lat, lat, lng, box.minLat, box.maxLat, box.minLng, box.maxLng, radius]
+            );
+            return rows;
+        },
+
+        // Whether another college (not `exceptId`) has the same name in the same city
+        async hasDuplicate(college, exceptId = null) {
+            const [rows] = await db.query(
+                "SELECT id FROM colleges WHERE name = ? AND city <=> ? AND id <> ?",
+                [college.name, college.city, exceptId || 0]
+            );
+            return rows.length > 0;
+        },
+
+        async create(college) {
+            const [result] = await db.query(
+                "INSERT INTO colleges (name, city, latitude, longitude) VALUES (?, ?, ?, ?)",
+                [college.name, college.city, college.latitude, college.longitude]
+            );
+            return result.insertId;
+        },
+
+        // Returns false when the college does not exist
+        async update(collegeId, college) {
+            const [result] = await db.query(
+                "UPDATE colleges SET name = ?, city = ?, latitude = ?, longitude = ? WHERE id = ?",
+                [college.name, college.city, college.latitude, college.longitude, collegeId]
+            );
+            return result.affectedRows > 0;
+        },
+
+        // Keep stored distances and college names in step after a college is edited. Listings the
+        // move leaves more than MAX_COLLEGE_DISTANCE_KM away get a NULL distance rather than overflowing.
+        async refreshListingDistances(collegeId) {
+            const [[college]] = await db.query(
+                "SELECT name, latitude, longitude FROM colleges WHERE id = ?",
+                [collegeId]
+            );
+
+            const point = [college.latitude, college.latitude, college.longitude];
+            await db.query(
+                `UPDATE pgs SET college = ?,
+                distance = IF(${HAVERSINE_SQL} <= ?, ROUND(${HAVERSINE_SQL}, 2), NULL)
+                WHERE college_id = ? AND latitude IS NOT NULL AND longitude IS NOT NULL`,
+                [college.name, ...point, MAX_COLLEGE_DISTANCE_KM, ...point, collegeId]
+            );
+
+            await db.query(
+                "UPDATE pgs SET college = ? WHERE college_id = ? AND (latitude IS NULL OR longitude IS NULL)",
+                [college.name, collegeId]
+            );
+        },
+
+        // Listings keep their last distance and college name
+        async remove(collegeId) {
+            const [result] = await db.query("DELETE FROM colleges WHERE id = ?", [collegeId]);
+            return result.affectedRows > 0;
+        }
+    };
+}
+
+module.exports = { createCollegeRepository };
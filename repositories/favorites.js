@@ -0,0 +1,40 @@
+// PGs students have saved. Rows outlive the listing: a snapshot of the name lets the
+// student see that a saved PG was removed instead of it vanishing.
+
+function createFavoriteRepository(db) {
+    return {
+        // Newest first; listing_id is NULL once the listing is gone
+        async listForUser(userId) {
+            const [rows] = await db.query(
+                `SELECT f.pg_id, f.pg_name, f.created_at AS saved_at,
+                p.id AS listing_id, p.status, p.is_published, p.name, p.rent, p.address, p.city,
+                p.distance, p.college, p.room_type, p.gender, p.deposit, p.facilities
+                FROM student_favorites f
+                LEFT JOIN pgs p ON p.id = f.pg_id
+                WHERE f.user_id = ?
+                ORDER BY f.created_at DESC`,
+                [userId]
+            );
+            return rows;
+        },
+
+        // Returns false when the PG was already saved
+        async add(userId, pgId, pgName) {
+            const [result] = await db.query(
+                "INSERT IGNORE INTO student_favorites (user_id, pg_id, pg_name) VALUES (?, ?, ?)",
+                [userId, pgId, pgName]
+            );
+            return result.affectedRows > 0;
+        },
+
+        async remove(userId, pgId) {
+            const [result] = await db.query(
+                "DELETE FROM student_favorites WHERE user_id = ? AND pg_id = ?",
+                [userId, pgId]
+            );
+            return result.affectedRows > 0;
+        }
+    };
+}
+
+module.exports = { createFavoriteRepository };
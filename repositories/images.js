@@ -0,0 +1,88 @@
+// Photo rows for listings; the files themselves are in storage.js under the stored keys
+
+function createImageRepository(db) {
+    return {
+        // Photos of several listings in display order (by pg_id, then position)
+        async listForPgs(pgIds) {
+            if (pgIds.length === 0) return [];
+
+            const [rows] = await db.query(
+                `SELECT id, pg_id, file_key, thumb_key
+                FROM pg_images
+                WHERE pg_id IN (?)
+                ORDER BY pg_id, position ASC, id ASC`,
+                [pgIds]
+            );
+            return rows;
+        },
+
+        async listIds(pgId) {
+            const [rows] = await db.query(
+                "SELECT id FROM pg_images WHERE pg_id = ? ORDER BY position ASC, id ASC",
+                [pgId]
+            );
+            return rows.map(row => row.id);
+        },
+
+        async count(pgId) {
+            const [[{ imageCount }]] = await db.query(
+                "SELECT COUNT(*) AS imageCount FROM pg_images WHERE pg_id = ?",
+                [pgId]
+            );
+            return imageCount;
+        },
+
+        // Position after the last photo, so new uploads go to the end
+        async nextPosition(pgId) {
+            const [[{ nextPosition }]] = await db.query(
+                "SELECT COALESCE(MAX(position) + 1, 0) AS nextPosition FROM pg_images WHERE pg_id = ?",
+                [pgId]
+            );
+            return nextPosition;
+        },
+
+        async add(pgId, { fileKey, thumbKey, position }) {
+            await db.query(
+                "INSERT INTO pg_images (pg_id, file_key, thumb_key, position) VALUES (?, ?, ?, ?)",
+                [pgId, fileKey, thumbKey, position]
+            );
+        },
+
+        // Rewrite photo positions so they follow the given list of image IDs
+        async setOrder(pgId, imageIds) {
+            for (const [position, imageId] of imageIds.entries()) {
+                await db.query(
+                    "UPDATE pg_images SET position = ? WHERE id = ? AND pg_id = ?",
+                    [position, imageId, pgId]
+                );
+            }
+        },
+
+        // Deletes one photo and returns its storage keys, or null if the listing has no such photo
+        async remove(pgId, imageId) {
+            const [rows] = await db.query(
+                "SELECT file_key, thumb_key FROM pg_images WHERE id = ? AND pg_id = ?",
+                [imageId, pgId]
+            );
+            if (rows.length === 0) return null;
+
+            await db.query("DELETE FROM pg_images WHERE id = ?", [imageId]);
+
+            return rows[0];
+        },
+
+        // Deletes the rows and returns their storage keys so the caller can remove the files
+        async removeAll(pgId) {
+            const [rows] = await db.query(
+                "SELECT file_key, thumb_key FROM pg_images WHERE pg_id = ?",
+                [pgId]
+            );
+
+            await db.query("DELETE FROM pg_images WHERE pg_id = ?", [pgId]);
+
+            return rows;
+        }
+    };
+}
+
+module.exports = { createImageRepository };
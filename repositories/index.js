@@ -0,0 +1,73 @@
+// Data access for the API. Every SQL statement the routes run lives in one of these repositories.
+// The exported repositories query through the pool, which hands each query a connection and
+// takes it back afterwards, so a failed query or an early return can never leak one.
+// Work that writes more than once goes through transaction(), which gives the callback the same
+// repositories bound to a single connection, commits or rolls back, and always releases it:
+//   const repos = require("./repositories");
+//   await repos.pgs.findOwned(pgId, ownerId);
+//   await repos.transaction(async tx => { await tx.rooms.remove(pgId, roomId); await tx.pgs.refreshRooms(pgId); });
+
+const pool = require("../db");
+const { createUserRepository } = require("./users");
+const { createSessionRepository } = require("./sessions");
+const { createAccountTokenRepository } = require("./account-tokens");
+const { createPgRepository } = require("./pgs");
+const { createImageRepository } = require("./images");
+const { createRoomRepository } = require("./rooms");
+const { createModerationRepository } = require("./moderation");
+const { createCollegeRepository } = require("./colleges");
+const { createFavoriteRepository } = require("./favorites");
+const { createSavedSearchRepository } = require("./saved-searches");
+const { createReviewRepository } = require("./reviews");
+const { createInquiryRepository } = require("./inquiries");
+const { createNotificationRepository } = require("./notifications");
+const { createAnalyticsRepository } = require("./analytics");
+
+// `db` is anything with mysql2's query(): the pool or one connection
+function createRepositories(db) {
+    return {
+        users: createUserRepository(db),
+        sessions: createSessionRepository(db),
+        accountTokens: createAccountTokenRepository(db),
+        pgs: createPgRepository(db),
+        images: createImageRepository(db),
+        rooms: createRoomRepository(db),
+        moderation: createModerationRepository(db),
+        colleges: createCollegeRepository(db),
+        favorites: createFavoriteRepository(db),
+        savedSearches: createSavedSearchRepository(db),
+        reviews: createReviewRepository(db),
+        inquiries: createInquiryRepository(db),
+        notifications: createNotificationRepository(db),
+        analytics: createAnalyticsRepository(db)
+    };
+}
+
+// Run `work(tx)` in one transaction and return its result; any error rolls everything back
+async function transaction(work) {
+    const conn = await pool.getConnection();
+
+    try {
+        await conn.beginTransaction();
+        const result = await work(createRepositories(conn));
+        await conn.commit();
+        return result;
+    } catch (error) {
+        // A broken connection cannot roll back; the original error is the one worth reporting
+        await conn.rollback().catch(() => {});
+        throw error;
+    } finally {
+        conn.release();
+    }
+}
+
+// Round trip to MySQL through the pool, for the health check
+async function ping() {
+    await pool.query("SELECT 1");
+}
+
+module.exports = {
+    ...createRepositories(pool),
+    transaction,
+    ping
+};
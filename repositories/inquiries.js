@@ -0,0 +1,115 @@
+// Visit and booking requests from students to owners, with a timeline of every status change
+
+const INQUIRY_COLUMNS = `i.id, i.pg_id, p.name AS pg_name, i.type,
+    DATE_FORMAT(i.preferred_date, '%Y-%m-%d') AS preferred_date,
+    DATE_FORMAT(i.alternate_date, '%Y-%m-%d') AS alternate_date,
+    i.message, i.status, DATE_FORMAT(i.proposed_for, '%Y-%m-%dT%H:%i') AS proposed_for,
+    i.created_at, i.updated_at`;
+
+function createInquiryRepository(db) {
+    // Add each request's status timeline, oldest event first
+    async function attachEvents(inquiries) {
+        if (inquiries.length === 0) return inquiries;
+
+        const [rows] = await db.query(
+            `SELECT e.id, e.inquiry_id, e.action, e.old_status, e.new_status, e.note,
+            DATE_FORMAT(e.proposed_for, '%Y-%m-%dT%H:%i') AS proposed_for, e.created_at,
+            u.name AS actor_name, u.role AS actor_role
+            FROM pg_inquiry_events e
+            LEFT JOIN users u ON u.id = e.actor_id
+            WHERE e.inquiry_id IN (?)
+            ORDER BY e.created_at ASC, e.id ASC`,
+            [inquiries.map(inquiry => inquiry.id)]
+        );
+
+        const eventsByInquiry = {};
+        rows.forEach(({ inquiry_id: inquiryId, ...event }) => {
+            (eventsByInquiry[inquiryId] = eventsByInquiry[inquiryId] || []).push(event);
+        });
+
+        return inquiries.map(inquiry => ({ ...inquiry, timeline: eventsByInquiry[inquiry.id] || [] }));
+    }
+
+    return {
+        // The student's pending or proposed request for a listing, or null
+        async findOpen(pgId, studentId) {
+            const [rows] = await db.query(
+                "SELECT id FROM pg_inquiries WHERE pg_id = ? AND student_id = ? AND status IN ('pending', 'proposed')",
+                [pgId, studentId]
+            );
+            return rows[0] || null;
+        },
+
+        async create(studentId, inquiry) {
+            const [result] = await db.query(
+                `INSERT INTO pg_inquiries (pg_id, student_id, type, preferred_date, alternate_date, message)
+                VALUES (?, ?, ?, ?, ?, ?)`,
+                [inquiry.pgId, studentId, inquiry.type, inquiry.preferredDate, inquiry.alternateDate, inquiry.message]
+            );
+            return result.insertId;
+        },
+
+        // Like moderation.record(), but for visit and booking requests
+        async recordEvent({ inquiryId, actorId, action, oldStatus, newStatus, note = null, proposedFor = null }) {
+            await db.query(
+                `INSERT INTO pg_inquiry_events (inquiry_id, actor_id, action, old_status, new_status, note, proposed_for)
+                VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [inquiryId, actorId, action, oldStatus, newStatus, note || null, proposedFor]
+            );
+        },
+
+        // Newest activity first, each with its timeline
+        async listForStudent(studentId) {
+            const [rows] = await db.query(
+                `SELECT ${INQUIRY_COLUMNS}
+                FROM pg_inquiries i
+                JOIN pgs p ON p.id = i.pg_id
+                WHERE i.student_id = ?
+                ORDER BY i.updated_at DESC, i.id DESC`,
+                [studentId]
+            );
+            return attachEvents(rows);
+        },
+
+        // Requests for the owner's listings, pending ones first; optionally one status only
+        async listForOwner(ownerId, status = null) {
+            const [rows] = await db.query(
+                `SELECT ${INQUIRY_COLUMNS}, u.name AS student_name, u.email AS student_email
+                FROM pg_inquiries i
+                JOIN pgs p ON p.id = i.pg_id
+                JOIN users u ON u.id = i.student_id
+                WHERE p.owner_id = ?${status ? " AND i.status = ?" : ""}
+                ORDER BY i.status = 'pending' DESC, i.updated_at DESC, i.id DESC`,
+                status ? [ownerId, status] : [ownerId]
+            );
+            return attachEvents(rows);
+        },
+
+        // A request the user may act on: owners through their listing, students as its sender
+        async findForParticipant(inquiryId, role, userId) {
+            const [rows] = await db.query(
+                `SELECT i.status, i.type, i.student_id, p.owner_id, p.name AS pg_name
+                FROM pg_inquiries i JOIN pgs p ON p.id = i.pg_id
+                WHERE i.id = ? AND ${role === "owner" ? "p.owner_id" : "i.student_id"} = ?`,
+                [inquiryId, userId]
+            );
+            return rows[0] || null;
+        },
+
+        // Matching on the old status keeps the two sides from acting on a stale view;
+        // returns false when the request changed in between
+        async setStatus(inquiryId, { from, to, proposedFor = null }) {
+            const [result] = await db.query(
+                proposedFor
+                    ? "UPDATE pg_inquiries SET status = ?, proposed_for = ? WHERE id = ? AND status = ?"
+                    : "UPDATE pg_inquiries SET status = ? WHERE id = ? AND status = ?",
+                proposedFor
+                    ? [to, proposedFor, inquiryId, from]
+                    : [to, inquiryId, from]
+            );
+            return result.affectedRows > 0;
+        }
+    };
+}
+
+module.exports = { createInquiryRepository };
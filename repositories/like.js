@@ -0,0 +1,9 @@
+// LIKE patterns built from request text. %, _ and the backslash are escaped, so a search for
+// "100%" matches those characters instead of every listing.
+
+// Matches values containing text anywhere
+function containsPattern(text) {
+    return `%${text.replace(/[\\%_]/g, "\\$&")}%`;
+}
+
+module.exports = { containsPattern };
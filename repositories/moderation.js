@@ -0,0 +1,38 @@
+// The listing status log: every approval, rejection, resubmission and edit that moved a listing
+
+function createModerationRepository(db) {
+    return {
+        // Every listing status change is logged so admins can see who moved it, when and why
+        async record({ pgId, changedBy, action, oldStatus, newStatus, note = null }) {
+            await db.query(
+                `INSERT INTO pg_moderation_log (pg_id, changed_by, action, old_status, new_status, note)
+                VALUES (?, ?, ?, ?, ?, ?)`,
+                [pgId, changedBy, action, oldStatus, newStatus, note || null]
+            );
+        },
+
+        async countApprovals(pgId) {
+            const [[{ approvals }]] = await db.query(
+                "SELECT COUNT(*) AS approvals FROM pg_moderation_log WHERE pg_id = ? AND action = 'approve'",
+                [pgId]
+            );
+            return approvals;
+        },
+
+        // A listing's log, oldest first, with who made each change
+        async history(pgId) {
+            const [rows] = await db.query(
+                `SELECT m.id, m.action, m.old_status, m.new_status, m.note, m.created_at,
+                m.changed_by, u.name AS changed_by_name, u.role AS changed_by_role
+                FROM pg_moderation_log m
+                LEFT JOIN users u ON u.id = m.changed_by
+                WHERE m.pg_id = ?
+                ORDER BY m.created_at ASC, m.id ASC`,
+                [pgId]
+            );
+            return rows;
+        }
+    };
+}
+
+module.exports = { createModerationRepository };
@@ -0,0 +1,62 @@
+// Stored in-app notifications; live delivery is the hub in ../notifications.js
+
+function createNotificationRepository(db) {
+    return {
+        async create(userId, { type, title, body, link }) {
+            const [result] = await db.query(
+                "INSERT INTO notifications (user_id, type, title, body, link) VALUES (?, ?, ?, ?, ?)",
+                [userId, type, title, body, link]
+            );
+            return result.insertId;
+        },
+
+        async countUnread(userId) {
+            const [[{ unread }]] = await db.query(
+                "SELECT COUNT(*) AS unread FROM notifications WHERE user_id = ? AND read_at IS NULL",
+                [userId]
+            );
+            return unread;
+        },
+
+        async count(userId, { unreadOnly = false } = {}) {
+            const [[{ total }]] = await db.query(
+                `SELECT COUNT(*) AS total FROM notifications WHERE user_id = ?${unreadOnly ? " AND read_at IS NULL" : ""}`,
+                [userId]
+            );
+            return total;
+        },
+
+        // Newest first
+        async list(userId, { unreadOnly = false, limit, offset }) {
+            const [rows] = await db.query(
+                `SELECT id, type, title, body, link, read_at, created_at
+                FROM notifications
+                WHERE user_id = ?${unreadOnly ? " AND read_at IS NULL" : ""}
+                ORDER BY created_at DESC, id DESC
+                LIMIT ? OFFSET ?`,
+                [userId, limit, offset]
+            );
+            return rows;
+        },
+
+        // Returns false when the notification is not this user's
+        async markRead(notificationId, userId) {
+            const [result] = await db.query(
+                "UPDATE notifications SET read_at = COALESCE(read_at, NOW()) WHERE id = ? AND user_id = ?",
+                [notificationId, userId]
+            );
+            return result.affectedRows > 0;
+        },
+
+        // Returns how many were unread
+        async markAllRead(userId) {
+            const [result] = await db.query(
+                "UPDATE notifications SET read_at = NOW() WHERE user_id = ? AND read_at IS NULL",
+                [userId]
+            );
+            return result.affectedRows;
+        }
+    };
+}
+
+module.exports = { createNotificationRepository };
@@ -0,0 +1,286 @@
+// PG listings: the owner's own rows, the admin queues and the public search.
+// Public queries take WHERE conditions from buildListingFilters() in listings.js and an ORDER BY
+// chosen from its fixed list of sorts, so no request text ever reaches the SQL.
+
+const { HAVERSINE_SQL } = require("../geo");
+const { containsPattern } = require("./like");
+
+// Columns students see in search results
+const PUBLIC_COLUMNS = `id, name, rent, address, city, distance, college, college_id,
+    room_type, gender, deposit, facilities, description, latitude, longitude, created_at,
+    rent_max, total_beds, free_beds, rating_avg, review_count`;
+
+// Form values in column order, shared by create() and update()
+function listingValues(listing) {
+    return [
+        listing.name,
+        listing.rent,
+        listing.address,
+        listing.city,
+        listing.pincode,
+        listing.distance,
+        listing.college,
+        listing.collegeId,
+        listing.roomType,
+        listing.gender,
+        listing.deposit,
+        listing.facilities,
+        listing.description,
+        listing.latitude,
+        listing.longitude
+    ];
+}
+
+// WHERE clause for the admin listing filters
+function adminFilters({ status = null, city = null, collegeId = null, search = null }) {
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+        conditions.push("p.status = ?");
+        params.push(status);
+    }
+    if (city) {
+        conditions.push("p.city = ?");
+        params.push(city);
+    }
+    if (collegeId) {
+        conditions.push("p.college_id = ?");
+        params.push(collegeId);
+    }
+    if (search) {
+        const pattern = containsPattern(search);
+        conditions.push("(p.name LIKE ? OR u.name LIKE ? OR u.email LIKE ?)");
+        params.push(pattern, pattern, pattern);
+    }
+
+    return { where: conditions.length ? `WHERE ${conditions.join(" AND ")}` : "", params };
+}
+
+function createPgRepository(db) {
+    return {
+        // New listings always wait for an admin; returns the new ID
+        async create(ownerId, listing) {
+            const [result] = await db.query(
+                `INSERT INTO pgs
+                (owner_id, name, rent, address, city, pincode, distance, college, college_id,
+                room_type, gender, deposit, facilities, description, latitude, longitude, status)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')`,
+                [ownerId, ...listingValues(listing)]
+            );
+            return result.insertId;
+        },
+
+        async update(pgId, ownerId, listing, status) {
+            await db.query(
+                `UPDATE pgs SET
+                name = ?, rent = ?, address = ?, city = ?, pincode = ?, distance = ?,
+                college = ?, college_id = ?, room_type = ?, gender = ?, deposit = ?, facilities = ?,
+                description = ?, latitude = ?, longitude = ?, status = ?
+                WHERE id = ? AND owner_id = ?`,
+                [...listingValues(listing), status, pgId, ownerId]
+            );
+        },
+
+        // The owner's listing, or null when it is missing or someone else's
+        async findOwned(pgId, ownerId) {
+            const [rows] = await db.query(
+                "SELECT id, status, latitude, longitude FROM pgs WHERE id = ? AND owner_id = ?",
+                [pgId, ownerId]
+            );
+            return rows[0] || null;
+        },
+
+        // Latest admin decision per listing, so owners can see why a PG was rejected
+        async listByOwner(ownerId) {
+            const [rows] = await db.query(
+                `SELECT p.*, m.action AS moderation_action, m.note AS moderation_note,
+                m.created_at AS moderated_at
+                FROM pgs p
+                LEFT JOIN pg_moderation_log m ON m.id = (
+                    SELECT MAX(id) FROM pg_moderation_log
+                    WHERE pg_id = p.id AND action IN ('approve', 'reject')
+                )
+                WHERE p.owner_id = ?
+                ORDER BY p.created_at DESC`,
+                [ownerId]
+            );
+            return rows;
+        },
+
+        // Matching on the old status keeps two people from overwriting each other's decision;
+        // returns false when the listing was changed in between
+        async setStatus(pgId, newStatus, oldStatus) {
+            const [result] = await db.query(
+                "UPDATE pgs SET status = ? WHERE id = ? AND status = ?",
+                [newStatus, pgId, oldStatus]
+            );
+            return result.affectedRows > 0;
+        },
+
+        async setPublished(pgId, ownerId, published) {
+            const [result] = await db.query(
+                "UPDATE pgs SET is_published = ? WHERE id = ? AND owner_id = ?",
+                [published ? 1 : 0, pgId, ownerId]
+            );
+            return result.affectedRows > 0;
+        },
+
+        async remove(pgId, ownerId) {
+            await db.query("DELETE FROM pgs WHERE id = ? AND owner_id = ?", [pgId, ownerId]);
+        },
+
+        // Keep the listing's summary in step with its room types: rent becomes the cheapest
+        // room ("from" price), rent_max the dearest, and beds are totalled. Listings without
+        // room types keep their own rent and have NULL bed counts.
+        async refreshRooms(pgId) {
+            await db.query(
+                `UPDATE pgs p
+                LEFT JOIN (
+                    SELECT pg_id, MIN(rent) AS min_rent, MAX(rent) AS max_rent,
+                    SUM(total_beds) AS total_beds, SUM(free_beds) AS free_beds
+                    FROM pg_rooms WHERE pg_id = ? GROUP BY pg_id
+                ) r ON r.pg_id = p.id
+                SET p.rent = COALESCE(r.min_rent, p.rent), p.rent_max = r.max_rent,
+                p.total_beds = r.total_beds, p.free_beds = r.free_beds
+                WHERE p.id = ?`,
+                [pgId, pgId]
+            );
+        },
+
+        // Keep the listing's stored average and count in step with its visible reviews
+        async refreshRating(pgId) {
+            await db.query(
+                `UPDATE pgs SET
+                rating_avg = (SELECT ROUND(AVG(rating), 2) FROM pg_reviews WHERE pg_id = ? AND is_hidden = 0),
+                review_count = (SELECT COUNT(*) FROM pg_reviews WHERE pg_id = ? AND is_hidden = 0)
+                WHERE id = ?`,
+                [pgId, pgId, pgId]
+            );
+        },
+
+        // Listings with their owners for the admin dashboard, grouped by status, newest first within
+        // a status. Filters: status, city, collegeId, search (listing name, owner name or email);
+        // without a limit every match is returned.
+        async listForAdmin({ limit = null, offset = 0, ...filters } = {}) {
+            const { where, params } = adminFilters(filters);
+
+            const [rows] = await db.query(
+                `SELECT p.id, p.name, p.rent, p.address, p.city, p.pincode, p.distance,
+                p.college, p.college_id, p.room_type, p.is_published,
+                p.status, p.created_at, u.name as owner_name, u.email as owner_email,
+                p.facilities
+                FROM pgs p
+                JOIN users u ON p.owner_id = u.id
+                ${where}
+                ORDER BY ${filters.status ? "" : "p.status ASC, "}p.created_at DESC, p.id DESC
+                ${limit ? "LIMIT ? OFFSET ?" : ""}`,
+                limit ? [...params, limit, offset] : params
+            );
+            return rows;
+        },
+
+        async countForAdmin(filters = {}) {
+            const { where, params } = adminFilters(filters);
+
+            const [[{ total }]] = await db.query(
+                `SELECT COUNT(*) AS total FROM pgs p JOIN users u ON p.owner_id = u.id ${where}`,
+                params
+            );
+            return total;
+        },
+
+        // Any listing regardless of status, for moderation and alerts
+        async findById(pgId) {
+            const [rows] = await db.query(
+                "SELECT id, owner_id, name, rent, city, status FROM pgs WHERE id = ?",
+                [pgId]
+            );
+            return rows[0] || null;
+        },
+
+        // Approved and published listings only; anything else is treated as missing
+        async findPublic(pgId) {
+            const [rows] = await db.query(
+                `SELECT id, owner_id, name, rating_avg, review_count
+                FROM pgs WHERE id = ? AND status = 'approved' AND is_published = 1`,
+                [pgId]
+            );
+            return rows[0] || null;
+        },
+
+        async findPublicDetail(pgId) {
+            const [rows] = await db.query(
+                `SELECT p.id, p.name, p.rent, p.address, p.city, p.pincode, p.distance,
+                p.college, p.college_id, p.room_type, p.gender, p.deposit, p.facilities, p.description,
+                p.latitude, p.longitude, p.rent_max, p.total_beds, p.free_beds,
+                p.rating_avg, p.review_count, p.created_at,
+                u.name as owner_name, u.email as owner_email
+                FROM pgs p
+                JOIN users u ON p.owner_id = u.id
+                WHERE p.id = ? AND p.status = 'approved' AND p.is_published = 1`,
+                [pgId]
+            );
+            return rows[0] || null;
+        },
+
+        async countPublic(conditions, params) {
+            const [[{ total }]] = await db.query(
+                `SELECT COUNT(*) AS total FROM pgs WHERE ${conditions.join(" AND ")}`,
+                params
+            );
+            return total;
+        },
+
+        // With a college, each row gets distance_km measured from it (NULL without a map position)
+        async searchPublic({ conditions, params, college = null, orderBy, limit, offset = 0 }) {
+            const distanceColumn = college ? `${HAVERSINE_SQL} AS distance_km` : "NULL AS distance_km";
+            const distanceParams = college ? [college.latitude, college.latitude, college.longitude] : [];
+
+            const [rows] = await db.query(
+                `SELECT ${PUBLIC_COLUMNS}, ${distanceColumn}
+                FROM pgs
+                WHERE ${conditions.join(" AND ")}
+                ORDER BY ${orderBy}
+                LIMIT ? OFFSET ?`,
+                [...distanceParams, ...params, limit, offset]
+            );
+            return rows;
+        },
+
+        // Public listings within `radius` km of a point, nearest first; `box` narrows the scan first
+        async searchNearby({ conditions, params, lat, lng, radius, box, limit }) {
+            const [rows] = await db.query(
+                `SELECT ${PUBLIC_COLUMNS}, ${HAVERSINE_SQL} AS distance_km
+                FROM pgs
+                WHERE ${[...conditions, "latitude BETWEEN ? AND ?", "longitude BETWEEN ? AND ?"].join(" AND ")}
+                HAVING distance_km <= ?
+                ORDER BY distance_km ASC, id ASC
+                LIMIT ?`,
+                [lat, lat, lng, ...params, box.minLat, box.maxLat, box.minLng, box.maxLng, radius, limit]
+            );
+            return rows;
+        },
+
+        // Cities that have public listings, for the filter dropdowns
+        async listPublicCities() {
+            const [rows] = await db.query(
+                `SELECT DISTINCT city FROM pgs
+                WHERE status = 'approved' AND is_published = 1 AND city IS NOT NULL AND city <> ''
+                ORDER BY city`
+            );
+            return rows.map(row => row.city);
+        },
+
+        // Whether one listing passes a set of search conditions (saved-search alerts)
+        async matches(pgId, conditions, params) {
+            const [rows] = await db.query(
+                `SELECT id FROM pgs WHERE ${conditions.join(" AND ")} AND id = ?`,
+                [...params, pgId]
+            );
+            return rows.length > 0;
+        }
+    };
+}
+
+module.exports = { createPgRepository };
@@ -0,0 +1,151 @@
+// Student reviews of listings, owner replies and admin moderation.
+// After a review is added, edited, hidden or restored, call pgs.refreshRating().
+
+function createReviewRepository(db) {
+    return {
+        // Visible reviews of one listing, newest first
+        async listVisible(pgId, { limit, offset }) {
+            const [rows] = await db.query(
+                `SELECT r.id, r.rating, r.body, r.owner_reply, r.owner_replied_at, r.created_at, r.updated_at,
+                u.name AS author_name
+                FROM pg_reviews r
+                JOIN users u ON u.id = r.user_id
+                WHERE r.pg_id = ? AND r.is_hidden = 0
+                ORDER BY r.created_at DESC, r.id DESC
+                LIMIT ? OFFSET ?`,
+                [pgId, limit, offset]
+            );
+            return rows;
+        },
+
+        // The student's review of a listing, hidden or not, or null
+        async findByAuthor(pgId, userId) {
+            const [rows] = await db.query(
+                `SELECT id, rating, body, owner_reply, owner_replied_at, is_hidden, created_at, updated_at
+                FROM pg_reviews WHERE pg_id = ? AND user_id = ?`,
+                [pgId, userId]
+            );
+            return rows[0] || null;
+        },
+
+        async create(pgId, userId, review) {
+            const [result] = await db.query(
+                "INSERT INTO pg_reviews (pg_id, user_id, rating, body) VALUES (?, ?, ?, ?)",
+                [pgId, userId, review.rating, review.body]
+            );
+            return result.insertId;
+        },
+
+        // Returns the reviewed listing's ID, or null when the review is not this student's
+        async update(reviewId, userId, review) {
+            const [rows] = await db.query(
+                "SELECT pg_id FROM pg_reviews WHERE id = ? AND user_id = ?",
+                [reviewId, userId]
+            );
+
+            if (rows.length === 0) return null;
+
+            await db.query(
+                "UPDATE pg_reviews SET rating = ?, body = ? WHERE id = ?",
+                [review.rating, review.body, reviewId]
+            );
+
+            return rows[0].pg_id;
+        },
+
+        async countForOwner(ownerId) {
+            const [[{ total }]] = await db.query(
+                `SELECT COUNT(*) AS total
+                FROM pg_reviews r JOIN pgs p ON p.id = r.pg_id
+                WHERE p.owner_id = ? AND r.is_hidden = 0`,
+                [ownerId]
+            );
+            return total;
+        },
+
+        // Visible reviews on the owner's listings, unanswered ones first
+        async listForOwner(ownerId, { limit, offset }) {
+            const [rows] = await db.query(
+                `SELECT r.id, r.pg_id, p.name AS pg_name, r.rating, r.body, r.owner_reply, r.owner_replied_at,
+                r.created_at, r.updated_at, u.name AS author_name
+                FROM pg_reviews r
+                JOIN pgs p ON p.id = r.pg_id
+                JOIN users u ON u.id = r.user_id
+                WHERE p.owner_id = ? AND r.is_hidden = 0
+                ORDER BY r.owner_reply IS NULL DESC, r.created_at DESC, r.id DESC
+                LIMIT ? OFFSET ?`,
+                [ownerId, limit, offset]
+            );
+            return rows;
+        },
+
+        // A visible review on one of the owner's listings, or null
+        async findForOwner(reviewId, ownerId) {
+            const [rows] = await db.query(
+                `SELECT r.owner_reply, r.user_id, r.pg_id, p.name AS pg_name FROM pg_reviews r JOIN pgs p ON p.id = r.pg_id
+                WHERE r.id = ? AND p.owner_id = ? AND r.is_hidden = 0`,
+                [reviewId, ownerId]
+            );
+            return rows[0] || null;
+        },
+
+        // The IS NULL check keeps a second reply from slipping in between the read and the write;
+        // returns false when there already is one
+        async addReply(reviewId, reply) {
+            const [result] = await db.query(
+                "UPDATE pg_reviews SET owner_reply = ?, owner_replied_at = NOW() WHERE id = ? AND owner_reply IS NULL",
+                [reply, reviewId]
+            );
+            return result.affectedRows > 0;
+        },
+
+        async countForModeration(hidden) {
+            const [[{ total }]] = await db.query(
+                "SELECT COUNT(*) AS total FROM pg_reviews WHERE is_hidden = ?",
+                [hidden ? 1 : 0]
+            );
+            return total;
+        },
+
+        async listForModeration(hidden, { limit, offset }) {
+            const [rows] = await db.query(
+                `SELECT r.id, r.pg_id, p.name AS pg_name, r.rating, r.body, r.owner_reply,
+                r.is_hidden, r.hidden_reason, r.hidden_at, r.created_at,
+                u.name AS author_name, u.email AS author_email
+                FROM pg_reviews r
+                JOIN pgs p ON p.id = r.pg_id
+                JOIN users u ON u.id = r.user_id
+                WHERE r.is_hidden = ?
+                ORDER BY r.created_at DESC, r.id DESC
+                LIMIT ? OFFSET ?`,
+                [hidden ? 1 : 0, limit, offset]
+            );
+            return rows;
+        },
+
+        async findById(reviewId) {
+            const [rows] = await db.query(
+                `SELECT r.pg_id, r.is_hidden, r.user_id, p.name AS pg_name
+                FROM pg_reviews r JOIN pgs p ON p.id = r.pg_id WHERE r.id = ?`,
+                [reviewId]
+            );
+            return rows[0] || null;
+        },
+
+        async hide(reviewId, { reason, hiddenBy }) {
+            await db.query(
+                "UPDATE pg_reviews SET is_hidden = 1, hidden_reason = ?, hidden_by = ?, hidden_at = NOW() WHERE id = ?",
+                [reason, hiddenBy, reviewId]
+            );
+        },
+
+        async unhide(reviewId) {
+            await db.query(
+                "UPDATE pg_reviews SET is_hidden = 0, hidden_reason = NULL, hidden_by = NULL, hidden_at = NULL WHERE id = ?",
+                [reviewId]
+            );
+        }
+    };
+}
+
+module.exports = { createReviewRepository };
@@ -0,0 +1,71 @@
+// Room types of a listing (e.g. "Double sharing"), each with its own rent and beds.
+// After any change, call pgs.refreshRooms() so the listing's summary follows.
+
+function createRoomRepository(db) {
+    return {
+        // Room types of several listings, cheapest first within each listing
+        async listForPgs(pgIds) {
+            if (pgIds.length === 0) return [];
+
+            const [rows] = await db.query(
+                `SELECT id, pg_id, name, sharing, rent, deposit, total_beds, free_beds, updated_at
+                FROM pg_rooms
+                WHERE pg_id IN (?)
+                ORDER BY pg_id, rent ASC, id ASC`,
+                [pgIds]
+            );
+            return rows;
+        },
+
+        async count(pgId) {
+            const [[{ roomCount }]] = await db.query(
+                "SELECT COUNT(*) AS roomCount FROM pg_rooms WHERE pg_id = ?",
+                [pgId]
+            );
+            return roomCount;
+        },
+
+        async create(pgId, room) {
+            const [result] = await db.query(
+                `INSERT INTO pg_rooms (pg_id, name, sharing, rent, deposit, total_beds, free_beds)
+                VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [pgId, room.name, room.sharing, room.rent, room.deposit, room.totalBeds, room.freeBeds]
+            );
+            return result.insertId;
+        },
+
+        // Returns false when the room type is not part of this listing
+        async update(pgId, roomId, room) {
+            const [result] = await db.query(
+                `UPDATE pg_rooms SET name = ?, sharing = ?, rent = ?, deposit = ?, total_beds = ?, free_beds = ?
+                WHERE id = ? AND pg_id = ?`,
+                [room.name, room.sharing, room.rent, room.deposit, room.totalBeds, room.freeBeds, roomId, pgId]
+            );
+            return result.affectedRows > 0;
+        },
+
+        // A room type of one of the owner's listings, or null
+        async findOwned(pgId, roomId, ownerId) {
+            const [rows] = await db.query(
+                `SELECT r.id, r.total_beds FROM pg_rooms r JOIN pgs p ON p.id = r.pg_id
+                WHERE r.id = ? AND r.pg_id = ? AND p.owner_id = ?`,
+                [roomId, pgId, ownerId]
+            );
+            return rows[0] || null;
+        },
+
+        async setFreeBeds(roomId, freeBeds) {
+            await db.query("UPDATE pg_rooms SET free_beds = ? WHERE id = ?", [freeBeds, roomId]);
+        },
+
+        async remove(pgId, roomId) {
+            const [result] = await db.query(
+                "DELETE FROM pg_rooms WHERE id = ? AND pg_id = ?",
+                [roomId, pgId]
+            );
+            return result.affectedRows > 0;
+        }
+    };
+}
+
+module.exports = { createRoomRepository };
@@ -0,0 +1,106 @@
+// Students' saved GET /api/pgs filter sets and their alert settings
+
+const SAVED_SEARCH_COLUMNS = "id, name, filters, alerts, phone, last_alert_at, created_at";
+
+// Saved filters come back from MySQL as an object (JSON column) or a string, depending on the driver settings
+function parseStoredFilters(filters) {
+    if (!filters) return {};
+    if (typeof filters === "object") return filters;
+
+    try {
+        return JSON.parse(filters);
+    } catch (error) {
+        return {};
+    }
+}
+
+function toSavedSearch(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        filters: parseStoredFilters(row.filters),
+        alerts: row.alerts,
+        phone: row.phone,
+        last_alert_at: row.last_alert_at,
+        created_at: row.created_at
+    };
+}
+
+function createSavedSearchRepository(db) {
+    return {
+        // Newest first
+        async listForUser(userId) {
+            const [rows] = await db.query(
+                `SELECT ${SAVED_SEARCH_COLUMNS}
+                FROM saved_searches
+                WHERE user_id = ?
+                ORDER BY created_at DESC, id DESC`,
+                [userId]
+            );
+            return rows.map(toSavedSearch);
+        },
+
+        // The student's search, or null when it is missing or someone else's
+        async findOwned(searchId, userId) {
+            const [rows] = await db.query(
+                `SELECT ${SAVED_SEARCH_COLUMNS} FROM saved_searches WHERE id = ? AND user_id = ?`,
+                [searchId, userId]
+            );
+            return rows.length > 0 ? toSavedSearch(rows[0]) : null;
+        },
+
+        async listNames(userId) {
+            const [rows] = await db.query("SELECT name FROM saved_searches WHERE user_id = ?", [userId]);
+            return rows.map(row => row.name);
+        },
+
+        // Whether another of the student's searches (not `exceptId`) already has this name
+        async nameTaken(userId, name, exceptId) {
+            const [rows] = await db.query(
+                "SELECT id FROM saved_searches WHERE user_id = ? AND name = ? AND id <> ?",
+                [userId, name, exceptId]
+            );
+            return rows.length > 0;
+        },
+
+        async create(userId, search) {
+            const [result] = await db.query(
+                "INSERT INTO saved_searches (user_id, name, filters, alerts, phone) VALUES (?, ?, ?, ?, ?)",
+                [userId, search.name, JSON.stringify(search.filters), search.alerts, search.phone]
+            );
+            return result.insertId;
+        },
+
+        async update(searchId, search) {
+            await db.query(
+                "UPDATE saved_searches SET name = ?, filters = ?, alerts = ?, phone = ? WHERE id = ?",
+                [search.name, JSON.stringify(search.filters), search.alerts, search.phone, searchId]
+            );
+        },
+
+        async remove(searchId, userId) {
+            const [result] = await db.query(
+                "DELETE FROM saved_searches WHERE id = ? AND user_id = ?",
+                [searchId, userId]
+            );
+            return result.affectedRows > 0;
+        },
+
+        // Searches with alerts on, from active accounts, with where to send them
+        async listAlerting() {
+            const [rows] = await db.query(
+                `SELECT s.id, s.user_id, s.name, s.filters, s.alerts, s.phone, u.email, u.name AS user_name
+                FROM saved_searches s
+                JOIN users u ON u.id = s.user_id
+                WHERE s.alerts <> 'off' AND u.status = 'active'`
+            );
+            return rows.map(row => ({ ...row, filters: parseStoredFilters(row.filters) }));
+        },
+
+        async markAlerted(searchId) {
+            await db.query("UPDATE saved_searches SET last_alert_at = NOW() WHERE id = ?", [searchId]);
+        }
+    };
+}
+
+module.exports = { createSavedSearchRepository };
@@ -0,0 +1,106 @@
+// Server-side sessions behind refresh tokens; only a hash of each token is stored
+
+function createSessionRepository(db) {
+    // Once a session has expired its old refresh tokens are refused anyway, so there is no reuse
+    // left to detect. Hashes of deleted sessions go with them through the foreign key.
+    async function pruneRetiredTokens() {
+        const [result] = await db.query(
+            `DELETE r FROM retired_refresh_tokens r
+            JOIN user_sessions s ON s.id = r.session_id
+            WHERE s.expires_at <= NOW()`
+        );
+        return result.affectedRows;
+    }
+
+    return {
+        // Each login also clears out retired hashes of sessions that have since expired
+        async create({ userId, tokenHash, userAgent, ip, expiresAt }) {
+            const [result] = await db.query(
+                `INSERT INTO user_sessions (user_id, token_hash, user_agent, ip, expires_at)
+                VALUES (?, ?, ?, ?, ?)`,
+                [userId, tokenHash, userAgent, ip, expiresAt]
+            );
+            await pruneRetiredTokens();
+            return result.insertId;
+        },
+
+        // The account behind an access token, or null once the session is revoked or expired
+        async findUser(userId, sessionId) {
+            const [rows] = await db.query(
+                `SELECT u.id, u.email, u.role, u.status, u.email_verified_at
+                FROM users u
+                JOIN user_sessions s ON s.user_id = u.id
+                WHERE u.id = ? AND s.id = ? AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+                [userId, sessionId]
+            );
+            return rows[0] || null;
+        },
+
+        // The account behind a live refresh token, with the session's ID as session_id
+        async findByTokenHash(tokenHash) {
+            const [rows] = await db.query(
+                `SELECT s.id as session_id, u.id, u.name, u.email, u.role, u.status, u.email_verified_at
+                FROM user_sessions s
+                JOIN users u ON s.user_id = u.id
+                WHERE s.token_hash = ? AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+                [tokenHash]
+            );
+            return rows[0] || null;
+        },
+
+        // The session a rotated-away refresh token belonged to, or null if the token was never rotated
+        async findByRetiredTokenHash(tokenHash) {
+            const [rows] = await db.query(
+                "SELECT session_id FROM retired_refresh_tokens WHERE token_hash = ?",
+                [tokenHash]
+            );
+            return rows.length > 0 ? rows[0].session_id : null;
+        },
+
+        // Swaps the token only if it is still oldTokenHash, so two requests racing with the same token
+        // cannot both win. Returns false when another request rotated it first.
+        async rotate(sessionId, oldTokenHash, tokenHash, expiresAt) {
+            const [result] = await db.query(
+                `UPDATE user_sessions
+                SET token_hash = ?, expires_at = ?, last_used_at = NOW()
+                WHERE id = ? AND token_hash = ? AND revoked_at IS NULL`,
+                [tokenHash, expiresAt, sessionId, oldTokenHash]
+            );
+
+            if (result.affectedRows === 0) return false;
+
+            await db.query(
+                "INSERT INTO retired_refresh_tokens (token_hash, session_id) VALUES (?, ?)",
+                [oldTokenHash, sessionId]
+            );
+            return true;
+        },
+
+        async revoke(sessionId) {
+            await db.query("UPDATE user_sessions SET revoked_at = NOW() WHERE id = ?", [sessionId]);
+        },
+
+        // Returns the revoked session's ID, or null if the token matched no open session
+        async revokeByTokenHash(tokenHash) {
+            const [rows] = await db.query(
+                "SELECT id FROM user_sessions WHERE token_hash = ? AND revoked_at IS NULL",
+                [tokenHash]
+            );
+            if (rows.length === 0) return null;
+
+            await db.query("UPDATE user_sessions SET revoked_at = NOW() WHERE id = ?", [rows[0].id]);
+            return rows[0].id;
+        },
+
+        // Returns how many sessions were still open
+        async revokeAllForUser(userId) {
+            const [result] = await db.query(
+                "UPDATE user_sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL",
+                [userId]
+            );
+            return result.affectedRows;
+        }
+    };
+}
+
+module.exports = { createSessionRepository };
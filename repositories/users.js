@@ -0,0 +1,104 @@
+// Accounts: sign-up, login lookups, password changes and the admin's user management
+
+const { containsPattern } = require("./like");
+
+function createUserRepository(db) {
+    return {
+        // ID of the account using this (lowercased) email, or null
+        async findIdByEmail(email) {
+            const [rows] = await db.query("SELECT id FROM users WHERE email = ?", [email]);
+            return rows.length > 0 ? rows[0].id : null;
+        },
+
+        async findForLogin(email) {
+            const [rows] = await db.query(
+                "SELECT id, name, email, password, role, status, email_verified_at FROM users WHERE email = ?",
+                [email]
+            );
+            return rows[0] || null;
+        },
+
+        // Name and address used for account emails
+        async findContact(userId) {
+            const [rows] = await db.query("SELECT id, name, email FROM users WHERE id = ?", [userId]);
+            return rows[0] || null;
+        },
+
+        async findActiveContactByEmail(email) {
+            const [rows] = await db.query(
+                "SELECT id, name, email FROM users WHERE email = ? AND status = 'active'",
+                [email]
+            );
+            return rows[0] || null;
+        },
+
+        // Accounts created by an admin start out verified; self-registered ones must confirm their email
+        async create({ name, email, passwordHash, role, verified = false }) {
+            const [result] = await db.query(
+                verified
+                    ? "INSERT INTO users (name, email, password, role, email_verified_at) VALUES (?, ?, ?, ?, NOW())"
+                    : "INSERT INTO users (name, email, password, role) VALUES (?, ?, ?, ?)",
+                [name, email, passwordHash, role]
+            );
+            return result.insertId;
+        },
+
+        async setPasswordHash(userId, passwordHash) {
+            await db.query("UPDATE users SET password = ? WHERE id = ?", [passwordHash, userId]);
+        },
+
+        // Opening an emailed reset link also proves the address
+        async resetPassword(userId, passwordHash) {
+            await db.query(
+                "UPDATE users SET password = ?, email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = ?",
+                [passwordHash, userId]
+            );
+        },
+
+        async markEmailVerified(userId) {
+            await db.query(
+                "UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = ?",
+                [userId]
+            );
+        },
+
+        async list({ role, status, search } = {}) {
+            let query = "SELECT id, name, email, role, status FROM users WHERE 1 = 1";
+            const params = [];
+
+            if (role) {
+                query += " AND role = ?";
+                params.push(role);
+            }
+
+            if (status) {
+                query += " AND status = ?";
+                params.push(status);
+            }
+
+            if (search) {
+                const pattern = containsPattern(search);
+                query += " AND (name LIKE ? OR email LIKE ?)";
+                params.push(pattern, pattern);
+            }
+
+            query += " ORDER BY id DESC";
+
+            const [rows] = await db.query(query, params);
+            return rows;
+        },
+
+        // Returns false when the user does not exist
+        async setRole(userId, role) {
+            const [result] = await db.query("UPDATE users SET role = ? WHERE id = ?", [role, userId]);
+            return result.affectedRows > 0;
+        },
+
+        async setStatus(userId, status) {
+            const [result] = await db.query("UPDATE users SET status = ? WHERE id = ?", [status, userId]);
+            return result.affectedRows > 0;
+        }
+    };
+}
+
+module.exports = { createUserRepository };
@@ -0,0 +1,46 @@
+// Review rules shared by the public, student, owner and admin routes: one review per student
+// per PG, a single owner reply, and reviewer names shortened before they are published.
+
+const MIN_REVIEW_LENGTH = 10;
+const MAX_REVIEW_LENGTH = 2000;
+const MAX_REVIEW_REPLY_LENGTH = 1000;
+const DEFAULT_REVIEW_PAGE_SIZE = 5;
+
+// A student's review (POST /api/pgs/:pgId/reviews and PUT /api/reviews/:reviewId)
+const reviewSchema = {
+    rating: { type: "integer", required: true, min: 1, max: 5, message: "Pick a rating from 1 to 5 stars" },
+    body: {
+        required: true,
+        minLength: MIN_REVIEW_LENGTH,
+        maxLength: MAX_REVIEW_LENGTH,
+        message: `Reviews must be between ${MIN_REVIEW_LENGTH} and ${MAX_REVIEW_LENGTH} characters`
+    }
+};
+
+// "Priya Sharma" -> "Priya S." so reviews do not publish full names
+function reviewerName(name) {
+    const parts = String(name || "").trim().split(/\s+/).filter(Boolean);
+    if (parts.length === 0) return "Student";
+    return parts.length > 1 ? `${parts[0]} ${parts[parts.length - 1][0]}.` : parts[0];
+}
+
+function toPublicReview(row) {
+    return {
+        id: row.id,
+        rating: row.rating,
+        body: row.body,
+        author_name: reviewerName(row.author_name),
+        created_at: row.created_at,
+        updated_at: row.updated_at,
+        owner_reply: row.owner_reply,
+        owner_replied_at: row.owner_replied_at
+    };
+}
+
+module.exports = {
+    MAX_REVIEW_REPLY_LENGTH,
+    DEFAULT_REVIEW_PAGE_SIZE,
+    reviewSchema,
+    reviewerName,
+    toPublicReview
+};
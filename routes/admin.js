@@ -0,0 +1,514 @@
+// Admin dashboard: listing moderation, user management, colleges and review moderation
+
+const express = require("express");
+const repos = require("../repositories");
+const { asyncHandler } = require("../errors");
+const { logger } = require("../logger");
+const { validateBody, validateQuery, validateIdParams, sendValidationErrors } = require("../validation");
+const { hashPassword } = require("../passwords");
+const { isValidCoordinate } = require("../geo");
+const { notificationHub, notify, alertSavedSearches } = require("../messaging");
+const { verifyToken, requireRole, signupSchema, USER_ROLES, USER_STATUSES } = require("../accounts");
+const { LISTING_STATUSES, MAX_MODERATION_NOTE_LENGTH, safeParseFacilities, parsePagination } = require("../listings");
+const { ANALYTICS_CHARTS, parseAnalyticsRange, toCsv } = require("../analytics");
+
+const router = express.Router();
+validateIdParams(router);
+
+const adminOnly = [verifyToken, requireRole(["admin"])];
+
+// GET PENDING PGs
+router.get(
+    "/admin/pgs/pending",
+    ...adminOnly,
+    asyncHandler(async (req, res) => {
+        const rows = await repos.pgs.listForAdmin({ status: "pending" });
+
+        const pgs = rows.map(pg => ({
+            ...pg,
+            facilities: pg.facilities ? safeParseFacilities(pg.facilities) : []
+        }));
+
+        res.json({ total: pgs.length, listings: pgs });
+    })
+);
+
+// GET ALL PGs (any status), filtered and paged: ?status=&city=&collegeId=&search=&page=&limit=
+router.get(
+    "/admin/pgs",
+    ...adminOnly,
+    validateQuery({
+        status: { oneOf: LISTING_STATUSES, message: `Status must be one of: ${LISTING_STATUSES.join(", ")}` },
+        city: { maxLength: 100, label: "City" },
+        collegeId: { type: "integer", min: 1, label: "College" },
+        search: { maxLength: 100, label: "Search" }
+    }),
+    asyncHandler(async (req, res) => {
+        const { status, city, collegeId, search } = req.query;
+        const filters = { status, city, collegeId, search };
+        const { page, limit, offset } = parsePagination(req.query);
+
+        const total = await repos.pgs.countForAdmin(filters);
+        const rows = await repos.pgs.listForAdmin({ ...filters, limit, offset });
+
+        const pgs = rows.map(pg => ({
+            ...pg,
+            facilities: pg.facilities ? safeParseFacilities(pg.facilities) : []
+        }));
+
+        res.json({
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit),
+            hasMore: offset + pgs.length < total,
+            listings: pgs
+        });
+    })
+);
+
+// Rejections need a reason because it is shown to the owner; approval notes are optional
+const moderationSchemas = {
+    approve: {
+        note: { maxLength: MAX_MODERATION_NOTE_LENGTH, message: `Keep the note under ${MAX_MODERATION_NOTE_LENGTH} characters` }
+    },
+    reject: {
+        reason: {
+            required: true,
+            maxLength: MAX_MODERATION_NOTE_LENGTH,
+            message: `Tell the owner why the listing was rejected, in up to ${MAX_MODERATION_NOTE_LENGTH} characters`
+        }
+    }
+};
+
+// Approve and reject share one handler: check the current status, change it and log who did it
+function moderatePG(action, newStatus) {
+    const noteField = action === "reject" ? "reason" : "note";
+
+    return asyncHandler(async (req, res) => {
+        const { pgId } = req.params;
+        const note = req.body[noteField] || "";
+
+        const pg = await repos.pgs.findById(pgId);
+
+        if (!pg) {
+            return res.status(404).json({ message: "PG not found" });
+        }
+
+        const oldStatus = pg.status;
+
+        if (oldStatus === newStatus) {
+            return res.status(409).json({ message: `PG is already ${newStatus}` });
+        }
+
+        // Returns null when another admin got there first; otherwise whether this is the first approval
+        const firstApproval = await repos.transaction(async tx => {
+            if (!(await tx.pgs.setStatus(pgId, newStatus, oldStatus))) return null;
+
+            await tx.moderation.record({
+                pgId,
+                changedBy: req.user.id,
+                action,
+                oldStatus,
+                newStatus,
+                note
+            });
+
+            // Only a listing's first approval is news to students; later ones follow owner edits
+            return newStatus === "approved" && await tx.moderation.countApprovals(pgId) === 1;
+        });
+
+        if (firstApproval === null) {
+            return res.status(409).json({ message: "PG was just updated by someone else. Reload and try again." });
+        }
+
+        await notify(pg.owner_id, {
+            type: `pg_${newStatus}`,
+            title: action === "reject"
+                ? `"${pg.name}" was rejected`
+                : `"${pg.name}" was approved and is visible to students`,
+            body: note,
+            link: "owner-dashboard.html"
+        });
+
+        logger.info(`PG ${newStatus}`, { pgId, adminId: req.user.id });
+
+        if (firstApproval) {
+            alertSavedSearches(pgId).catch(error => {
+                logger.error("Saved-search alerts failed", { pgId, error });
+            });
+        }
+
+        res.json({
+            message: `PG ${newStatus} successfully`,
+            pgId,
+            status: newStatus,
+            note: note || null
+        });
+    });
+}
+
+// APPROVE PG
+router.patch("/admin/pgs/:pgId/approve", ...adminOnly, validateBody(moderationSchemas.approve), moderatePG("approve", "approved"));
+
+// REJECT PG
+router.patch("/admin/pgs/:pgId/reject", ...adminOnly, validateBody(moderationSchemas.reject), moderatePG("reject", "rejected"));
+
+// MODERATION HISTORY OF A PG
+router.get(
+    "/admin/pgs/:pgId/history",
+    ...adminOnly,
+    asyncHandler(async (req, res) => {
+        const { pgId } = req.params;
+
+        const pg = await repos.pgs.findById(pgId);
+
+        if (!pg) {
+            return res.status(404).json({ message: "PG not found" });
+        }
+
+        const history = await repos.moderation.history(pgId);
+
+        res.json({ pg: { id: pg.id, name: pg.name, status: pg.status }, history });
+    })
+);
+
+// ==================== USERS ====================
+
+// LIST USERS
+router.get(
+    "/admin/users",
+    ...adminOnly,
+    validateQuery({
+        role: { oneOf: USER_ROLES, message: `Role must be one of: ${USER_ROLES.join(", ")}` },
+        status: { oneOf: USER_STATUSES, message: `Status must be one of: ${USER_STATUSES.join(", ")}` },
+        search: { maxLength: 100, label: "Search" }
+    }),
+    asyncHandler(async (req, res) => {
+        const { role, status, search } = req.query;
+
+        const users = await repos.users.list({ role, status, search });
+
+        res.json({ total: users.length, users });
+    })
+);
+
+const userRoleRule = { required: true, oneOf: USER_ROLES, message: `Role must be one of: ${USER_ROLES.join(", ")}` };
+
+// CREATE USER (any role, including admin)
+router.post(
+    "/admin/users",
+    ...adminOnly,
+    validateBody({ ...signupSchema, role: userRoleRule }),
+    asyncHandler(async (req, res) => {
+        const { name, password, role } = req.body;
+        const email = req.body.email.toLowerCase();
+
+        if (await repos.users.findIdByEmail(email)) {
+            return res.status(409).json({ message: "Email already exists" });
+        }
+
+        // The admin vouches for the address, so these accounts start out verified
+        const userId = await repos.users.create({
+            name,
+            email,
+            passwordHash: await hashPassword(password),
+            role,
+            verified: true
+        });
+
+        logger.info("User created by admin", { userId, role, adminId: req.user.id });
+
+        res.status(201).json({
+            message: "User created successfully",
+            user: { id: userId, name, email, role, status: "active" }
+        });
+    })
+);
+
+// CHANGE USER ROLE
+router.patch(
+    "/admin/users/:userId/role",
+    ...adminOnly,
+    validateBody({ role: userRoleRule }),
+    asyncHandler(async (req, res) => {
+        const userId = Number(req.params.userId);
+        const { role } = req.body;
+
+        // Stops the last admin from locking everyone out by accident
+        if (userId === req.user.id) {
+            return sendValidationErrors(res, { role: "You cannot change your own role" });
+        }
+
+        if (!(await repos.users.setRole(userId, role))) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        logger.info("User role changed", { userId, role, adminId: req.user.id });
+
+        res.json({ message: "Role updated successfully", userId, role });
+    })
+);
+
+// SUSPEND / REACTIVATE USER
+router.patch(
+    "/admin/users/:userId/status",
+    ...adminOnly,
+    validateBody({
+        status: { required: true, oneOf: USER_STATUSES, message: `Status must be one of: ${USER_STATUSES.join(", ")}` }
+    }),
+    asyncHandler(async (req, res) => {
+        const userId = Number(req.params.userId);
+        const { status } = req.body;
+
+        if (userId === req.user.id) {
+            return sendValidationErrors(res, { status: "You cannot suspend your own account" });
+        }
+
+        // A suspension also signs the user out everywhere
+        const found = await repos.transaction(async tx => {
+            if (!(await tx.users.setStatus(userId, status))) return false;
+            if (status === "suspended") await tx.sessions.revokeAllForUser(userId);
+            return true;
+        });
+
+        if (!found) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        if (status === "suspended") notificationHub.disconnectUser(userId);
+
+        logger.info(`User ${status === "suspended" ? "suspended" : "reactivated"}`, { userId, adminId: req.user.id });
+
+        res.json({
+            message: status === "suspended" ? "User suspended" : "User reactivated",
+            userId,
+            status
+        });
+    })
+);
+
+// ==================== COLLEGES ====================
+
+const COORDINATES_MESSAGE = "Enter a valid latitude and longitude";
+
+// An admin's college form; both coordinates are reported under latitude, next to the map picker
+const collegeSchema = {
+    name: { required: true, minLength: 2, maxLength: 150, message: "Name must be between 2 and 150 characters" },
+    city: { maxLength: 100, label: "City" },
+    latitude: {
+        type: "number",
+        required: true,
+        message: COORDINATES_MESSAGE,
+        check: (latitude, { longitude }) => isValidCoordinate(latitude, longitude) ? null : COORDINATES_MESSAGE
+    },
+    longitude: { type: "number", message: COORDINATES_MESSAGE }
+};
+
+function collegeFromBody(body) {
+    const { name, latitude, longitude } = body;
+    return { name, city: body.city || null, latitude, longitude };
+}
+
+function duplicateCollege(res) {
+    return res.status(409).json({
+        message: "Validation failed",
+        errors: { name: "This college already exists in that city" }
+    });
+}
+
+// CREATE COLLEGE
+router.post(
+    "/admin/colleges",
+    ...adminOnly,
+    validateBody(collegeSchema),
+    asyncHandler(async (req, res) => {
+        const college = collegeFromBody(req.body);
+
+        if (await repos.colleges.hasDuplicate(college)) {
+            return duplicateCollege(res);
+        }
+
+        const collegeId = await repos.colleges.create(college);
+
+        logger.info("College created", { collegeId, name: college.name });
+
+        res.status(201).json({
+            message: "College added",
+            college: { id: collegeId, ...college }
+        });
+    })
+);
+
+// UPDATE COLLEGE
+router.put(
+    "/admin/colleges/:collegeId",
+    ...adminOnly,
+    validateBody(collegeSchema),
+    asyncHandler(async (req, res) => {
+        const { collegeId } = req.params;
+        const college = collegeFromBody(req.body);
+
+        if (await repos.colleges.hasDuplicate(college, collegeId)) {
+            return duplicateCollege(res);
+        }
+
+        const found = await repos.transaction(async tx => {
+            if (!(await tx.colleges.update(collegeId, college))) return false;
+            await tx.colleges.refreshListingDistances(collegeId);
+            return true;
+        });
+
+        if (!found) {
+            return res.status(404).json({ message: "College not found" });
+        }
+
+        logger.info("College updated", { collegeId });
+
+        res.json({
+            message: "College updated",
+            college: { id: Number(collegeId), ...college }
+        });
+    })
+);
+
+// DELETE COLLEGE (listings keep their last distance and college name)
+router.delete(
+    "/admin/colleges/:collegeId",
+    ...adminOnly,
+    asyncHandler(async (req, res) => {
+        const { collegeId } = req.params;
+
+        if (!(await repos.colleges.remove(collegeId))) {
+            return res.status(404).json({ message: "College not found" });
+        }
+
+        logger.info("College deleted", { collegeId });
+
+        res.json({ message: "College deleted", collegeId });
+    })
+);
+
+// ==================== REVIEWS ====================
+
+// ALL REVIEWS FOR MODERATION (?hidden=1 for hidden ones)
+router.get(
+    "/admin/reviews",
+    ...adminOnly,
+    validateQuery({ hidden: { type: "boolean", message: "hidden must be 1 or 0" } }),
+    asyncHandler(async (req, res) => {
+        const { page, limit, offset } = parsePagination(req.query);
+        const hidden = req.query.hidden === true;
+
+        const total = await repos.reviews.countForModeration(hidden);
+        const rows = await repos.reviews.listForModeration(hidden, { limit, offset });
+
+        res.json({
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit),
+            hasMore: offset + rows.length < total,
+            reviews: rows.map(row => ({ ...row, is_hidden: Boolean(row.is_hidden) }))
+        });
+    })
+);
+
+// Hiding needs a reason for the record
+const hideReviewSchema = {
+    reason: {
+        required: true,
+        maxLength: MAX_MODERATION_NOTE_LENGTH,
+        message: `Say why the review is being hidden, in up to ${MAX_MODERATION_NOTE_LENGTH} characters`
+    }
+};
+
+// Hide and unhide share one handler
+function setReviewHidden(hidden) {
+    return asyncHandler(async (req, res) => {
+        const { reviewId } = req.params;
+        const reason = hidden ? req.body.reason : "";
+
+        const review = await repos.reviews.findById(reviewId);
+
+        if (!review) {
+            return res.status(404).json({ message: "Review not found" });
+        }
+
+        if (Boolean(review.is_hidden) === hidden) {
+            return res.status(409).json({ message: `Review is already ${hidden ? "hidden" : "visible"}` });
+        }
+
+        await repos.transaction(async tx => {
+            if (hidden) {
+                await tx.reviews.hide(reviewId, { reason, hiddenBy: req.user.id });
+            } else {
+                await tx.reviews.unhide(reviewId);
+            }
+
+            await tx.pgs.refreshRating(review.pg_id);
+        });
+
+        await notify(review.user_id, {
+            type: hidden ? "review_hidden" : "review_restored",
+            title: hidden
+                ? `Your review of "${review.pg_name}" was hidden by an admin`
+                : `Your review of "${review.pg_name}" is visible again`,
+            body: hidden ? reason : null,
+            link: `pg-details.html?id=${review.pg_id}`
+        });
+
+        logger.info(`Review ${hidden ? "hidden" : "restored"}`, { reviewId, adminId: req.user.id });
+
+        res.json({
+            message: hidden ? "Review hidden" : "Review restored",
+            reviewId: Number(reviewId),
+            is_hidden: hidden
+        });
+    });
+}
+
+// HIDE A REVIEW
+router.patch("/admin/reviews/:reviewId/hide", ...adminOnly, validateBody(hideReviewSchema), setReviewHidden(true));
+
+// RESTORE A HIDDEN REVIEW
+router.patch("/admin/reviews/:reviewId/unhide", ...adminOnly, setReviewHidden(false));
+
+// ==================== ANALYTICS ====================
+
+// ONE CHART AS JSON OR CSV: ?from=&to= (YYYY-MM-DD), ?interval=day|week|month, ?format=json|csv
+router.get(
+    "/admin/analytics/:chart",
+    ...adminOnly,
+    asyncHandler(async (req, res) => {
+        const id = req.params.chart;
+        const chart = Object.prototype.hasOwnProperty.call(ANALYTICS_CHARTS, id) ? ANALYTICS_CHARTS[id] : null;
+
+        if (!chart) {
+            return res.status(404).json({ message: "Unknown chart" });
+        }
+
+        const { range, errors } = parseAnalyticsRange(req.query);
+        const format = req.query.format || "json";
+        if (!["json", "csv"].includes(format)) errors.format = "format must be json or csv";
+
+        if (Object.keys(errors).length > 0) return sendValidationErrors(res, errors);
+
+        const table = await chart.build(repos, range);
+
+        if (format === "csv") {
+            return res.attachment(`${id}_${range.from}_${range.to}.csv`).send(toCsv(table));
+        }
+
+        res.json({
+            chart: id,
+            title: chart.title,
+            from: range.from,
+            to: range.to,
+            interval: chart.series ? range.interval : null,
+            ...table
+        });
+    })
+);
+
+module.exports = router;
@@ -0,0 +1,388 @@
+// Sign-up, sign-in, token refresh and logout, plus the emailed verification and password reset links
+
+const crypto = require("crypto");
+const express = require("express");
+const repos = require("../repositories");
+const { config } = require("../config");
+const { asyncHandler } = require("../errors");
+const { logger } = require("../logger");
+const { validateBody } = require("../validation");
+const { hashPassword, verifyPassword, needsRehash } = require("../passwords");
+const { createRateLimiter } = require("../rate-limit");
+const { deliveryTransport, notificationHub } = require("../messaging");
+const {
+    ACCESS_TOKEN_TTL_SECONDS,
+    MAX_PASSWORD_LENGTH,
+    emailRule,
+    newPasswordRule,
+    signupSchema,
+    generateToken,
+    generateRefreshToken,
+    hashRefreshToken,
+    refreshTokenExpiry,
+    issueTokens,
+    verifyToken
+} = require("../accounts");
+
+const router = express.Router();
+
+// Failed logins: a handful per account, more per IP since campuses share addresses
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+const loginLimiterByEmail = createRateLimiter({ windowMs: LOGIN_LOCKOUT_MS, max: 5 });
+const loginLimiterByIp = createRateLimiter({ windowMs: LOGIN_LOCKOUT_MS, max: 20 });
+
+// Emailed account links: verification lasts a day, a password reset an hour, and each works once
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+// Account emails per address (and per IP for resets), so the endpoints cannot flood an inbox
+const accountEmailLimiter = createRateLimiter({ windowMs: 60 * 60 * 1000, max: 5 });
+
+// Compared against when the email is unknown so response time does not reveal which accounts exist
+const DUMMY_PASSWORD_HASH = hashPassword("not-a-real-password");
+
+function tooManyLoginAttempts(res, retryAfterMs) {
+    const retryAfter = Math.ceil(retryAfterMs / 1000);
+    const minutes = Math.ceil(retryAfter / 60);
+
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({
+        message: `Too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`,
+        retryAfter
+    });
+}
+
+// Login only checks presence: older accounts may predate the password rules
+const loginSchema = {
+    email: { required: true, maxLength: 255, message: "Enter your email address" },
+    password: { required: true, trim: false, maxLength: MAX_PASSWORD_LENGTH, label: "Password" }
+};
+
+const refreshTokenSchema = {
+    refreshToken: { required: true, maxLength: 200, message: "Refresh token required" }
+};
+
+// SIGNUP
+router.post("/auth/signup", validateBody(signupSchema), asyncHandler(async (req, res) => {
+    const { name, email, password, role } = req.body;
+    const passwordHash = await hashPassword(password);
+
+    const created = await repos.transaction(async tx => {
+        if (await tx.users.findIdByEmail(email.toLowerCase())) {
+            return null;
+        }
+
+        const user = {
+            id: await tx.users.create({ name, email: email.toLowerCase(), passwordHash, role }),
+            name,
+            email,
+            role,
+            emailVerified: false
+        };
+
+        return { user, tokens: await issueTokens(tx, user, req) };
+    });
+
+    if (!created) {
+        return res.status(409).json({ message: "Email already exists" });
+    }
+
+    const { user, tokens } = created;
+
+    await sendAccountLink(user, "verify_email");
+
+    res.status(201).json({
+        ...tokens,
+        role: user.role,
+        user
+    });
+}));
+
+// LOGIN
+router.post("/auth/login", validateBody(loginSchema), asyncHandler(async (req, res) => {
+    const { email, password } = req.body;
+    const emailKey = email.toLowerCase();
+
+    const lockout = [loginLimiterByIp.status(req.ip), loginLimiterByEmail.status(emailKey)]
+        .find(status => status.blocked);
+
+    if (lockout) {
+        return tooManyLoginAttempts(res, lockout.retryAfterMs);
+    }
+
+    const user = await repos.users.findForLogin(emailKey);
+
+    let valid = false;
+    if (user) {
+        valid = await verifyPassword(password, user.password);
+    } else {
+        await verifyPassword(password, await DUMMY_PASSWORD_HASH);
+    }
+
+    if (!valid) {
+        const ipStatus = loginLimiterByIp.hit(req.ip);
+        const emailStatus = loginLimiterByEmail.hit(emailKey);
+        const blocked = [ipStatus, emailStatus].find(status => status.blocked);
+
+        if (blocked) {
+            logger.warn("Login locked out", { email: emailKey, ip: req.ip });
+            return tooManyLoginAttempts(res, blocked.retryAfterMs);
+        }
+
+        return res.status(401).json({ message: "Invalid credentials" });
+    }
+
+    if (user.status === "suspended") {
+        return res.status(403).json({ message: "This account has been suspended. Please contact support." });
+    }
+
+    // Upgrade plaintext (or outdated) hashes now that we know the password
+    if (needsRehash(user.password)) {
+        await repos.users.setPasswordHash(user.id, await hashPassword(password));
+        logger.info("Password hash upgraded", { userId: user.id });
+    }
+
+    const tokens = await issueTokens(repos, user, req);
+
+    loginLimiterByEmail.reset(emailKey);
+
+    res.json({
+        ...tokens,
+        role: user.role,
+        user: { id: user.id, name: user.name, email: user.email, emailVerified: user.email_verified_at !== null }
+    });
+}));
+
+// A refresh token turned up a second time, so either copy may be stolen; neither gets to keep the session
+async function revokeReusedSession(sessionId) {
+    await repos.sessions.revoke(sessionId);
+    notificationHub.disconnectSession(sessionId);
+    logger.warn("Refresh token reused; session revoked", { sessionId });
+}
+
+// REFRESH ACCESS TOKEN (rotates the refresh token; presenting an old one again revokes the session)
+router.post("/auth/refresh", validateBody(refreshTokenSchema), asyncHandler(async (req, res) => {
+    const tokenHash = hashRefreshToken(req.body.refreshToken);
+    const session = await repos.sessions.findByTokenHash(tokenHash);
+
+    if (!session) {
+        // A token that was already rotated away has been copied; end the session for whoever holds it
+        const reusedSessionId = await repos.sessions.findByRetiredTokenHash(tokenHash);
+        if (reusedSessionId) {
+            await revokeReusedSession(reusedSessionId);
+        }
+
+        return res.status(401).json({ message: "Session expired. Please log in again." });
+    }
+
+    const { session_id: sessionId, ...user } = session;
+
+    if (user.status === "suspended") {
+        await repos.sessions.revoke(sessionId);
+        return res.status(403).json({ message: "Account suspended" });
+    }
+
+    const nextRefreshToken = generateRefreshToken();
+
+    if (!(await repos.sessions.rotate(sessionId, tokenHash, hashRefreshToken(nextRefreshToken), refreshTokenExpiry()))) {
+        // Another request spent this token between the lookup and the update
+        await revokeReusedSession(sessionId);
+        return res.status(401).json({ message: "Session expired. Please log in again." });
+    }
+
+    res.json({
+        token: generateToken(user, sessionId),
+        refreshToken: nextRefreshToken,
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+        role: user.role,
+        user: {
+            id: user.id,
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            emailVerified: user.email_verified_at !== null
+        }
+    });
+}));
+
+// LOGOUT (this device)
+router.post("/auth/logout", validateBody(refreshTokenSchema), asyncHandler(async (req, res) => {
+    const sessionId = await repos.sessions.revokeByTokenHash(hashRefreshToken(req.body.refreshToken));
+    if (sessionId) notificationHub.disconnectSession(sessionId);
+
+    // Unknown or already-revoked tokens still count as logged out
+    res.json({ message: "Logged out" });
+}));
+
+// LOGOUT FROM ALL DEVICES
+router.post("/auth/logout-all", verifyToken, asyncHandler(async (req, res) => {
+    const sessions = await repos.sessions.revokeAllForUser(req.user.id);
+    notificationHub.disconnectUser(req.user.id);
+
+    logger.info("All sessions revoked", { userId: req.user.id, sessions });
+
+    res.json({ message: "Logged out of all devices", sessions });
+}));
+
+// ==================== ACCOUNT EMAILS ====================
+
+const ACCOUNT_EMAILS = {
+    verify_email: {
+        ttlMs: EMAIL_VERIFICATION_TTL_MS,
+        page: "verify-email.html",
+        subject: "Confirm your PG Finder email address",
+        intro: "Confirm your email address to finish setting up your PG Finder account:",
+        expiry: "24 hours"
+    },
+    reset_password: {
+        ttlMs: PASSWORD_RESET_TTL_MS,
+        page: "reset-password.html",
+        subject: "Reset your PG Finder password",
+        intro: "Someone asked to reset the password for your PG Finder account. Choose a new one here:",
+        expiry: "1 hour"
+    }
+};
+
+// Issue a single-use link token; stored hashed like refresh tokens, and any earlier unused link of the same kind stops working
+async function createAccountToken(userId, purpose) {
+    const token = crypto.randomBytes(32).toString("base64url");
+
+    await repos.accountTokens.replace(
+        userId,
+        purpose,
+        hashRefreshToken(token),
+        new Date(Date.now() + ACCOUNT_EMAILS[purpose].ttlMs)
+    );
+
+    return token;
+}
+
+// Use up a link token; returns its user ID, or null when it is unknown, expired or already used
+function consumeAccountToken(repos, token, purpose) {
+    if (typeof token !== "string" || !token) return null;
+
+    return repos.accountTokens.consume(hashRefreshToken(token), purpose);
+}
+
+function sendAccountEmail(user, purpose, token) {
+    const email = ACCOUNT_EMAILS[purpose];
+
+    return deliveryTransport.send({
+        channel: "email",
+        to: user.email,
+        subject: email.subject,
+        text: [
+            `Hi ${user.name},`,
+            "",
+            email.intro,
+            `${config.appBaseUrl}/${email.page}?token=${token}`,
+            "",
+            `The link works once and expires in ${email.expiry}. If you did not ask for it, you can ignore this email.`
+        ].join("\n")
+    });
+}
+
+// Create and mail a link; a mail failure is logged so signup and the other callers still succeed
+async function sendAccountLink(user, purpose) {
+    const token = await createAccountToken(user.id, purpose);
+
+    try {
+        await sendAccountEmail(user, purpose, token);
+        return true;
+    } catch (error) {
+        logger.error("Account email could not be sent", { purpose, userId: user.id, error: error.message });
+        return false;
+    }
+}
+
+const accountTokenRule = { required: true, maxLength: 200, message: "The link is missing its token" };
+const resetPasswordSchema = { token: accountTokenRule, password: newPasswordRule };
+
+// CONFIRM AN EMAIL ADDRESS FROM THE EMAILED LINK
+router.post("/auth/verify-email", validateBody({ token: accountTokenRule }), asyncHandler(async (req, res) => {
+    const userId = await repos.transaction(async tx => {
+        const tokenUserId = await consumeAccountToken(tx, req.body.token, "verify_email");
+        if (tokenUserId) await tx.users.markEmailVerified(tokenUserId);
+        return tokenUserId;
+    });
+
+    if (!userId) {
+        return res.status(400).json({ message: "This verification link is invalid or has expired. Request a new one from your dashboard." });
+    }
+
+    logger.info("Email verified", { userId });
+
+    res.json({ message: "Email address verified" });
+}));
+
+// SEND A NEW VERIFICATION LINK
+router.post("/auth/resend-verification", verifyToken, asyncHandler(async (req, res) => {
+    if (req.user.emailVerified) {
+        return res.status(409).json({ message: "Your email address is already verified" });
+    }
+
+    const limit = accountEmailLimiter.status(req.user.email);
+    if (limit.blocked) {
+        res.set("Retry-After", String(Math.ceil(limit.retryAfterMs / 1000)));
+        return res.status(429).json({ message: "Too many emails sent. Try again later." });
+    }
+    accountEmailLimiter.hit(req.user.email);
+
+    const user = await repos.users.findContact(req.user.id);
+
+    if (!(await sendAccountLink(user, "verify_email"))) {
+        return res.status(502).json({ message: "Could not send the email. Try again later." });
+    }
+
+    res.json({ message: `Verification link sent to ${user.email}` });
+}));
+
+// START A PASSWORD RESET
+// Always answers the same way so the form cannot be used to find out which emails have accounts
+router.post("/auth/forgot-password", validateBody({ email: emailRule }), asyncHandler(async (req, res) => {
+    const email = req.body.email.toLowerCase();
+    const reply = { message: "If an account exists for that email, a reset link is on its way." };
+
+    if ([accountEmailLimiter.status(email), accountEmailLimiter.status(req.ip)].some(status => status.blocked)) {
+        return res.json(reply);
+    }
+    accountEmailLimiter.hit(email);
+    accountEmailLimiter.hit(req.ip);
+
+    const user = await repos.users.findActiveContactByEmail(email);
+
+    if (user) {
+        await sendAccountLink(user, "reset_password");
+        logger.info("Password reset requested", { userId: user.id });
+    }
+
+    res.json(reply);
+}));
+
+// SET A NEW PASSWORD FROM THE EMAILED LINK (signs out every device)
+router.post("/auth/reset-password", validateBody(resetPasswordSchema), asyncHandler(async (req, res) => {
+    const { token, password } = req.body;
+    const passwordHash = await hashPassword(password);
+
+    const user = await repos.transaction(async tx => {
+        const userId = await consumeAccountToken(tx, token, "reset_password");
+        if (!userId) return null;
+
+        await tx.users.resetPassword(userId, passwordHash);
+        await tx.sessions.revokeAllForUser(userId);
+
+        return tx.users.findContact(userId);
+    });
+
+    if (!user) {
+        return res.status(400).json({ message: "This reset link is invalid or has expired. Request a new one." });
+    }
+
+    loginLimiterByEmail.reset(user.email);
+    notificationHub.disconnectUser(user.id);
+
+    logger.info("Password reset", { userId: user.id });
+
+    res.json({ message: "Password updated. Sign in with your new password." });
+}));
+
+module.exports = router;
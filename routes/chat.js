@@ -0,0 +1,103 @@
+// The PG assistant: questions are matched against approved listings, which go into the prompt as context
+
+const express = require("express");
+const repos = require("../repositories");
+const { asyncHandler } = require("../errors");
+const { logger } = require("../logger");
+const { createRateLimiter } = require("../rate-limit");
+const { createChatProvider, extractListingQuery, buildPrompt, ChatProviderError, LANGUAGE_NAMES } = require("../chat");
+const { verifyToken } = require("../accounts");
+const { validateBody, sendValidationErrors } = require("../validation");
+const { safeParseFacilities, roundKm, buildListingFilters, listingOrder } = require("../listings");
+
+const router = express.Router();
+const chatProvider = createChatProvider();
+
+// Assistant messages per user: a short burst limit plus an hourly cap, since every message costs a provider call
+const chatLimiterPerMinute = createRateLimiter({ windowMs: 60 * 1000, max: 6 });
+const chatLimiterPerHour = createRateLimiter({ windowMs: 60 * 60 * 1000, max: 40 });
+const MAX_CHAT_MESSAGE_LENGTH = 500;
+// Listings put in front of the model as context for each question
+const CHAT_CONTEXT_LISTINGS = 5;
+
+function tooManyChatMessages(res, retryAfterMs) {
+    const retryAfter = Math.ceil(retryAfterMs / 1000);
+    const wait = retryAfter < 60 ? `${retryAfter} seconds` : `${Math.ceil(retryAfter / 60)} minutes`;
+
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({
+        message: `You're sending messages too quickly. Try again in ${wait}.`,
+        retryAfter
+    });
+}
+
+const chatSchema = {
+    message: { required: true, maxLength: MAX_CHAT_MESSAGE_LENGTH, label: "Message" },
+    language: {
+        oneOf: Object.keys(LANGUAGE_NAMES),
+        message: `language must be one of: ${Object.keys(LANGUAGE_NAMES).join(", ")}`
+    },
+    collegeId: { type: "integer", min: 1, message: "Unknown college" }
+};
+
+// ASK THE PG ASSISTANT (any signed-in user)
+router.post("/chat", verifyToken, validateBody(chatSchema), asyncHandler(async (req, res) => {
+    const { message: text, collegeId } = req.body;
+    const language = req.body.language || "en";
+
+    const limited = [chatLimiterPerMinute.status(req.user.id), chatLimiterPerHour.status(req.user.id)]
+        .find(status => status.blocked);
+    if (limited) {
+        return tooManyChatMessages(res, limited.retryAfterMs);
+    }
+
+    chatLimiterPerMinute.hit(req.user.id);
+    chatLimiterPerHour.hit(req.user.id);
+
+    let college = null;
+    if (collegeId) {
+        college = await repos.colleges.findById(collegeId);
+
+        if (!college) {
+            return sendValidationErrors(res, { collegeId: "Unknown college" });
+        }
+    }
+
+    // The extracted query only holds valid values, so filter errors cannot occur here
+    const listingQuery = extractListingQuery(text);
+    const { conditions, params } = buildListingFilters(listingQuery, { college });
+    const sort = listingQuery.sort || (college ? "distance" : "rent_asc");
+
+    const rows = await repos.pgs.searchPublic({
+        conditions,
+        params,
+        college,
+        orderBy: listingOrder(sort, college),
+        limit: CHAT_CONTEXT_LISTINGS
+    });
+
+    const listings = rows.map(pg => ({
+        ...pg,
+        distance_km: pg.distance_km === null ? null : roundKm(Number(pg.distance_km)),
+        facilities: pg.facilities ? safeParseFacilities(pg.facilities) : []
+    }));
+
+    const prompt = buildPrompt({ message: text, language, listings });
+
+    let reply;
+    try {
+        reply = await chatProvider.reply({ prompt, message: text, language, listings });
+    } catch (error) {
+        if (!(error instanceof ChatProviderError)) throw error;
+
+        logger.error("Chat provider failed", { error: error.message });
+        return res.status(502).json({ message: "The assistant is unavailable right now. Please try again." });
+    }
+
+    res.json({
+        reply,
+        listings: listings.map(pg => ({ id: pg.id, name: pg.name, rent: pg.rent }))
+    });
+}));
+
+module.exports = router;
@@ -0,0 +1,65 @@
+// The signed-in user's in-app notifications, including the live Server-Sent Events stream
+
+const express = require("express");
+const repos = require("../repositories");
+const { asyncHandler } = require("../errors");
+const { validateQuery, validateIdParams } = require("../validation");
+const { verifyToken, tokenFromQuery } = require("../accounts");
+const { notificationHub } = require("../messaging");
+const { parsePagination } = require("../listings");
+
+const router = express.Router();
+validateIdParams(router);
+
+// THE SIGNED-IN USER'S NOTIFICATIONS, NEWEST FIRST (?unread=1 for unread only)
+router.get("/notifications", verifyToken, validateQuery({
+    unread: { type: "boolean", message: "unread must be 1 or 0" }
+}), asyncHandler(async (req, res) => {
+    const { page, limit, offset } = parsePagination(req.query);
+    const unreadOnly = req.query.unread === true;
+
+    const total = await repos.notifications.count(req.user.id, { unreadOnly });
+    const rows = await repos.notifications.list(req.user.id, { unreadOnly, limit, offset });
+    const unread = unreadOnly ? total : await repos.notifications.countUnread(req.user.id);
+
+    res.json({
+        total,
+        unread,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        hasMore: offset + rows.length < total,
+        notifications: rows
+    });
+}));
+
+// LIVE NOTIFICATIONS (Server-Sent Events)
+router.get("/notifications/stream", tokenFromQuery, verifyToken, asyncHandler(async (req, res) => {
+    const unread = await repos.notifications.countUnread(req.user.id);
+
+    notificationHub.subscribe(req.user.id, res, { unread, sessionId: req.user.sid, expiresAt: req.user.exp * 1000 });
+}));
+
+// MARK ONE NOTIFICATION AS READ
+router.patch("/notifications/:notificationId/read", verifyToken, asyncHandler(async (req, res) => {
+    if (!(await repos.notifications.markRead(req.params.notificationId, req.user.id))) {
+        return res.status(404).json({ message: "Notification not found" });
+    }
+
+    const unread = await repos.notifications.countUnread(req.user.id);
+
+    notificationHub.publish(req.user.id, "unread", { unread });
+
+    res.json({ message: "Notification marked as read", unread });
+}));
+
+// MARK EVERYTHING AS READ
+router.post("/notifications/read-all", verifyToken, asyncHandler(async (req, res) => {
+    const updated = await repos.notifications.markAllRead(req.user.id);
+
+    notificationHub.publish(req.user.id, "unread", { unread: 0 });
+
+    res.json({ message: "All notifications marked as read", updated, unread: 0 });
+}));
+
+module.exports = router;
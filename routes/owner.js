@@ -0,0 +1,664 @@
+// Owner dashboard: listings, photos, room types, reviews of the owner's PGs and visit/booking requests
+
+const express = require("express");
+const repos = require("../repositories");
+const { asyncHandler } = require("../errors");
+const { logger } = require("../logger");
+const { validateBody, validateQuery, validateIdParams, sendValidationErrors } = require("../validation");
+const { verifyToken, requireRole, requireVerifiedEmail } = require("../accounts");
+const { prepareImages, ImageValidationError, MAX_IMAGES_PER_PG } = require("../images");
+const { lookupCoordinates } = require("../geo");
+const { notify } = require("../messaging");
+const { MAX_REVIEW_REPLY_LENGTH, toPublicReview } = require("../reviews");
+const { INQUIRY_STATUSES, changeInquiryStatus } = require("../inquiries");
+const {
+    storage,
+    ROOM_TYPES,
+    GENDERS,
+    MAX_RENT,
+    MAX_MODERATION_NOTE_LENGTH,
+    safeParseFacilities,
+    attachImages,
+    attachRooms,
+    listRooms,
+    listImages,
+    saveImages,
+    writeImageFiles,
+    resolveCoordinates,
+    resolveCollegeDistance,
+    parsePagination
+} = require("../listings");
+
+const router = express.Router();
+validateIdParams(router);
+
+const ownerOnly = [verifyToken, requireRole(["owner"])];
+
+// Up to five 5MB photos arrive base64-encoded in the listing form; app.js leaves these bodies alone
+const listingFormBody = express.json({ limit: "35mb" });
+
+// Room types per PG (e.g. "Double sharing"), each with its own rent and beds
+const MAX_ROOM_TYPES_PER_PG = 10;
+const MAX_ROOM_NAME_LENGTH = 60;
+const MAX_ROOM_SHARING = 10;
+const MAX_BEDS_PER_ROOM_TYPE = 500;
+
+// The owner's add/edit form (POST /api/pg/add and PUT /api/owner/pgs/:pgId).
+// College, map pin and photos need the database or several fields and are checked in the handlers.
+const pgSchema = {
+    pgName: { required: true, minLength: 3, maxLength: 150, label: "PG name" },
+    pgRent: { type: "number", required: true, min: 1, max: MAX_RENT, label: "Rent" },
+    pgAddress: { required: true, minLength: 5, maxLength: 255, label: "Address" },
+    pgCity: { required: true, maxLength: 100, label: "City" },
+    pgPincode: { required: true, pattern: /^\d{6}$/, message: "Pincode must be 6 digits" },
+    pgCollegeId: { type: "integer", min: 1, message: "Pick a college from the list" },
+    pgCollege: { maxLength: 150, label: "College name" },
+    pgRoomType: { required: true, oneOf: ROOM_TYPES, message: "Pick a room type" },
+    pgGender: { required: true, oneOf: GENDERS, message: "Pick who the PG is for" },
+    pgDeposit: { type: "number", min: 0, max: MAX_RENT, label: "Deposit" },
+    facilities: { type: "array", maxLength: 20, items: { maxLength: 50 }, label: "Facilities" },
+    pgDescription: { maxLength: 5000, label: "Description" },
+    pgLatitude: { type: "number", min: -90, max: 90, message: "Pick the PG's location on the map again; the coordinates are invalid" },
+    pgLongitude: { type: "number", min: -180, max: 180, message: "Pick the PG's location on the map again; the coordinates are invalid" },
+    images: { type: "array", label: "Images" }
+};
+
+// The form's fields as the columns pgs.create() and pgs.update() expect
+function listingFromForm(body, location, collegeInfo) {
+    return {
+        name: body.pgName,
+        rent: body.pgRent,
+        address: body.pgAddress,
+        city: body.pgCity,
+        pincode: body.pgPincode,
+        distance: collegeInfo.distance,
+        college: collegeInfo.collegeName,
+        collegeId: collegeInfo.collegeId,
+        roomType: body.pgRoomType,
+        gender: body.pgGender,
+        deposit: body.pgDeposit ?? 0,
+        facilities: JSON.stringify(Array.isArray(body.facilities) ? body.facilities : []),
+        description: body.pgDescription,
+        latitude: location.latitude,
+        longitude: location.longitude
+    };
+}
+
+// Resize and check uploaded photos; returns { images } or { errors } for the form
+async function prepareFormImages(images) {
+    try {
+        return { images: await prepareImages(images) };
+    } catch (error) {
+        if (error instanceof ImageValidationError) {
+            return { errors: { images: error.message } };
+        }
+        throw error;
+    }
+}
+
+// ADD NEW PG
+router.post(
+    "/pg/add",
+    ...ownerOnly,
+    requireVerifiedEmail,
+    listingFormBody,
+    validateBody(pgSchema),
+    asyncHandler(async (req, res) => {
+        const location = resolveCoordinates(req.body);
+        if (location.error) {
+            return sendValidationErrors(res, { pgLatitude: location.error });
+        }
+
+        const prepared = await prepareFormImages(req.body.images);
+        if (prepared.errors) {
+            return sendValidationErrors(res, prepared.errors);
+        }
+
+        const collegeInfo = await resolveCollegeDistance(repos, req.body, location);
+        if (collegeInfo.errors) {
+            return sendValidationErrors(res, collegeInfo.errors);
+        }
+
+        const listing = listingFromForm(req.body, location, collegeInfo);
+
+        const { pgId, files } = await repos.transaction(async tx => {
+            const id = await tx.pgs.create(req.user.id, listing);
+            return { pgId: id, files: await saveImages(tx, id, prepared.images) };
+        });
+        await writeImageFiles(files);
+
+        logger.info("PG added", { pgId, ownerId: req.user.id });
+
+        res.status(201).json({
+            message: "PG submitted for approval",
+            pgId,
+            status: "pending",
+            imageCount: prepared.images.length
+        });
+    })
+);
+
+// LOOK UP APPROXIMATE COORDINATES FOR AN ADDRESS (local table, no external geocoder)
+router.get(
+    "/owner/geocode",
+    ...ownerOnly,
+    (req, res) => {
+        const found = lookupCoordinates({ pincode: req.query.pincode, city: req.query.city });
+
+        if (!found) {
+            return res.status(404).json({ message: "This pincode or city is not in the lookup table. Drop a pin on the map instead." });
+        }
+
+        res.json(found);
+    }
+);
+
+// LIST OWNER'S PGs
+router.get(
+    "/owner/pgs",
+    ...ownerOnly,
+    asyncHandler(async (req, res) => {
+        const rows = await repos.pgs.listByOwner(req.user.id);
+        const withImages = await attachRooms(repos, await attachImages(repos, rows));
+
+        const pgs = withImages.map(pg => ({
+            ...pg,
+            facilities: pg.facilities ? safeParseFacilities(pg.facilities) : []
+        }));
+
+        res.json({ listings: pgs });
+    })
+);
+
+// UPDATE OWN PG
+router.put(
+    "/owner/pgs/:pgId",
+    ...ownerOnly,
+    listingFormBody,
+    validateBody(pgSchema),
+    asyncHandler(async (req, res) => {
+        const { pgId } = req.params;
+
+        const existing = await repos.pgs.findOwned(pgId, req.user.id);
+
+        if (!existing) {
+            return res.status(404).json({ message: "PG not found" });
+        }
+
+        const prepared = await prepareFormImages(req.body.images);
+        if (prepared.errors) {
+            return sendValidationErrors(res, prepared.errors);
+        }
+
+        const location = resolveCoordinates(req.body, existing);
+        if (location.error) {
+            return sendValidationErrors(res, { pgLatitude: location.error });
+        }
+
+        const collegeInfo = await resolveCollegeDistance(repos, req.body, location);
+        if (collegeInfo.errors) {
+            return sendValidationErrors(res, collegeInfo.errors);
+        }
+
+        if (await repos.images.count(pgId) + prepared.images.length > MAX_IMAGES_PER_PG) {
+            return sendValidationErrors(res, { images: `A PG can have at most ${MAX_IMAGES_PER_PG} images` });
+        }
+
+        // Approved listings go back to the review queue after any edit
+        const status = existing.status === "approved" ? "pending" : existing.status;
+
+        const files = await repos.transaction(async tx => {
+            await tx.pgs.update(pgId, req.user.id, listingFromForm(req.body, location, collegeInfo), status);
+
+            const added = await saveImages(tx, pgId, prepared.images);
+
+            // With room types the listing rent stays the cheapest room's rent
+            await tx.pgs.refreshRooms(pgId);
+
+            if (status !== existing.status) {
+                await tx.moderation.record({
+                    pgId,
+                    changedBy: req.user.id,
+                    action: "edit",
+                    oldStatus: existing.status,
+                    newStatus: status
+                });
+            }
+
+            return added;
+        });
+        await writeImageFiles(files);
+
+        logger.info("PG updated", { pgId, status });
+
+        res.json({
+            message: status === "pending" && existing.status === "approved"
+                ? "PG updated and sent back for approval"
+                : "PG updated successfully",
+            pgId,
+            status
+        });
+    })
+);
+
+// RESUBMIT A REJECTED PG FOR REVIEW
+router.post(
+    "/owner/pgs/:pgId/resubmit",
+    ...ownerOnly,
+    validateBody({
+        note: { maxLength: MAX_MODERATION_NOTE_LENGTH, message: `Keep the note under ${MAX_MODERATION_NOTE_LENGTH} characters` }
+    }),
+    asyncHandler(async (req, res) => {
+        const { pgId } = req.params;
+        const note = req.body.note || "";
+
+        const existing = await repos.pgs.findOwned(pgId, req.user.id);
+
+        if (!existing) {
+            return res.status(404).json({ message: "PG not found" });
+        }
+
+        const resubmitted = existing.status === "rejected" && await repos.transaction(async tx => {
+            if (!(await tx.pgs.setStatus(pgId, "pending", "rejected"))) return false;
+
+            await tx.moderation.record({
+                pgId,
+                changedBy: req.user.id,
+                action: "resubmit",
+                oldStatus: "rejected",
+                newStatus: "pending",
+                note
+            });
+
+            return true;
+        });
+
+        if (!resubmitted) {
+            return res.status(409).json({ message: "Only rejected listings can be resubmitted" });
+        }
+
+        logger.info("PG resubmitted", { pgId });
+
+        res.json({
+            message: "PG resubmitted for approval",
+            pgId,
+            status: "pending"
+        });
+    })
+);
+
+// PUBLISH / UNPUBLISH OWN PG
+router.patch(
+    "/owner/pgs/:pgId",
+    ...ownerOnly,
+    validateBody({ published: { type: "boolean", required: true, message: "published must be true or false" } }),
+    asyncHandler(async (req, res) => {
+        const { pgId } = req.params;
+        const { published } = req.body;
+
+        if (!(await repos.pgs.setPublished(pgId, req.user.id, published))) {
+            return res.status(404).json({ message: "PG not found" });
+        }
+
+        logger.info(`PG ${published ? "published" : "unpublished"}`, { pgId });
+
+        res.json({
+            message: published ? "PG is visible to students again" : "PG hidden from students",
+            pgId,
+            published
+        });
+    })
+);
+
+// DELETE OWN PG
+router.delete(
+    "/owner/pgs/:pgId",
+    ...ownerOnly,
+    asyncHandler(async (req, res) => {
+        const { pgId } = req.params;
+
+        if (!(await repos.pgs.findOwned(pgId, req.user.id))) {
+            return res.status(404).json({ message: "PG not found" });
+        }
+
+        const images = await repos.transaction(async tx => {
+            const removed = await tx.images.removeAll(pgId);
+            await tx.pgs.remove(pgId, req.user.id);
+            return removed;
+        });
+
+        // Files go last so a failed delete never leaves rows pointing at missing photos
+        for (const image of images) {
+            await storage.remove(image.file_key);
+            await storage.remove(image.thumb_key);
+        }
+
+        logger.info("PG deleted", { pgId });
+
+        res.json({ message: "PG deleted successfully", pgId });
+    })
+);
+
+// Load a PG's image IDs in display order, or null when the PG is not this owner's
+async function getOwnedImageIds(pgId, ownerId) {
+    if (!(await repos.pgs.findOwned(pgId, ownerId))) return null;
+
+    return repos.images.listIds(pgId);
+}
+
+// REORDER PG PHOTOS
+router.put(
+    "/owner/pgs/:pgId/images/order",
+    ...ownerOnly,
+    validateBody({
+        imageIds: { type: "array", required: true, items: { type: "integer", min: 1 }, message: "imageIds must be a list of photo IDs" }
+    }),
+    asyncHandler(async (req, res) => {
+        const { pgId } = req.params;
+        const { imageIds } = req.body;
+
+        const currentIds = await getOwnedImageIds(pgId, req.user.id);
+
+        if (!currentIds) {
+            return res.status(404).json({ message: "PG not found" });
+        }
+
+        const sameSet = imageIds.length === currentIds.length &&
+            new Set(imageIds).size === imageIds.length &&
+            imageIds.every(id => currentIds.includes(id));
+
+        if (!sameSet) {
+            return sendValidationErrors(res, { imageIds: "imageIds must list every photo of this PG exactly once" });
+        }
+
+        await repos.transaction(tx => tx.images.setOrder(pgId, imageIds));
+
+        res.json({ message: "Photo order updated", pgId, images: await listImages(repos, pgId) });
+    })
+);
+
+// SET COVER PHOTO
+router.patch(
+    "/owner/pgs/:pgId/images/:imageId/cover",
+    ...ownerOnly,
+    asyncHandler(async (req, res) => {
+        const { pgId } = req.params;
+        const imageId = Number(req.params.imageId);
+
+        const currentIds = await getOwnedImageIds(pgId, req.user.id);
+
+        if (!currentIds || !currentIds.includes(imageId)) {
+            return res.status(404).json({ message: "Photo not found" });
+        }
+
+        await repos.transaction(tx => tx.images.setOrder(pgId, [imageId, ...currentIds.filter(id => id !== imageId)]));
+
+        res.json({ message: "Cover photo updated", pgId, images: await listImages(repos, pgId) });
+    })
+);
+
+// DELETE ONE PHOTO (frees a slot so it can be replaced)
+router.delete(
+    "/owner/pgs/:pgId/images/:imageId",
+    ...ownerOnly,
+    asyncHandler(async (req, res) => {
+        const { pgId, imageId } = req.params;
+
+        if (!(await repos.pgs.findOwned(pgId, req.user.id))) {
+            return res.status(404).json({ message: "PG not found" });
+        }
+
+        const image = await repos.transaction(tx => tx.images.remove(pgId, imageId));
+
+        if (!image) {
+            return res.status(404).json({ message: "Photo not found" });
+        }
+
+        // Row first, then files: a failed file delete leaves an unused file, never a broken photo
+        await storage.remove(image.file_key);
+        await storage.remove(image.thumb_key);
+
+        logger.info("Photo deleted", { pgId, imageId });
+
+        res.json({ message: "Photo deleted", pgId, images: await listImages(repos, pgId) });
+    })
+);
+
+// ==================== ROOM INVENTORY ====================
+
+// A room type's form (POST and PUT /api/owner/pgs/:pgId/rooms)
+const roomSchema = {
+    name: {
+        required: true,
+        maxLength: MAX_ROOM_NAME_LENGTH,
+        message: `Name the room type in up to ${MAX_ROOM_NAME_LENGTH} characters, e.g. "Double sharing"`
+    },
+    sharing: {
+        type: "integer",
+        required: true,
+        min: 1,
+        max: MAX_ROOM_SHARING,
+        message: `Sharing must be between 1 and ${MAX_ROOM_SHARING} people per room`
+    },
+    rent: { type: "number", required: true, min: 1, max: MAX_RENT, message: "Rent must be a positive number" },
+    deposit: { type: "number", min: 0, max: MAX_RENT, message: "Deposit must be zero or more" },
+    totalBeds: {
+        type: "integer",
+        required: true,
+        min: 1,
+        max: MAX_BEDS_PER_ROOM_TYPE,
+        message: `Total beds must be between 1 and ${MAX_BEDS_PER_ROOM_TYPE}`
+    },
+    freeBeds: {
+        type: "integer",
+        required: true,
+        min: 0,
+        label: "Free beds",
+        check: (freeBeds, { totalBeds }) => freeBeds > totalBeds ? "Free beds must be between 0 and the total number of beds" : null
+    }
+};
+
+// The checked form as the columns rooms.create() and rooms.update() expect
+function roomFromBody(body) {
+    const { name, sharing, rent, totalBeds, freeBeds } = body;
+    return { name, sharing, rent, deposit: body.deposit || 0, totalBeds, freeBeds };
+}
+
+// ADD A ROOM TYPE
+router.post(
+    "/owner/pgs/:pgId/rooms",
+    ...ownerOnly,
+    validateBody(roomSchema),
+    asyncHandler(async (req, res) => {
+        const { pgId } = req.params;
+        const room = roomFromBody(req.body);
+
+        if (!(await repos.pgs.findOwned(pgId, req.user.id))) {
+            return res.status(404).json({ message: "PG not found" });
+        }
+
+        if (await repos.rooms.count(pgId) >= MAX_ROOM_TYPES_PER_PG) {
+            return sendValidationErrors(res, { rooms: `A PG can have at most ${MAX_ROOM_TYPES_PER_PG} room types` });
+        }
+
+        const roomId = await repos.transaction(async tx => {
+            const id = await tx.rooms.create(pgId, room);
+            await tx.pgs.refreshRooms(pgId);
+            return id;
+        });
+
+        logger.info("Room type added", { pgId, roomId });
+
+        res.status(201).json({ message: "Room type added", roomId, rooms: await listRooms(repos, pgId) });
+    })
+);
+
+// EDIT A ROOM TYPE
+router.put(
+    "/owner/pgs/:pgId/rooms/:roomId",
+    ...ownerOnly,
+    validateBody(roomSchema),
+    asyncHandler(async (req, res) => {
+        const { pgId, roomId } = req.params;
+        const room = roomFromBody(req.body);
+
+        if (!(await repos.pgs.findOwned(pgId, req.user.id))) {
+            return res.status(404).json({ message: "PG not found" });
+        }
+
+        const updated = await repos.transaction(async tx => {
+            if (!(await tx.rooms.update(pgId, roomId, room))) return false;
+            await tx.pgs.refreshRooms(pgId);
+            return true;
+        });
+
+        if (!updated) {
+            return res.status(404).json({ message: "Room type not found" });
+        }
+
+        res.json({ message: "Room type updated", rooms: await listRooms(repos, pgId) });
+    })
+);
+
+// UPDATE FREE BEDS (occupancy changes do not send the listing back for review)
+router.patch(
+    "/owner/pgs/:pgId/rooms/:roomId/occupancy",
+    ...ownerOnly,
+    validateBody({
+        freeBeds: { type: "integer", required: true, min: 0, message: "Free beds must be a whole number, zero or more" }
+    }),
+    asyncHandler(async (req, res) => {
+        const { pgId, roomId } = req.params;
+        const { freeBeds } = req.body;
+
+        const existing = await repos.rooms.findOwned(pgId, roomId, req.user.id);
+
+        if (!existing) {
+            return res.status(404).json({ message: "Room type not found" });
+        }
+
+        if (freeBeds > existing.total_beds) {
+            return sendValidationErrors(res, { freeBeds: `This room type only has ${existing.total_beds} beds` });
+        }
+
+        await repos.transaction(async tx => {
+            await tx.rooms.setFreeBeds(roomId, freeBeds);
+            await tx.pgs.refreshRooms(pgId);
+        });
+
+        logger.info("Occupancy updated", { pgId, roomId, freeBeds });
+
+        res.json({ message: "Occupancy updated", rooms: await listRooms(repos, pgId) });
+    })
+);
+
+// DELETE A ROOM TYPE
+router.delete(
+    "/owner/pgs/:pgId/rooms/:roomId",
+    ...ownerOnly,
+    asyncHandler(async (req, res) => {
+        const { pgId, roomId } = req.params;
+
+        if (!(await repos.pgs.findOwned(pgId, req.user.id))) {
+            return res.status(404).json({ message: "PG not found" });
+        }
+
+        const removed = await repos.transaction(async tx => {
+            if (!(await tx.rooms.remove(pgId, roomId))) return false;
+            await tx.pgs.refreshRooms(pgId);
+            return true;
+        });
+
+        if (!removed) {
+            return res.status(404).json({ message: "Room type not found" });
+        }
+
+        res.json({ message: "Room type removed", rooms: await listRooms(repos, pgId) });
+    })
+);
+
+// ==================== REVIEWS ====================
+
+// REVIEWS ON THE OWNER'S LISTINGS, NEWEST FIRST
+router.get(
+    "/owner/reviews",
+    ...ownerOnly,
+    asyncHandler(async (req, res) => {
+        const { page, limit, offset } = parsePagination(req.query);
+
+        const total = await repos.reviews.countForOwner(req.user.id);
+        const rows = await repos.reviews.listForOwner(req.user.id, { limit, offset });
+
+        res.json({
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit),
+            hasMore: offset + rows.length < total,
+            reviews: rows.map(row => ({ ...toPublicReview(row), pg_id: row.pg_id, pg_name: row.pg_name }))
+        });
+    })
+);
+
+// REPLY TO A REVIEW (once)
+router.post(
+    "/owner/reviews/:reviewId/reply",
+    ...ownerOnly,
+    validateBody({
+        reply: {
+            required: true,
+            maxLength: MAX_REVIEW_REPLY_LENGTH,
+            message: `Replies must be between 1 and ${MAX_REVIEW_REPLY_LENGTH} characters`
+        }
+    }),
+    asyncHandler(async (req, res) => {
+        const { reviewId } = req.params;
+        const { reply } = req.body;
+
+        const review = await repos.reviews.findForOwner(reviewId, req.user.id);
+
+        if (!review) {
+            return res.status(404).json({ message: "Review not found" });
+        }
+
+        if (review.owner_reply !== null || !(await repos.reviews.addReply(reviewId, reply))) {
+            return res.status(409).json({ message: "You have already replied to this review" });
+        }
+
+        await notify(review.user_id, {
+            type: "review_reply",
+            title: `The owner of "${review.pg_name}" replied to your review`,
+            body: reply,
+            link: `pg-details.html?id=${review.pg_id}`
+        });
+
+        logger.info("Owner replied to review", { reviewId });
+
+        res.json({ message: "Reply posted", reviewId: Number(reviewId), reply });
+    })
+);
+
+// ==================== VISIT & BOOKING REQUESTS ====================
+
+// REQUESTS FOR THE OWNER'S LISTINGS (?status= to filter)
+router.get(
+    "/owner/inquiries",
+    ...ownerOnly,
+    validateQuery({
+        status: { oneOf: INQUIRY_STATUSES, message: `Status must be one of: ${INQUIRY_STATUSES.join(", ")}` }
+    }),
+    asyncHandler(async (req, res) => {
+        res.json({ inquiries: await repos.inquiries.listForOwner(req.user.id, req.query.status) });
+    })
+);
+
+// ACCEPT A REQUEST
+router.patch("/owner/inquiries/:inquiryId/accept", ...ownerOnly, changeInquiryStatus("accept"));
+
+// DECLINE A REQUEST
+router.patch("/owner/inquiries/:inquiryId/decline", ...ownerOnly, changeInquiryStatus("decline"));
+
+// PROPOSE ANOTHER TIME { proposedFor: "YYYY-MM-DDTHH:mm", note }
+router.patch("/owner/inquiries/:inquiryId/propose", ...ownerOnly, changeInquiryStatus("propose"));
+
+module.exports = router;
@@ -0,0 +1,218 @@
+// Routes that need no sign-in: listing search, listing details, public reviews and colleges
+
+const express = require("express");
+const repos = require("../repositories");
+const { asyncHandler } = require("../errors");
+const { validateIdParams, sendValidationErrors } = require("../validation");
+const { isValidCoordinate, boundingBox } = require("../geo");
+const { DEFAULT_REVIEW_PAGE_SIZE, toPublicReview } = require("../reviews");
+const { recordFacilitySearch } = require("../analytics");
+const {
+    LISTING_SORTS,
+    ROOM_TYPES,
+    GENDERS,
+    DEFAULT_NEARBY_RADIUS_KM,
+    MAX_NEARBY_RADIUS_KM,
+    MAX_NEARBY_RESULTS,
+    NEARBY_COLLEGE_RADIUS_KM,
+    safeParseFacilities,
+    attachImages,
+    attachRooms,
+    roundKm,
+    buildListingFilters,
+    listingOrder,
+    parsePagination
+} = require("../listings");
+
+const router = express.Router();
+validateIdParams(router);
+
+// LIST COLLEGES
+router.get("/colleges", asyncHandler(async (req, res) => {
+    res.json({ colleges: await repos.colleges.list() });
+}));
+
+// GET APPROVED PGs WITH FILTERS, SEARCH, SORTING AND PAGINATION
+router.get("/pgs", asyncHandler(async (req, res) => {
+    // With ?collegeId= every distance is measured from that college's coordinates
+    let college = null;
+    if (req.query.collegeId) {
+        college = await repos.colleges.findById(req.query.collegeId);
+
+        if (!college) {
+            return sendValidationErrors(res, { collegeId: "Unknown college" });
+        }
+    }
+
+    const { conditions, params, errors } = buildListingFilters(req.query, { college });
+    const sort = req.query.sort || "distance";
+
+    if (!LISTING_SORTS[sort]) {
+        errors.sort = `sort must be one of: ${Object.keys(LISTING_SORTS).join(", ")}`;
+    }
+
+    if (Object.keys(errors).length > 0) {
+        return sendValidationErrors(res, errors);
+    }
+
+    const { page, limit, offset } = parsePagination(req.query);
+
+    recordFacilitySearch(repos, req.query.facilities, req.ip);
+
+    const total = await repos.pgs.countPublic(conditions, params);
+    const rows = await repos.pgs.searchPublic({
+        conditions,
+        params,
+        college,
+        orderBy: listingOrder(sort, college),
+        limit,
+        offset
+    });
+
+    const withImages = await attachImages(repos, rows);
+
+    const pgs = withImages.map(pg => ({
+        ...pg,
+        distance_km: pg.distance_km === null ? null : roundKm(Number(pg.distance_km)),
+        facilities: pg.facilities ? safeParseFacilities(pg.facilities) : []
+    }));
+
+    res.json({
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        hasMore: offset + pgs.length < total,
+        sort,
+        college: college ? { id: college.id, name: college.name } : null,
+        listings: pgs
+    });
+}));
+
+// PUBLIC PGs WITHIN A RADIUS OF A POINT, NEAREST FIRST
+// Accepts the same filters as GET /api/pgs (except sorting and paging)
+router.get("/pgs/nearby", asyncHandler(async (req, res) => {
+    const lat = Number(req.query.lat);
+    const lng = Number(req.query.lng);
+    const radius = req.query.radius === undefined || req.query.radius === ""
+        ? DEFAULT_NEARBY_RADIUS_KM
+        : Number(req.query.radius);
+
+    const { conditions, params, errors } = buildListingFilters(req.query);
+
+    if (!isValidCoordinate(lat, lng)) {
+        errors.lat = "lat and lng must be valid coordinates";
+    }
+
+    if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_NEARBY_RADIUS_KM) {
+        errors.radius = `radius must be between 0 and ${MAX_NEARBY_RADIUS_KM} km`;
+    }
+
+    if (Object.keys(errors).length > 0) {
+        return sendValidationErrors(res, errors);
+    }
+
+    recordFacilitySearch(repos, req.query.facilities, req.ip);
+
+    const rows = await repos.pgs.searchNearby({
+        conditions,
+        params,
+        lat,
+        lng,
+        radius,
+        box: boundingBox(lat, lng, radius),
+        limit: MAX_NEARBY_RESULTS
+    });
+
+    const withImages = await attachImages(repos, rows);
+
+    const pgs = withImages.map(pg => ({
+        ...pg,
+        distance_km: roundKm(Number(pg.distance_km)),
+        facilities: pg.facilities ? safeParseFacilities(pg.facilities) : []
+    }));
+
+    res.json({
+        center: { lat, lng },
+        radius,
+        total: pgs.length,
+        listings: pgs
+    });
+}));
+
+// CITIES AND COLLEGES THAT HAVE PUBLIC LISTINGS (for filter dropdowns)
+router.get("/pgs/filter-options", asyncHandler(async (req, res) => {
+    const cities = await repos.pgs.listPublicCities();
+    const colleges = await repos.colleges.list();
+
+    res.json({
+        cities,
+        colleges: colleges.map(({ id, name, city }) => ({ id, name, city })),
+        roomTypes: ROOM_TYPES,
+        genders: GENDERS,
+        sorts: Object.keys(LISTING_SORTS)
+    });
+}));
+
+// GET SINGLE APPROVED PG
+router.get("/pgs/:pgId", asyncHandler(async (req, res) => {
+    // Pending, rejected and unpublished listings are not public, so they 404 like missing ones
+    const detail = await repos.pgs.findPublicDetail(req.params.pgId);
+
+    if (!detail) {
+        return res.status(404).json({ message: "PG not found" });
+    }
+
+    const [pg] = await attachRooms(repos, await attachImages(repos, [detail]));
+
+    // Real distances to every college around the PG, nearest first
+    let nearbyColleges = [];
+    if (pg.latitude !== null && pg.longitude !== null) {
+        const colleges = await repos.colleges.near({
+            lat: pg.latitude,
+            lng: pg.longitude,
+            radius: NEARBY_COLLEGE_RADIUS_KM,
+            box: boundingBox(Number(pg.latitude), Number(pg.longitude), NEARBY_COLLEGE_RADIUS_KM)
+        });
+
+        nearbyColleges = colleges.map(college => ({
+            ...college,
+            distance_km: roundKm(Number(college.distance_km))
+        }));
+    }
+
+    res.json({
+        listing: {
+            ...pg,
+            facilities: pg.facilities ? safeParseFacilities(pg.facilities) : [],
+            nearby_colleges: nearbyColleges
+        }
+    });
+}));
+
+// REVIEWS OF A PUBLIC PG, NEWEST FIRST
+router.get("/pgs/:pgId/reviews", asyncHandler(async (req, res) => {
+    const { pgId } = req.params;
+    const { page, limit, offset } = parsePagination(req.query, DEFAULT_REVIEW_PAGE_SIZE);
+
+    const pg = await repos.pgs.findPublic(pgId);
+
+    if (!pg) {
+        return res.status(404).json({ message: "PG not found" });
+    }
+
+    const rows = await repos.reviews.listVisible(pgId, { limit, offset });
+    const total = pg.review_count;
+
+    res.json({
+        rating_avg: pg.rating_avg === null ? null : Number(pg.rating_avg),
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        hasMore: offset + rows.length < total,
+        reviews: rows.map(toPublicReview)
+    });
+}));
+
+module.exports = router;
@@ -0,0 +1,426 @@
+// Student dashboard: saved PGs, saved searches, reviews and visit/booking requests
+
+const express = require("express");
+const repos = require("../repositories");
+const { asyncHandler } = require("../errors");
+const { logger } = require("../logger");
+const { validate, validateBody, validateIdParams, sendValidationErrors } = require("../validation");
+const { verifyToken, requireRole } = require("../accounts");
+const { notify } = require("../messaging");
+const { reviewSchema } = require("../reviews");
+const { inquirySchema, inquiryFromBody, changeInquiryStatus } = require("../inquiries");
+const { LISTING_SORTS, safeParseFacilities, attachImages, buildListingFilters } = require("../listings");
+
+const router = express.Router();
+validateIdParams(router);
+
+const studentOnly = [verifyToken, requireRole(["student"])];
+
+// Saved searches: named GET /api/pgs filter sets that can alert the student about new listings
+const MAX_SAVED_SEARCHES = 10;
+const MAX_SAVED_SEARCH_NAME_LENGTH = 80;
+const SAVED_SEARCH_PARAMS = ["q", "minPrice", "maxPrice", "maxDistance", "collegeId", "city", "college", "roomType", "gender", "minRating", "available", "facilities", "sort"];
+const ALERT_CHANNELS = ["off", "in_app", "email", "sms"];
+
+// ==================== FAVORITES ====================
+
+// Saved PGs are not deleted with the listing: a snapshot of the name lets the
+// student see that a saved PG was removed or taken down instead of it vanishing.
+function favoriteAvailability(row) {
+    if (row.listing_id === null) return "removed";
+    if (row.status !== "approved" || !row.is_published) return "unavailable";
+    return "available";
+}
+
+// LIST SAVED PGs, NEWEST FIRST
+router.get(
+    "/students/favorites",
+    ...studentOnly,
+    asyncHandler(async (req, res) => {
+        const rows = await repos.favorites.listForUser(req.user.id);
+
+        const available = rows
+            .filter(row => favoriteAvailability(row) === "available")
+            .map(row => ({
+                id: row.listing_id,
+                name: row.name,
+                rent: row.rent,
+                address: row.address,
+                city: row.city,
+                distance: row.distance,
+                college: row.college,
+                room_type: row.room_type,
+                gender: row.gender,
+                deposit: row.deposit,
+                facilities: row.facilities ? safeParseFacilities(row.facilities) : []
+            }));
+        const listings = await attachImages(repos, available);
+
+        const favorites = rows.map(row => ({
+            pg_id: row.pg_id,
+            name: row.name || row.pg_name,
+            saved_at: row.saved_at,
+            availability: favoriteAvailability(row),
+            listing: listings.find(listing => listing.id === row.pg_id) || null
+        }));
+
+        res.json({ favorites });
+    })
+);
+
+// SAVE A PG
+router.post(
+    "/students/favorites",
+    ...studentOnly,
+    validateBody({
+        pgId: { type: "integer", required: true, min: 1, message: "pgId must be a listing ID" }
+    }),
+    asyncHandler(async (req, res) => {
+        const { pgId } = req.body;
+
+        const pg = await repos.pgs.findPublic(pgId);
+
+        if (!pg) {
+            return res.status(404).json({ message: "PG not found" });
+        }
+
+        const added = await repos.favorites.add(req.user.id, pgId, pg.name);
+
+        res.status(added ? 201 : 200).json({
+            message: added ? "PG saved" : "PG already saved",
+            pgId
+        });
+    })
+);
+
+// REMOVE A SAVED PG (also works for listings that no longer exist)
+router.delete(
+    "/students/favorites/:pgId",
+    ...studentOnly,
+    asyncHandler(async (req, res) => {
+        const { pgId } = req.params;
+
+        if (!(await repos.favorites.remove(req.user.id, pgId))) {
+            return res.status(404).json({ message: "PG is not in your saved list" });
+        }
+
+        res.json({ message: "PG removed from saved list", pgId: Number(pgId) });
+    })
+);
+
+// ==================== SAVED SEARCHES ====================
+
+// Spaces and dashes in mobile numbers are ignored
+function normalizePhone(phone) {
+    return String(phone || "").replace(/[\s-]/g, "");
+}
+
+// A saved search (POST /api/students/saved-searches, and PUT once merged with the saved values)
+const savedSearchSchema = {
+    name: {
+        required: true,
+        maxLength: MAX_SAVED_SEARCH_NAME_LENGTH,
+        message: `Name the search in 1 to ${MAX_SAVED_SEARCH_NAME_LENGTH} characters`
+    },
+    alerts: { oneOf: ALERT_CHANNELS, message: `alerts must be one of: ${ALERT_CHANNELS.join(", ")}` },
+    phone: {
+        check: (phone, { alerts }) => alerts === "sms" && !/^\+?\d{10,15}$/.test(normalizePhone(phone))
+            ? "Enter a mobile number (10 to 15 digits) for SMS alerts"
+            : null
+    },
+    filters: { type: "object", label: "Filters" }
+};
+
+// Filters are GET /api/pgs query parameters and are checked by the same rules; an unknown
+// college needs the database. Returns { filters } or { errors }.
+async function parseSavedSearchFilters(rawFilters = {}) {
+    // Keep only the parameters a search understands, as strings like a query string would send them
+    const filters = {};
+    SAVED_SEARCH_PARAMS.forEach(param => {
+        const value = rawFilters[param];
+        if (value !== undefined && value !== null && String(value).trim() !== "") {
+            filters[param] = String(value).trim();
+        }
+    });
+
+    const errors = {};
+
+    let college = null;
+    if (filters.collegeId) {
+        college = await repos.colleges.findById(filters.collegeId);
+        if (!college) errors.collegeId = "Unknown college";
+    }
+
+    Object.assign(errors, buildListingFilters(filters, { college }).errors);
+    if (filters.sort && !LISTING_SORTS[filters.sort]) {
+        errors.sort = `sort must be one of: ${Object.keys(LISTING_SORTS).join(", ")}`;
+    }
+
+    return Object.keys(errors).length > 0 ? { errors } : { filters };
+}
+
+// The checked fields as the columns savedSearches.create() and update() expect
+function savedSearchFromBody(body, filters) {
+    const alerts = body.alerts || "in_app";
+    return { name: body.name, filters, alerts, phone: alerts === "sms" ? normalizePhone(body.phone) : null };
+}
+
+// LIST SAVED SEARCHES, NEWEST FIRST
+router.get(
+    "/students/saved-searches",
+    ...studentOnly,
+    asyncHandler(async (req, res) => {
+        res.json({ savedSearches: await repos.savedSearches.listForUser(req.user.id) });
+    })
+);
+
+// SAVE THE CURRENT FILTERS
+router.post(
+    "/students/saved-searches",
+    ...studentOnly,
+    validateBody(savedSearchSchema),
+    asyncHandler(async (req, res) => {
+        const { filters, errors } = await parseSavedSearchFilters(req.body.filters);
+
+        if (errors) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const search = savedSearchFromBody(req.body, filters);
+
+        const names = await repos.savedSearches.listNames(req.user.id);
+
+        if (names.length >= MAX_SAVED_SEARCHES) {
+            return res.status(409).json({ message: `You can keep up to ${MAX_SAVED_SEARCHES} saved searches. Delete one first.` });
+        }
+
+        if (names.some(name => name.toLowerCase() === search.name.toLowerCase())) {
+            return res.status(409).json({ message: `You already have a saved search called "${search.name}"` });
+        }
+
+        const searchId = await repos.savedSearches.create(req.user.id, search);
+
+        res.status(201).json({
+            message: "Search saved",
+            savedSearch: await repos.savedSearches.findOwned(searchId, req.user.id)
+        });
+    })
+);
+
+// RENAME A SAVED SEARCH, REPLACE ITS FILTERS OR CHANGE ITS ALERTS
+router.put(
+    "/students/saved-searches/:searchId",
+    ...studentOnly,
+    asyncHandler(async (req, res) => {
+        const { searchId } = req.params;
+
+        const current = await repos.savedSearches.findOwned(searchId, req.user.id);
+
+        if (!current) {
+            return res.status(404).json({ message: "Saved search not found" });
+        }
+
+        // Fields left out keep their saved values, so the alerts toggle can send just { alerts }
+        const merged = validate(savedSearchSchema, {
+            name: req.body.name === undefined ? current.name : req.body.name,
+            filters: req.body.filters === undefined ? current.filters : req.body.filters,
+            alerts: req.body.alerts === undefined ? current.alerts : req.body.alerts,
+            phone: req.body.phone === undefined ? current.phone : req.body.phone
+        });
+
+        if (merged.errors) {
+            return sendValidationErrors(res, merged.errors);
+        }
+
+        const { filters, errors } = await parseSavedSearchFilters(merged.values.filters);
+
+        if (errors) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const search = savedSearchFromBody(merged.values, filters);
+
+        if (await repos.savedSearches.nameTaken(req.user.id, search.name, searchId)) {
+            return res.status(409).json({ message: `You already have a saved search called "${search.name}"` });
+        }
+
+        await repos.savedSearches.update(searchId, search);
+
+        res.json({
+            message: "Saved search updated",
+            savedSearch: await repos.savedSearches.findOwned(searchId, req.user.id)
+        });
+    })
+);
+
+// DELETE A SAVED SEARCH
+router.delete(
+    "/students/saved-searches/:searchId",
+    ...studentOnly,
+    asyncHandler(async (req, res) => {
+        if (!(await repos.savedSearches.remove(req.params.searchId, req.user.id))) {
+            return res.status(404).json({ message: "Saved search not found" });
+        }
+
+        res.json({ message: "Saved search deleted", searchId: Number(req.params.searchId) });
+    })
+);
+
+// ==================== REVIEWS ====================
+
+// THE SIGNED-IN STUDENT'S OWN REVIEW OF A PG (null if none)
+router.get(
+    "/pgs/:pgId/reviews/mine",
+    ...studentOnly,
+    asyncHandler(async (req, res) => {
+        const review = await repos.reviews.findByAuthor(req.params.pgId, req.user.id);
+
+        res.json({ review: review ? { ...review, is_hidden: Boolean(review.is_hidden) } : null });
+    })
+);
+
+// POST A REVIEW (one per student per PG)
+router.post(
+    "/pgs/:pgId/reviews",
+    ...studentOnly,
+    validateBody(reviewSchema),
+    asyncHandler(async (req, res) => {
+        const { pgId } = req.params;
+        const review = { rating: req.body.rating, body: req.body.body };
+
+        const pg = await repos.pgs.findPublic(pgId);
+
+        if (!pg) {
+            return res.status(404).json({ message: "PG not found" });
+        }
+
+        const existing = await repos.reviews.findByAuthor(pgId, req.user.id);
+
+        if (existing) {
+            return res.status(409).json({
+                message: "You have already reviewed this PG. Edit your review instead.",
+                reviewId: existing.id
+            });
+        }
+
+        const reviewId = await repos.transaction(async tx => {
+            const id = await tx.reviews.create(pgId, req.user.id, review);
+            await tx.pgs.refreshRating(pgId);
+            return id;
+        });
+
+        await notify(pg.owner_id, {
+            type: "review_posted",
+            title: `New ${review.rating}★ review on "${pg.name}"`,
+            body: review.body,
+            link: "owner-dashboard.html"
+        });
+
+        logger.info("Review posted", { reviewId, pgId });
+
+        res.status(201).json({
+            message: "Review posted",
+            review: { id: reviewId, ...review }
+        });
+    })
+);
+
+// EDIT YOUR OWN REVIEW
+router.put(
+    "/reviews/:reviewId",
+    ...studentOnly,
+    validateBody(reviewSchema),
+    asyncHandler(async (req, res) => {
+        const { reviewId } = req.params;
+        const review = { rating: req.body.rating, body: req.body.body };
+
+        const pgId = await repos.transaction(async tx => {
+            const reviewedPgId = await tx.reviews.update(reviewId, req.user.id, review);
+            if (reviewedPgId) await tx.pgs.refreshRating(reviewedPgId);
+            return reviewedPgId;
+        });
+
+        if (!pgId) {
+            return res.status(404).json({ message: "Review not found" });
+        }
+
+        res.json({
+            message: "Review updated",
+            review: { id: Number(reviewId), ...review }
+        });
+    })
+);
+
+// ==================== VISIT & BOOKING REQUESTS ====================
+
+// SEND A VISIT OR BOOKING REQUEST
+router.post(
+    "/students/inquiries",
+    ...studentOnly,
+    validateBody(inquirySchema),
+    asyncHandler(async (req, res) => {
+        const inquiry = inquiryFromBody(req.body);
+
+        const pg = await repos.pgs.findPublic(inquiry.pgId);
+
+        if (!pg) {
+            return res.status(404).json({ message: "PG not found" });
+        }
+
+        // One open request per PG keeps owners from being flooded with duplicates
+        const open = await repos.inquiries.findOpen(inquiry.pgId, req.user.id);
+
+        if (open) {
+            return res.status(409).json({
+                message: "You already have an open request for this PG",
+                inquiryId: open.id
+            });
+        }
+
+        const inquiryId = await repos.transaction(async tx => {
+            const id = await tx.inquiries.create(req.user.id, inquiry);
+
+            await tx.inquiries.recordEvent({
+                inquiryId: id,
+                actorId: req.user.id,
+                action: "create",
+                oldStatus: null,
+                newStatus: "pending"
+            });
+
+            return id;
+        });
+
+        await notify(pg.owner_id, {
+            type: "inquiry_new",
+            title: `New ${inquiry.type} request for "${pg.name}"`,
+            body: inquiry.message,
+            link: "owner-dashboard.html"
+        });
+
+        logger.info("Inquiry sent", { inquiryId, pgId: inquiry.pgId, type: inquiry.type });
+
+        res.status(201).json({
+            message: "Request sent to the owner",
+            inquiryId,
+            status: "pending"
+        });
+    })
+);
+
+// THE STUDENT'S REQUESTS, NEWEST FIRST
+router.get(
+    "/students/inquiries",
+    ...studentOnly,
+    asyncHandler(async (req, res) => {
+        res.json({ inquiries: await repos.inquiries.listForStudent(req.user.id) });
+    })
+);
+
+// ACCEPT THE OWNER'S PROPOSED TIME
+router.patch("/students/inquiries/:inquiryId/confirm", ...studentOnly, changeInquiryStatus("confirm"));
+
+// WITHDRAW A REQUEST
+router.patch("/students/inquiries/:inquiryId/cancel", ...studentOnly, changeInquiryStatus("cancel"));
+
+module.exports = router;
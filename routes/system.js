@@ -0,0 +1,82 @@
+// Operational endpoints for load balancers and monitoring: health checks and request metrics
+
+const crypto = require("crypto");
+const express = require("express");
+const repos = require("../repositories");
+const { config } = require("../config");
+const { asyncHandler } = require("../errors");
+const { logger } = require("../logger");
+const { metrics } = require("../metrics");
+const { notificationHub } = require("../messaging");
+
+const router = express.Router();
+
+// A database that takes longer than this to answer counts as down
+const DATABASE_PING_TIMEOUT_MS = 2000;
+
+// { status: "up" | "down", latencyMs, error? }; never throws
+async function checkDatabase() {
+    const started = Date.now();
+    let timer;
+
+    try {
+        await Promise.race([
+            repos.ping(),
+            new Promise((resolve, reject) => {
+                timer = setTimeout(
+                    () => reject(Object.assign(new Error("Database ping timed out"), { code: "PING_TIMEOUT" })),
+                    DATABASE_PING_TIMEOUT_MS
+                );
+            })
+        ]);
+
+        return { status: "up", latencyMs: Date.now() - started };
+    } catch (error) {
+        logger.warn("Database health check failed", { code: error.code, error: error.message });
+        return { status: "down", latencyMs: Date.now() - started, error: error.code || "unknown" };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Compared as hashes so the check takes the same time whatever the guess
+function hasMetricsToken(req) {
+    const header = req.get("Authorization") || "";
+    const given = header.startsWith("Bearer ") ? header.slice(7) : "";
+    const hash = value => crypto.createHash("sha256").update(value).digest();
+
+    return crypto.timingSafeEqual(hash(given), hash(config.metricsToken));
+}
+
+// READINESS: 200 only when MySQL answers, 503 otherwise, so traffic moves away from a broken instance
+router.get("/health", asyncHandler(async (req, res) => {
+    const database = await checkDatabase();
+    const ready = database.status === "up";
+
+    res.status(ready ? 200 : 503).json({
+        status: ready ? "OK" : "unavailable",
+        message: ready ? "PG Finder API running" : "PG Finder API cannot reach its database",
+        time: new Date().toISOString(),
+        checks: { database }
+    });
+}));
+
+// LIVENESS: the process is up and serving requests; no dependencies are checked
+router.get("/health/live", (req, res) => {
+    res.json({ status: "OK", time: new Date().toISOString() });
+});
+
+// PER-ROUTE REQUEST COUNTS, STATUSES AND LATENCY
+router.get("/metrics", (req, res) => {
+    if (config.metricsToken && !hasMetricsToken(req)) {
+        return res.status(401).json({ message: "Metrics token required" });
+    }
+
+    res.set("Cache-Control", "no-store");
+    res.json({
+        ...metrics.snapshot(),
+        notifications: { openStreams: notificationHub.connectionCount() }
+    });
+});
+
+module.exports = router;
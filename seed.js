@@ -0,0 +1,176 @@
+// Fills a freshly migrated database with demo data: an admin, a student, three owners and
+// the eight Durgapur listings the map page used to hard-code, approved and published.
+// Running it again skips anything that already exists, so it is safe to repeat.
+//
+// Usage: npm run seed
+//        SEED_PASSWORD=... npm run seed     password for every seeded account (default "password123")
+//
+// It refuses to run with NODE_ENV=production unless given --force.
+
+require("dotenv").config();
+
+const pool = require("./db");
+const { hashPassword } = require("./passwords");
+const { haversineKm } = require("./geo");
+
+const SEED_PASSWORD = process.env.SEED_PASSWORD || "password123";
+
+const COLLEGE = { name: "Dr. B.C. Roy Engineering College", city: "Durgapur", latitude: 23.5495, longitude: 87.2907 };
+
+const USERS = [
+    { key: "admin", name: "PG Finder Admin", email: "admin@pgfinder.local", role: "admin" },
+    { key: "student", name: "Ananya Sen", email: "student@pgfinder.local", role: "student" },
+    { key: "owner1", name: "Rakesh Mondal", email: "owner1@pgfinder.local", role: "owner" },
+    { key: "owner2", name: "Priya Ghosh", email: "owner2@pgfinder.local", role: "owner" },
+    { key: "owner3", name: "Sanjay Banerjee", email: "owner3@pgfinder.local", role: "owner" }
+];
+
+// type maps to pgs.gender: Boys -> male, Girls -> female, Mixed -> both
+const LISTINGS = [
+    { owner: "owner1", name: "Shivam PG", lat: 23.5518, lng: 87.2925, gender: "male", rooms: ["Single", "Double", "Triple"], rent: [8000, 12000], facilities: ["WiFi", "Food", "AC", "Parking"], address: "12 Jemua Road, Fuljhore" },
+    { owner: "owner1", name: "Royal Boys PG", lat: 23.5472, lng: 87.2868, gender: "male", rooms: ["Single", "Double"], rent: [7500, 10000], facilities: ["WiFi", "AC", "Laundry", "Parking"], address: "4 Nachan Road, Benachity" },
+    { owner: "owner1", name: "Green View PG", lat: 23.5464, lng: 87.2831, gender: "male", rooms: ["Single", "Double"], rent: [7000, 9500], facilities: ["WiFi", "Food", "AC"], address: "27 Station Bazar Lane" },
+    { owner: "owner2", name: "Sai Residency PG", lat: 23.5539, lng: 87.2953, gender: "both", rooms: ["Single", "Double", "Triple"], rent: [9000, 14000], facilities: ["WiFi", "Food", "AC", "Gym", "Parking"], address: "8 Bidhan Sarani, Bidhannagar" },
+    { owner: "owner2", name: "Krishna PG House", lat: 23.5505, lng: 87.2890, gender: "female", rooms: ["Single", "Double", "Triple"], rent: [8500, 13000], facilities: ["WiFi", "Food", "AC", "24/7 Security"], address: "15 College Para, Fuljhore" },
+    { owner: "owner2", name: "Sunrise Rooms", lat: 23.5520, lng: 87.2860, gender: "female", rooms: ["Single", "Double"], rent: [8500, 12500], facilities: ["WiFi", "Food", "AC", "Laundry", "Parking"], address: "3 Sukanta Pally" },
+    { owner: "owner3", name: "Nest Accommodation", lat: 23.5550, lng: 87.2975, gender: "both", rooms: ["Single", "Double"], rent: [8000, 11000], facilities: ["WiFi", "Food", "AC", "Parking"], address: "21 Shahid Khudiram Sarani" },
+    { owner: "owner3", name: "Cozy Corner PG", lat: 23.5440, lng: 87.2805, gender: "male", rooms: ["Single", "Double", "Triple"], rent: [7500, 10500], facilities: ["WiFi", "Food", "AC"], address: "6 Muchipara More" }
+];
+
+const SHARING = { Single: 1, Double: 2, Triple: 3 };
+
+// Single rooms cost the most and the most shared ones the least; anything between is rounded to ₹500
+function roomsFor(listing) {
+    const [minRent, maxRent] = listing.rent;
+    const last = Math.max(1, listing.rooms.length - 1);
+
+    return listing.rooms.map((name, index) => {
+        const rent = Math.round((maxRent - (maxRent - minRent) * index / last) / 500) * 500;
+        const totalBeds = SHARING[name] * 4;
+        return { name, sharing: SHARING[name], rent, deposit: rent, totalBeds, freeBeds: Math.min(totalBeds, index + 1) };
+    });
+}
+
+async function findOrCreateUser(conn, user, passwordHash) {
+    const [existing] = await conn.query("SELECT id FROM users WHERE email = ?", [user.email]);
+    if (existing.length > 0) return existing[0].id;
+
+    const [result] = await conn.query(
+        "INSERT INTO users (name, email, password, role, email_verified_at) VALUES (?, ?, ?, ?, NOW())",
+        [user.name, user.email, passwordHash, user.role]
+    );
+    console.log(`✅ Created ${user.role} ${user.email}`);
+    return result.insertId;
+}
+
+async function findOrCreateCollege(conn) {
+    const [existing] = await conn.query(
+        "SELECT id FROM colleges WHERE name = ? AND city = ?",
+        [COLLEGE.name, COLLEGE.city]
+    );
+    if (existing.length > 0) return existing[0].id;
+
+    const [result] = await conn.query(
+        "INSERT INTO colleges (name, city, latitude, longitude) VALUES (?, ?, ?, ?)",
+        [COLLEGE.name, COLLEGE.city, COLLEGE.latitude, COLLEGE.longitude]
+    );
+    console.log(`✅ Created college ${COLLEGE.name}`);
+    return result.insertId;
+}
+
+async function createListing(conn, listing, { ownerId, adminId, collegeId }) {
+    const [existing] = await conn.query(
+        "SELECT id FROM pgs WHERE owner_id = ? AND name = ?",
+        [ownerId, listing.name]
+    );
+    if (existing.length > 0) return false;
+
+    const rooms = roomsFor(listing);
+    const rents = rooms.map(room => room.rent);
+    const distance = Math.round(haversineKm(COLLEGE.latitude, COLLEGE.longitude, listing.lat, listing.lng) * 100) / 100;
+
+    const [result] = await conn.query(
+        `INSERT INTO pgs
+        (owner_id, name, rent, rent_max, address, city, pincode, distance, college, college_id,
+        room_type, gender, deposit, facilities, description, latitude, longitude, status,
+        total_beds, free_beds)
+        VALUES (?, ?, ?, ?, ?, 'Durgapur', '713206', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'approved', ?, ?)`,
+        [
+            ownerId,
+            listing.name,
+            Math.min(...rents),
+            Math.max(...rents),
+            `${listing.address}, Durgapur`,
+            distance,
+            COLLEGE.name,
+            collegeId,
+            rooms.length > 1 ? "shared" : "single",
+            listing.gender,
+            Math.min(...rents),
+            JSON.stringify(listing.facilities),
+            `${listing.rooms.join(", ")} rooms ${distance} km from ${COLLEGE.name}.`,
+            listing.lat,
+            listing.lng,
+            rooms.reduce((sum, room) => sum + room.totalBeds, 0),
+            rooms.reduce((sum, room) => sum + room.freeBeds, 0)
+        ]
+    );
+
+    for (const room of rooms) {
+        await conn.query(
+            `INSERT INTO pg_rooms (pg_id, name, sharing, rent, deposit, total_beds, free_beds)
+            VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [result.insertId, room.name, room.sharing, room.rent, room.deposit, room.totalBeds, room.freeBeds]
+        );
+    }
+
+    // The approval shows up in the listing's history like one made from the admin dashboard
+    await conn.query(
+        `INSERT INTO pg_moderation_log (pg_id, changed_by, action, old_status, new_status, note)
+        VALUES (?, ?, 'approve', 'pending', 'approved', 'Seed data')`,
+        [result.insertId, adminId]
+    );
+
+    return true;
+}
+
+async function main() {
+    if (process.env.NODE_ENV === "production" && !process.argv.includes("--force")) {
+        console.error("Refusing to seed a production database. Pass --force if you really mean it.");
+        process.exitCode = 1;
+        return;
+    }
+
+    const conn = await pool.getConnection();
+
+    try {
+        const passwordHash = await hashPassword(SEED_PASSWORD);
+        const userIds = {};
+        for (const user of USERS) {
+            userIds[user.key] = await findOrCreateUser(conn, user, passwordHash);
+        }
+
+        const collegeId = await findOrCreateCollege(conn);
+
+        let created = 0;
+        for (const listing of LISTINGS) {
+            const added = await createListing(conn, listing, {
+                ownerId: userIds[listing.owner],
+                adminId: userIds.admin,
+                collegeId
+            });
+            if (added) created++;
+        }
+
+        console.log(`✅ Seeded ${created} new listing(s). New accounts use the password "${SEED_PASSWORD}".`);
+    } finally {
+        conn.release();
+    }
+}
+
+main()
+    .catch(error => {
+        console.error("❌ Seeding failed:", error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
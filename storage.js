@@ -0,0 +1,62 @@
+// File storage for uploaded PG photos.
+// Every driver exposes the same three methods; listings.js saves and removes photos through them:
+//   save(key, buffer)  -> Promise<void>
+//   remove(key)        -> Promise<void>  (missing files are ignored)
+//   publicUrl(key)     -> string
+// Pick a driver with STORAGE_DRIVER (only "local" ships today).
+
+const fs = require("fs/promises");
+const path = require("path");
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, "uploads");
+
+// Stores files under UPLOAD_DIR; app.js serves that folder at /uploads
+function createLocalStorage({ rootDir, baseUrl }) {
+    function resolveKey(key) {
+        const filePath = path.resolve(rootDir, key);
+        if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    }
+
+    return {
+        async save(key, buffer) {
+            const filePath = resolveKey(key);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, buffer);
+        },
+
+        async remove(key) {
+            try {
+                await fs.unlink(resolveKey(key));
+            } catch (error) {
+                if (error.code !== "ENOENT") throw error;
+            }
+        },
+
+        publicUrl(key) {
+            return `${baseUrl}/uploads/${key.split(path.sep).join("/")}`;
+        }
+    };
+}
+
+const drivers = {
+    local: createLocalStorage
+};
+
+function createStorage(options = {}) {
+    const driver = options.driver || process.env.STORAGE_DRIVER || "local";
+    const factory = drivers[driver];
+
+    if (!factory) {
+        throw new Error(`Unknown storage driver: ${driver}`);
+    }
+
+    return factory({
+        rootDir: options.rootDir || UPLOAD_DIR,
+        baseUrl: options.baseUrl || process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`
+    });
+}
+
+module.exports = { createStorage, UPLOAD_DIR };
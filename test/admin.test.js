@@ -0,0 +1,180 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+
+const { TEST_PASSWORD, startTestApp, as, createUser, createListing } = require("./helpers");
+
+test("admin API", async t => {
+    const env = await startTestApp();
+    if (env.skip) return t.skip(env.skip);
+    t.after(() => env.stop());
+
+    const admin = await createUser(env, "admin");
+    const owner = await createUser(env, "owner");
+    const student = await createUser(env, "student");
+
+    await t.test("only admins reach the admin routes", async () => {
+        for (const user of [owner, student]) {
+            assert.equal((await as(env, user).get("/api/admin/pgs/pending")).status, 403);
+            assert.equal((await as(env, user).get("/api/admin/users")).status, 403);
+            assert.equal((await as(env, user).post("/api/admin/colleges").send({})).status, 403);
+            assert.equal((await as(env, user).get("/api/admin/reviews")).status, 403);
+            assert.equal((await as(env, user).get("/api/admin/analytics/listings-by-status")).status, 403);
+        }
+    });
+
+    await t.test("pending listings are approved or rejected once, and logged", async () => {
+        const approveMe = await createListing(env, owner, { pgName: "Approve Me PG" });
+        const rejectMe = await createListing(env, owner, { pgName: "Reject Me PG" });
+
+        const pending = await as(env, admin).get("/api/admin/pgs/pending");
+        assert.equal(pending.status, 200);
+        assert.deepEqual(pending.body.listings.map(pg => pg.id).sort(), [approveMe, rejectMe].sort());
+
+        const approved = await as(env, admin).patch(`/api/admin/pgs/${approveMe}/approve`).send({ note: "Looks good" });
+        assert.equal(approved.status, 200);
+        assert.equal(approved.body.status, "approved");
+        assert.equal((await as(env, admin).patch(`/api/admin/pgs/${approveMe}/approve`).send({})).status, 409);
+
+        const noReason = await as(env, admin).patch(`/api/admin/pgs/${rejectMe}/reject`).send({});
+        assert.equal(noReason.status, 400);
+        assert.ok(noReason.body.errors.reason);
+        assert.equal((await as(env, admin).patch(`/api/admin/pgs/${rejectMe}/reject`).send({ reason: "Address is incomplete" })).status, 200);
+
+        const all = await as(env, admin).get("/api/admin/pgs");
+        assert.equal(all.body.total, 2);
+        assert.deepEqual(all.body.listings.map(pg => pg.status).sort(), ["approved", "rejected"]);
+        assert.deepEqual(all.body.listings.find(pg => pg.id === approveMe).facilities, ["WiFi", "AC"]);
+
+        const history = await as(env, admin).get(`/api/admin/pgs/${rejectMe}/history`);
+        assert.equal(history.status, 200);
+        assert.deepEqual(history.body.history.map(entry => [entry.action, entry.note]), [["reject", "Address is incomplete"]]);
+
+        const notifications = await as(env, owner).get("/api/notifications");
+        assert.deepEqual(notifications.body.notifications.map(n => n.type).sort(), ["pg_approved", "pg_rejected"]);
+
+        assert.equal((await as(env, admin).patch("/api/admin/pgs/999999/approve").send({})).status, 404);
+    });
+
+    await t.test("admins create users and change their role and status", async () => {
+        const created = await as(env, admin).post("/api/admin/users").send({
+            name: "Second Admin",
+            email: "second.admin@example.test",
+            password: TEST_PASSWORD,
+            role: "admin"
+        });
+        assert.equal(created.status, 201);
+        assert.equal((await as(env, admin).post("/api/admin/users").send({
+            name: "Second Admin",
+            email: "second.admin@example.test",
+            password: TEST_PASSWORD,
+            role: "admin"
+        })).status, 409);
+
+        const owners = await as(env, admin).get("/api/admin/users?role=owner");
+        assert.deepEqual(owners.body.users.map(user => user.id), [owner.id]);
+
+        const userId = created.body.user.id;
+        const demoted = await as(env, admin).patch(`/api/admin/users/${userId}/role`).send({ role: "student" });
+        assert.equal(demoted.status, 200);
+        assert.equal((await as(env, admin).patch(`/api/admin/users/${userId}/role`).send({ role: "superuser" })).status, 400);
+
+        const suspended = await as(env, admin).patch(`/api/admin/users/${userId}/status`).send({ status: "suspended" });
+        assert.equal(suspended.status, 200);
+        const login = await request(env.app).post("/api/auth/login").send({ email: "second.admin@example.test", password: TEST_PASSWORD });
+        assert.equal(login.status, 403);
+
+        const selfRole = await as(env, admin).patch(`/api/admin/users/${admin.id}/role`).send({ role: "student" });
+        assert.equal(selfRole.status, 400);
+        assert.ok(selfRole.body.errors.role);
+        const selfSuspend = await as(env, admin).patch(`/api/admin/users/${admin.id}/status`).send({ status: "suspended" });
+        assert.equal(selfSuspend.status, 400);
+        assert.ok(selfSuspend.body.errors.status);
+
+        assert.equal((await as(env, admin).patch("/api/admin/users/999999/role").send({ role: "owner" })).status, 404);
+    });
+
+    await t.test("colleges are managed by admins and listed publicly", async () => {
+        const college = { name: "National Institute of Technology", city: "Durgapur", latitude: 23.5469, longitude: 87.2930 };
+
+        const created = await as(env, admin).post("/api/admin/colleges").send(college);
+        assert.equal(created.status, 201);
+        const collegeId = created.body.college.id;
+
+        const duplicate = await as(env, admin).post("/api/admin/colleges").send(college);
+        assert.equal(duplicate.status, 409);
+        assert.ok(duplicate.body.errors.name);
+
+        const invalid = await as(env, admin).post("/api/admin/colleges").send({ name: "X", latitude: 200 });
+        assert.equal(invalid.status, 400);
+        assert.deepEqual(Object.keys(invalid.body.errors).sort(), ["latitude", "name"]);
+
+        const list = await request(env.app).get("/api/colleges");
+        assert.deepEqual(list.body.colleges.map(c => c.name), [college.name]);
+
+        // Moving a college re-measures the listings linked to it
+        const pgId = await createListing(env, owner, { pgCollegeId: collegeId, pgCollege: "" });
+        const [before] = await env.query("SELECT distance FROM pgs WHERE id = ?", [pgId]);
+
+        const moved = await as(env, admin).put(`/api/admin/colleges/${collegeId}`).send({ ...college, latitude: 23.6, longitude: 87.35 });
+        assert.equal(moved.status, 200);
+        const [after] = await env.query("SELECT distance FROM pgs WHERE id = ?", [pgId]);
+        assert.ok(Number(after.distance) > Number(before.distance));
+
+        assert.equal((await as(env, admin).delete(`/api/admin/colleges/${collegeId}`)).status, 200);
+        assert.equal((await as(env, admin).delete(`/api/admin/colleges/${collegeId}`)).status, 404);
+    });
+
+    await t.test("all listings can be filtered and paged", async () => {
+        await createListing(env, owner, { pgName: "Asansol Approved PG", pgCity: "Asansol" }, { approvedBy: admin });
+        await createListing(env, owner, { pgName: "Asansol Pending PG", pgCity: "Asansol" });
+
+        const firstPage = await as(env, admin).get("/api/admin/pgs?city=Asansol&limit=1");
+        assert.equal(firstPage.status, 200);
+        assert.equal(firstPage.body.total, 2);
+        assert.equal(firstPage.body.totalPages, 2);
+        assert.equal(firstPage.body.hasMore, true);
+        assert.equal(firstPage.body.listings.length, 1);
+
+        const approved = await as(env, admin).get("/api/admin/pgs?status=approved&search=Asansol");
+        assert.deepEqual(approved.body.listings.map(pg => pg.name), ["Asansol Approved PG"]);
+
+        // Wildcards in the search text are matched literally
+        const wildcard = await as(env, admin).get("/api/admin/pgs?city=Asansol&search=%25");
+        assert.equal(wildcard.body.total, 0);
+
+        const invalid = await as(env, admin).get("/api/admin/pgs?status=archived");
+        assert.equal(invalid.status, 400);
+        assert.ok(invalid.body.errors.status);
+    });
+
+    await t.test("analytics charts are served as JSON and CSV for a date range", async () => {
+        // A day past today, so listings created just now are inside the range whatever the database clock says
+        const to = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+        const byCity = await as(env, admin).get(`/api/admin/analytics/listings-by-city?to=${to}&interval=month`);
+        assert.equal(byCity.status, 200);
+        assert.equal(byCity.body.interval, "month");
+        assert.equal(byCity.body.rows.reduce((sum, row) => sum + row.Asansol, 0), 2);
+
+        const approvals = await as(env, admin).get(`/api/admin/analytics/approval-time?to=${to}`);
+        assert.equal(approvals.body.summary.approvals, 2);
+
+        // Repeating a search, or narrowing it, does not count the same visitor again
+        assert.equal((await request(env.app).get("/api/pgs?facilities=WiFi")).status, 200);
+        assert.equal((await request(env.app).get("/api/pgs?facilities=WiFi,Gym")).status, 200);
+        assert.equal((await request(env.app).get("/api/pgs?facilities=WiFi,Gym&page=2")).status, 200);
+        await new Promise(resolve => setTimeout(resolve, 200));
+
+        const csv = await as(env, admin).get(`/api/admin/analytics/top-facilities?to=${to}&format=csv`);
+        assert.equal(csv.status, 200);
+        assert.match(csv.headers["content-type"], /text\/csv/);
+        assert.match(csv.headers["content-disposition"], /attachment; filename="top-facilities_.+\.csv"/);
+        assert.deepEqual(csv.text.trim().split("\r\n").sort(), ["Gym,1", "WiFi,1", "facility,searches"]);
+
+        assert.equal((await as(env, admin).get("/api/admin/analytics/revenue")).status, 404);
+        const invalid = await as(env, admin).get("/api/admin/analytics/signups-by-role?from=yesterday&format=xml");
+        assert.equal(invalid.status, 400);
+        assert.deepEqual(Object.keys(invalid.body.errors).sort(), ["format", "from"]);
+    });
+});
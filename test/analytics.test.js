@@ -0,0 +1,151 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+    ANALYTICS_CHARTS,
+    parseAnalyticsRange,
+    listPeriods,
+    median,
+    pivotSeries,
+    toCsv,
+    createFacilitySearchTracker,
+    recordFacilitySearch
+} = require("../analytics");
+
+const TODAY = new Date("2026-03-15T10:00:00Z");
+
+test("the range defaults to the last 90 days, split per week", () => {
+    const { range, errors } = parseAnalyticsRange({}, TODAY);
+
+    assert.deepEqual(errors, {});
+    assert.deepEqual(range, { from: "2025-12-16", to: "2026-03-15", end: "2026-03-16", interval: "week" });
+});
+
+test("short ranges are split per day and long ones per month", () => {
+    assert.equal(parseAnalyticsRange({ from: "2026-03-01", to: "2026-03-10" }, TODAY).range.interval, "day");
+    assert.equal(parseAnalyticsRange({ from: "2024-01-01", to: "2026-03-10" }, TODAY).range.interval, "month");
+});
+
+test("invalid ranges are reported per parameter", () => {
+    assert.deepEqual(Object.keys(parseAnalyticsRange({ from: "2026-02-30", to: "soon", interval: "hour" }, TODAY).errors).sort(), ["from", "interval", "to"]);
+    assert.ok(parseAnalyticsRange({ from: "2026-03-10", to: "2026-03-01" }, TODAY).errors.from);
+    assert.ok(parseAnalyticsRange({ from: "2020-01-01", to: "2026-03-01", interval: "day" }, TODAY).errors.interval);
+});
+
+test("periods start on the first day of their week or month", () => {
+    assert.deepEqual(listPeriods({ from: "2026-03-04", to: "2026-03-16", interval: "week" }), ["2026-03-02", "2026-03-09", "2026-03-16"]);
+    assert.deepEqual(listPeriods({ from: "2025-12-20", to: "2026-02-01", interval: "month" }), ["2025-12-01", "2026-01-01", "2026-02-01"]);
+    assert.deepEqual(listPeriods({ from: "2026-03-01", to: "2026-03-01", interval: "day" }), ["2026-03-01"]);
+});
+
+test("median of odd, even and empty lists", () => {
+    assert.equal(median([5, 1, 3]), 3);
+    assert.equal(median([8000, 6000, 7000, 9000]), 7500);
+    assert.equal(median([]), null);
+});
+
+test("series beyond the biggest few are summed into Other, and empty periods are zero", () => {
+    const counts = [
+        { period: "2026-03-01", label: "Durgapur", count: 5 },
+        { period: "2026-03-01", label: "Asansol", count: 2 },
+        { period: "2026-03-02", label: "Kolkata", count: 1 },
+        { period: "2026-03-02", label: null, count: 3 }
+    ];
+
+    const table = pivotSeries(counts, ["2026-03-01", "2026-03-02", "2026-03-03"], { top: 2, missing: "No city" });
+
+    assert.deepEqual(table.columns, ["period", "Durgapur", "No city", "Other"]);
+    assert.deepEqual(table.rows, [
+        { period: "2026-03-01", Durgapur: 5, "No city": 0, Other: 2 },
+        { period: "2026-03-02", Durgapur: 0, "No city": 3, Other: 1 },
+        { period: "2026-03-03", Durgapur: 0, "No city": 0, Other: 0 }
+    ]);
+});
+
+test("approval time is reported in hours per period and for the whole range", async () => {
+    const repos = {
+        analytics: {
+            approvalWaits: async () => [
+                { period: "2026-03-01", seconds: 3600 },
+                { period: "2026-03-01", seconds: 3 * 3600 },
+                { period: "2026-03-02", seconds: 11 * 3600 }
+            ]
+        }
+    };
+    const { range } = parseAnalyticsRange({ from: "2026-03-01", to: "2026-03-02" }, TODAY);
+
+    const table = await ANALYTICS_CHARTS["approval-time"].build(repos, range);
+
+    assert.deepEqual(table.rows, [
+        { period: "2026-03-01", approvals: 2, avg_hours: 2, median_hours: 2 },
+        { period: "2026-03-02", approvals: 1, avg_hours: 11, median_hours: 11 }
+    ]);
+    assert.deepEqual(table.summary, { approvals: 3, avg_hours: 5, median_hours: 3 });
+});
+
+test("median rent is grouped by area and room type", async () => {
+    const repos = {
+        analytics: {
+            approvedRents: async () => [
+                { area: "Durgapur", room_type: "single", rent: 9000 },
+                { area: "Durgapur", room_type: "single", rent: 7000 },
+                { area: "Durgapur", room_type: "shared", rent: 5000 },
+                { area: null, room_type: null, rent: 4000 }
+            ]
+        }
+    };
+
+    const table = await ANALYTICS_CHARTS["median-rent"].build(repos, parseAnalyticsRange({}, TODAY).range);
+
+    assert.deepEqual(table.rows, [
+        { area: "Durgapur", room_type: "shared", listings: 1, median_rent: 5000 },
+        { area: "Durgapur", room_type: "single", listings: 2, median_rent: 8000 },
+        { area: "Unknown", room_type: "unspecified", listings: 1, median_rent: 4000 }
+    ]);
+});
+
+test("CSV quotes special characters and defuses spreadsheet formulas", () => {
+    const csv = toCsv({
+        columns: ["facility", "searches"],
+        rows: [{ facility: "Hot \"water\", 24h", searches: 3 }, { facility: "=HYPERLINK(\"x\")", searches: -1 }, { facility: null, searches: 0 }]
+    });
+
+    assert.equal(csv, [
+        "facility,searches",
+        "\"Hot \"\"water\"\", 24h\",3",
+        "\"'=HYPERLINK(\"\"x\"\")\",-1",
+        ",0",
+        ""
+    ].join("\r\n"));
+});
+
+test("each client counts once per facility per day, for a limited number of facilities", () => {
+    let now = Date.parse("2026-03-15T10:00:00Z");
+    const tracker = createFacilitySearchTracker({ now: () => now });
+
+    assert.deepEqual(tracker.uncounted("1.2.3.4", ["WiFi"]), { day: "2026-03-15", facilities: ["WiFi"] });
+    assert.deepEqual(tracker.uncounted("1.2.3.4", ["WiFi", "AC"]).facilities, ["AC"]);
+    assert.deepEqual(tracker.uncounted("5.6.7.8", ["WiFi"]).facilities, ["WiFi"]);
+
+    const many = Array.from({ length: 30 }, (_, i) => `Facility ${i}`);
+    assert.equal(tracker.uncounted("1.2.3.4", many).facilities.length, 18);
+    assert.deepEqual(tracker.uncounted("1.2.3.4", ["Gym"]).facilities, []);
+
+    now += 24 * 60 * 60 * 1000;
+    assert.deepEqual(tracker.uncounted("1.2.3.4", ["WiFi"]), { day: "2026-03-16", facilities: ["WiFi"] });
+});
+
+test("searched facilities are counted once each, and a failing count is not thrown", async () => {
+    const counted = [];
+    const repos = { analytics: { countFacilitySearches: async (day, facilities) => counted.push(facilities) } };
+    const tracker = createFacilitySearchTracker();
+
+    recordFacilitySearch(repos, "WiFi, AC,WiFi,,", "1.2.3.4", tracker);
+    recordFacilitySearch(repos, "AC", "1.2.3.4", tracker);
+    recordFacilitySearch(repos, undefined, "1.2.3.4", tracker);
+    assert.deepEqual(counted, [["WiFi", "AC"]]);
+
+    const failing = { analytics: { countFacilitySearches: async () => { throw new Error("down"); } } };
+    recordFacilitySearch(failing, "Gym", "1.2.3.4", tracker);
+    await new Promise(resolve => setImmediate(resolve));
+});
@@ -0,0 +1,195 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+
+const { TEST_PASSWORD, startTestApp, as, createUser, latestMessage, linkToken } = require("./helpers");
+
+test("auth API", async t => {
+    const env = await startTestApp();
+    if (env.skip) return t.skip(env.skip);
+    t.after(() => env.stop());
+
+    const api = () => request(env.app);
+
+    await t.test("signup returns a token pair and an unverified user", async () => {
+        const res = await api().post("/api/auth/signup").send({
+            name: "Riya Das",
+            email: "Riya.Das@Example.test",
+            password: TEST_PASSWORD,
+            role: "student"
+        });
+
+        assert.equal(res.status, 201);
+        assert.ok(res.body.token);
+        assert.ok(res.body.refreshToken);
+        assert.equal(res.body.role, "student");
+        assert.equal(res.body.user.emailVerified, false);
+
+        const [user] = await env.query("SELECT email, password FROM users WHERE id = ?", [res.body.user.id]);
+        assert.equal(user.email, "riya.das@example.test");
+        assert.match(user.password, /^scrypt\$/);
+    });
+
+    await t.test("signup rejects duplicates and bad input", async () => {
+        const duplicate = await api().post("/api/auth/signup").send({
+            name: "Riya Again",
+            email: "riya.das@example.test",
+            password: TEST_PASSWORD,
+            role: "owner"
+        });
+        assert.equal(duplicate.status, 409);
+
+        const invalid = await api().post("/api/auth/signup").send({
+            name: "R",
+            email: "not-an-email",
+            password: "short",
+            role: "admin"
+        });
+        assert.equal(invalid.status, 400);
+        assert.deepEqual(Object.keys(invalid.body.errors).sort(), ["email", "name", "password", "role"]);
+    });
+
+    await t.test("login checks the password and the account status", async () => {
+        const user = await createUser(env, "owner");
+
+        const ok = await api().post("/api/auth/login").send({ email: user.email, password: TEST_PASSWORD });
+        assert.equal(ok.status, 200);
+        assert.equal(ok.body.role, "owner");
+        assert.equal(ok.body.user.emailVerified, true);
+
+        const wrong = await api().post("/api/auth/login").send({ email: user.email, password: "wrong-password" });
+        assert.equal(wrong.status, 401);
+
+        const unknown = await api().post("/api/auth/login").send({ email: "nobody@example.test", password: TEST_PASSWORD });
+        assert.equal(unknown.status, 401);
+
+        await env.query("UPDATE users SET status = 'suspended' WHERE id = ?", [user.id]);
+        const suspended = await api().post("/api/auth/login").send({ email: user.email, password: TEST_PASSWORD });
+        assert.equal(suspended.status, 403);
+
+        // Tokens issued before the suspension stop working too
+        const me = await as(env, user).get("/api/owner/pgs");
+        assert.equal(me.status, 403);
+    });
+
+    await t.test("refresh rotates the refresh token", async () => {
+        const user = await createUser(env, "student");
+
+        const first = await api().post("/api/auth/refresh").send({ refreshToken: user.refreshToken });
+        assert.equal(first.status, 200);
+        assert.ok(first.body.token);
+        assert.notEqual(first.body.refreshToken, user.refreshToken);
+
+        const second = await api().post("/api/auth/refresh").send({ refreshToken: first.body.refreshToken });
+        assert.equal(second.status, 200);
+    });
+
+    await t.test("reusing a rotated refresh token revokes the session", async () => {
+        const user = await createUser(env, "student");
+
+        const first = await api().post("/api/auth/refresh").send({ refreshToken: user.refreshToken });
+        assert.equal(first.status, 200);
+
+        const replayed = await api().post("/api/auth/refresh").send({ refreshToken: user.refreshToken });
+        assert.equal(replayed.status, 401);
+
+        // The newer token and its access token die with the session
+        const next = await api().post("/api/auth/refresh").send({ refreshToken: first.body.refreshToken });
+        assert.equal(next.status, 401);
+        assert.equal((await as(env, first.body).get("/api/notifications")).status, 401);
+    });
+
+    await t.test("retired hashes are pruned once their session expires", async () => {
+        const user = await createUser(env, "student");
+        const rotated = await api().post("/api/auth/refresh").send({ refreshToken: user.refreshToken });
+        assert.equal(rotated.status, 200);
+
+        const [{ session_id: sessionId }] = await env.query(
+            "SELECT r.session_id FROM retired_refresh_tokens r JOIN user_sessions s ON s.id = r.session_id WHERE s.user_id = ?",
+            [user.id]
+        );
+        await env.query("UPDATE user_sessions SET expires_at = NOW() - INTERVAL 1 MINUTE WHERE id = ?", [sessionId]);
+
+        // The access token dies with the session, before its own 15 minutes are up
+        assert.equal((await as(env, rotated.body).get("/api/notifications")).status, 401);
+
+        assert.equal((await api().post("/api/auth/login").send({ email: user.email, password: TEST_PASSWORD })).status, 200);
+        const retired = await env.query("SELECT token_hash FROM retired_refresh_tokens WHERE session_id = ?", [sessionId]);
+        assert.equal(retired.length, 0);
+    });
+
+    await t.test("logout ends one session, logout-all every session", async () => {
+        const user = await createUser(env, "student");
+        const other = await api().post("/api/auth/login").send({ email: user.email, password: TEST_PASSWORD });
+
+        const logout = await api().post("/api/auth/logout").send({ refreshToken: user.refreshToken });
+        assert.equal(logout.status, 200);
+        assert.equal((await as(env, user).get("/api/notifications")).status, 401);
+        assert.equal((await as(env, other.body).get("/api/notifications")).status, 200);
+
+        const all = await as(env, other.body).post("/api/auth/logout-all");
+        assert.equal(all.status, 200);
+        assert.equal(all.body.sessions, 1);
+        assert.equal((await as(env, other.body).get("/api/notifications")).status, 401);
+    });
+
+    await t.test("protected routes need a valid token", async () => {
+        assert.equal((await api().get("/api/notifications")).status, 401);
+        assert.equal((await api().get("/api/notifications").set("Authorization", "Bearer nonsense")).status, 401);
+    });
+
+    await t.test("the emailed link verifies the address once", async () => {
+        const user = await createUser(env, "owner", { verified: false });
+
+        const token = linkToken(latestMessage(env, user.email));
+        assert.ok(token, "signup should send a verification link");
+
+        // Unverified owners cannot submit listings
+        const blocked = await as(env, user).post("/api/pg/add").send({});
+        assert.equal(blocked.status, 403);
+
+        assert.equal((await api().post("/api/auth/verify-email").send({ token })).status, 200);
+        assert.equal((await api().post("/api/auth/verify-email").send({ token })).status, 400);
+        assert.equal((await api().post("/api/auth/verify-email").send({ token: "made-up" })).status, 400);
+
+        const resend = await as(env, user).post("/api/auth/resend-verification");
+        assert.equal(resend.status, 409);
+    });
+
+    await t.test("resending a verification link replaces the old one", async () => {
+        const user = await createUser(env, "student", { verified: false });
+        const oldToken = linkToken(latestMessage(env, user.email));
+
+        const resend = await as(env, user).post("/api/auth/resend-verification");
+        assert.equal(resend.status, 200);
+
+        const newToken = linkToken(latestMessage(env, user.email));
+        assert.notEqual(newToken, oldToken);
+        assert.equal((await api().post("/api/auth/verify-email").send({ token: oldToken })).status, 400);
+        assert.equal((await api().post("/api/auth/verify-email").send({ token: newToken })).status, 200);
+    });
+
+    await t.test("a password reset changes the password and signs out every device", async () => {
+        const user = await createUser(env, "student");
+
+        const unknown = await api().post("/api/auth/forgot-password").send({ email: "nobody@example.test" });
+        const known = await api().post("/api/auth/forgot-password").send({ email: user.email });
+        assert.equal(known.status, 200);
+        assert.deepEqual(known.body, unknown.body);
+
+        const token = linkToken(latestMessage(env, user.email));
+        assert.ok(token, "forgot-password should send a reset link");
+
+        const tooShort = await api().post("/api/auth/reset-password").send({ token, password: "short" });
+        assert.equal(tooShort.status, 400);
+        assert.ok(tooShort.body.errors.password);
+
+        const newPassword = "a-brand-new-password";
+        assert.equal((await api().post("/api/auth/reset-password").send({ token, password: newPassword })).status, 200);
+        assert.equal((await api().post("/api/auth/reset-password").send({ token, password: newPassword })).status, 400);
+
+        assert.equal((await as(env, user).get("/api/notifications")).status, 401);
+        assert.equal((await api().post("/api/auth/login").send({ email: user.email, password: TEST_PASSWORD })).status, 401);
+        assert.equal((await api().post("/api/auth/login").send({ email: user.email, password: newPassword })).status, 200);
+    });
+});
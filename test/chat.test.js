@@ -0,0 +1,32 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createChatProvider, ChatProviderError } = require("../chat");
+
+function geminiAnswering(t, response) {
+    t.mock.method(global, "fetch", async () => response);
+    return createChatProvider({ provider: "gemini", apiKey: "test-key" });
+}
+
+test("the Gemini provider returns the first candidate's text", async t => {
+    const gemini = geminiAnswering(t, new Response(JSON.stringify({
+        candidates: [{ content: { parts: [{ text: "  Try Shivam PG.  " }] } }]
+    })));
+
+    assert.equal(await gemini.reply({ prompt: "PGs near college?" }), "Try Shivam PG.");
+});
+
+test("Gemini failures surface as ChatProviderError", async t => {
+    const cases = [
+        new Response("upstream exploded", { status: 503 }),
+        new Response("<html>not json</html>", { status: 200 }),
+        new Response("null", { status: 200 }),
+        new Response(JSON.stringify({ candidates: [] }), { status: 200 })
+    ];
+
+    for (const response of cases) {
+        const gemini = geminiAnswering(t, response);
+        await assert.rejects(gemini.reply({ prompt: "hi" }), ChatProviderError);
+        t.mock.restoreAll();
+    }
+});
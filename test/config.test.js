@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { loadConfig, checkConfig } = require("../config");
+
+const STRONG_SECRET = "k3v9-a-long-random-production-secret-0123";
+
+test("defaults run in development with only a warning", () => {
+    const current = loadConfig({});
+
+    assert.equal(current.nodeEnv, "development");
+    assert.equal(current.port, 3000);
+
+    const { errors, warnings } = checkConfig(current);
+    assert.deepEqual(errors, []);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /JWT_SECRET/);
+});
+
+test("the placeholder JWT secret is refused outside development", () => {
+    const { errors } = checkConfig(loadConfig({ NODE_ENV: "production" }));
+
+    assert.deepEqual(errors, ["JWT_SECRET must be set when NODE_ENV is production"]);
+});
+
+test("a short JWT secret is refused outside development", () => {
+    const { errors } = checkConfig(loadConfig({ NODE_ENV: "staging", JWT_SECRET: "hunter2" }));
+
+    assert.deepEqual(errors, ["JWT_SECRET must be at least 32 characters when NODE_ENV is staging"]);
+});
+
+test("production starts cleanly with a strong secret", () => {
+    const { errors, warnings } = checkConfig(loadConfig({
+        NODE_ENV: "production",
+        JWT_SECRET: STRONG_SECRET,
+        METRICS_TOKEN: "metrics-secret",
+        PORT: "8080"
+    }));
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(warnings, []);
+});
+
+test("open metrics are only a warning in production", () => {
+    const { errors, warnings } = checkConfig(loadConfig({ NODE_ENV: "production", JWT_SECRET: STRONG_SECRET }));
+
+    assert.deepEqual(errors, []);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /METRICS_TOKEN/);
+});
+
+test("an invalid PORT is an error", () => {
+    const { errors } = checkConfig(loadConfig({ PORT: "http" }));
+
+    assert.deepEqual(errors, ["PORT must be a whole number between 1 and 65535"]);
+});
@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const request = require("supertest");
+
+const { asyncHandler, apiNotFound, errorHandler } = require("../errors");
+
+// A tiny app wired like app.js, with routes that fail in the ways real handlers do
+function buildApp() {
+    const app = express();
+    app.use(express.json());
+
+    app.get("/api/bug", asyncHandler(async () => {
+        throw new Error("Unknown column 'secret_column' in 'field list'");
+    }));
+    app.get("/api/db-down", asyncHandler(async () => {
+        throw Object.assign(new Error("connect ECONNREFUSED 127.0.0.1:3306"), { code: "ECONNREFUSED" });
+    }));
+    app.post("/api/echo", (req, res) => res.json(req.body));
+
+    app.use("/api", apiNotFound);
+    app.use(errorHandler);
+    return app;
+}
+
+// The handler logs the full error; keep test output readable
+test.beforeEach(t => t.mock.method(console, "error", () => {}));
+
+test("unexpected errors answer with a code, not the raw message", async () => {
+    const res = await request(buildApp()).get("/api/bug");
+
+    assert.equal(res.status, 500);
+    assert.equal(res.body.error, "internal_error");
+    assert.doesNotMatch(JSON.stringify(res.body), /secret_column/);
+});
+
+test("an unreachable database is a 503", async () => {
+    const res = await request(buildApp()).get("/api/db-down");
+
+    assert.equal(res.status, 503);
+    assert.equal(res.body.error, "service_unavailable");
+    assert.doesNotMatch(JSON.stringify(res.body), /3306/);
+});
+
+test("malformed JSON gets the validation shape", async () => {
+    const res = await request(buildApp())
+        .post("/api/echo")
+        .set("Content-Type", "application/json")
+        .send("{ not json");
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body, { message: "Validation failed", errors: { body: "Request body must be valid JSON" } });
+});
+
+test("unknown API paths are a JSON 404", async () => {
+    const res = await request(buildApp()).delete("/api/nothing-here");
+
+    assert.equal(res.status, 404);
+    assert.equal(res.body.error, "not_found");
+});
+
+test("only listing forms, sent by a signed-in owner, may carry large bodies", async () => {
+    const { app } = require("../app");
+    const body = JSON.stringify({ filler: "x".repeat(200 * 1024) });
+
+    const login = await request(app).post("/api/auth/login").set("Content-Type", "application/json").send(body);
+    assert.equal(login.status, 413);
+    assert.equal(login.body.error, "payload_too_large");
+
+    // The form route reads no body before checking the token
+    const anonymousForm = await request(app).post("/api/pg/add").set("Content-Type", "application/json").send(body);
+    assert.equal(anonymousForm.status, 401);
+});
@@ -0,0 +1,30 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { safeParseFacilities } = require("../listings");
+
+test("safeParseFacilities reads JSON arrays", () => {
+    assert.deepEqual(safeParseFacilities('["WiFi", "AC", "24/7 Security"]'), ["WiFi", "AC", "24/7 Security"]);
+    assert.deepEqual(safeParseFacilities("  []"), []);
+});
+
+test("safeParseFacilities splits comma-separated text", () => {
+    assert.deepEqual(safeParseFacilities("WiFi, Food ,AC"), ["WiFi", "Food", "AC"]);
+    assert.deepEqual(safeParseFacilities("WiFi,,  ,Parking"), ["WiFi", "Parking"]);
+    assert.deepEqual(safeParseFacilities("Laundry"), ["Laundry"]);
+});
+
+test("safeParseFacilities falls back to commas when the JSON is broken", () => {
+    assert.deepEqual(safeParseFacilities('["WiFi", "AC"'), ['["WiFi"', '"AC"']);
+});
+
+test("safeParseFacilities passes arrays through", () => {
+    const facilities = ["WiFi", "Gym"];
+    assert.equal(safeParseFacilities(facilities), facilities);
+});
+
+test("safeParseFacilities returns an empty list for anything else", () => {
+    [null, undefined, "", 0, 42, { WiFi: true }].forEach(value => {
+        assert.deepEqual(safeParseFacilities(value), []);
+    });
+});
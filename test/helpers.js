@@ -0,0 +1,219 @@
+// Shared setup for the API tests.
+// Every integration test file gets its own throwaway MySQL database, built by the migrations and
+// dropped when the file finishes. The server is reached with the same DB_* variables db.js reads;
+// when nothing answers, startTestApp() returns { skip } and the file's tests are skipped.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const mysql = require("mysql2/promise");
+const request = require("supertest");
+
+require("dotenv").config({ quiet: true });
+
+const TEST_PASSWORD = "correct-horse-42";
+
+function serverSettings() {
+    return {
+        host: process.env.DB_HOST || "localhost",
+        port: Number(process.env.DB_PORT) || 3306,
+        user: process.env.DB_USER || "root",
+        password: process.env.DB_PASSWORD || ""
+    };
+}
+
+// Returns { app, pool, query, outboxDir, uploadDir, stop } or { skip: reason }
+async function startTestApp() {
+    let server;
+    try {
+        server = await mysql.createConnection({ ...serverSettings(), connectTimeout: 3000 });
+    } catch (error) {
+        return { skip: `MySQL is not reachable (${error.code || error.message})` };
+    }
+
+    const database = `pg_finder_test_${process.pid}_${Date.now()}`;
+    const scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), "pg-finder-test-"));
+    const outboxDir = path.join(scratchDir, "outbox");
+    const uploadDir = path.join(scratchDir, "uploads");
+
+    await server.query(`CREATE DATABASE \`${database}\` CHARACTER SET utf8mb4`);
+
+    async function dropDatabase() {
+        await server.query(`DROP DATABASE IF EXISTS \`${database}\``);
+        await server.end();
+        fs.rmSync(scratchDir, { recursive: true, force: true });
+    }
+
+    // db.js, storage.js, delivery.js, chat.js and logger.js read these when they are first required;
+    // request logs are left out so failures stay readable
+    Object.assign(process.env, {
+        DB_NAME: database,
+        UPLOAD_DIR: uploadDir,
+        OUTBOX_DIR: outboxDir,
+        DELIVERY_TRANSPORT: "outbox",
+        CHAT_PROVIDER: "local",
+        LOG_LEVEL: "error"
+    });
+
+    const pool = require("../db");
+
+    try {
+        const { migrateUp } = require("../migrate");
+        const conn = await pool.getConnection();
+        try {
+            await migrateUp(conn, { log: () => {} });
+        } finally {
+            conn.release();
+        }
+    } catch (error) {
+        await pool.end();
+        await dropDatabase();
+        throw error;
+    }
+
+    const { app } = require("../app");
+
+    async function query(sql, params = []) {
+        const conn = await pool.getConnection();
+        try {
+            const [rows] = await conn.query(sql, params);
+            return rows;
+        } finally {
+            conn.release();
+        }
+    }
+
+    return {
+        app,
+        pool,
+        query,
+        outboxDir,
+        uploadDir,
+        async stop() {
+            // Saved-search alerts run after their response is sent; let them finish first
+            await new Promise(resolve => setTimeout(resolve, 200));
+            await pool.end();
+            await dropDatabase();
+        }
+    };
+}
+
+// Requests that carry `user`'s access token
+function as(env, user) {
+    const withToken = method => url => request(env.app)[method](url).set("Authorization", `Bearer ${user.token}`);
+
+    return {
+        get: withToken("get"),
+        post: withToken("post"),
+        put: withToken("put"),
+        patch: withToken("patch"),
+        delete: withToken("delete")
+    };
+}
+
+let userCount = 0;
+
+// Students and owners sign up through the API (verified unless told otherwise);
+// admins cannot sign up, so they are inserted and then logged in
+async function createUser(env, role = "student", { verified = true } = {}) {
+    userCount++;
+    const user = {
+        name: `Test ${role} ${userCount}`,
+        email: `${role}${userCount}.${process.pid}@example.test`,
+        password: TEST_PASSWORD,
+        role
+    };
+
+    let res;
+    if (role === "admin") {
+        const { hashPassword } = require("../passwords");
+        await env.query(
+            "INSERT INTO users (name, email, password, role, email_verified_at) VALUES (?, ?, ?, 'admin', NOW())",
+            [user.name, user.email, await hashPassword(user.password)]
+        );
+        res = await request(env.app).post("/api/auth/login").send({ email: user.email, password: user.password });
+    } else {
+        res = await request(env.app).post("/api/auth/signup").send(user);
+        if (verified) {
+            await env.query("UPDATE users SET email_verified_at = NOW() WHERE id = ?", [res.body.user.id]);
+        }
+    }
+
+    if (!res.body.token) {
+        throw new Error(`Could not create ${role}: ${res.status} ${JSON.stringify(res.body)}`);
+    }
+
+    return { ...user, id: res.body.user.id, token: res.body.token, refreshToken: res.body.refreshToken };
+}
+
+const LISTING_DEFAULTS = {
+    pgName: "Test Residency",
+    pgRent: 8000,
+    pgAddress: "12 Jemua Road, Fuljhore",
+    pgCity: "Durgapur",
+    pgPincode: "713206",
+    pgCollege: "Dr. B.C. Roy Engineering College",
+    pgRoomType: "shared",
+    pgGender: "male",
+    pgDeposit: 8000,
+    facilities: ["WiFi", "AC"],
+    pgDescription: "Two minutes from the college gate"
+};
+
+function listingBody(overrides = {}) {
+    return { ...LISTING_DEFAULTS, ...overrides };
+}
+
+// Submit a listing as `owner`; with `approvedBy` an admin approves it straight away. Returns its ID.
+async function createListing(env, owner, overrides = {}, { approvedBy = null } = {}) {
+    const res = await as(env, owner).post("/api/pg/add").send(listingBody(overrides));
+    if (res.status !== 201) {
+        throw new Error(`Could not create listing: ${res.status} ${JSON.stringify(res.body)}`);
+    }
+
+    if (approvedBy) {
+        const approved = await as(env, approvedBy).patch(`/api/admin/pgs/${res.body.pgId}/approve`).send({});
+        if (approved.status !== 200) {
+            throw new Error(`Could not approve listing: ${approved.status} ${JSON.stringify(approved.body)}`);
+        }
+    }
+
+    return res.body.pgId;
+}
+
+// Newest message the outbox transport wrote for `to`, or null
+function latestMessage(env, to) {
+    if (!fs.existsSync(env.outboxDir)) return null;
+
+    const messages = fs.readdirSync(env.outboxDir)
+        .sort()
+        .map(file => JSON.parse(fs.readFileSync(path.join(env.outboxDir, file), "utf8")))
+        .filter(message => message.to === to);
+
+    return messages.length > 0 ? messages[messages.length - 1] : null;
+}
+
+function linkToken(message) {
+    const match = message && message.text.match(/[?&]token=([\w-]+)/);
+    return match ? match[1] : null;
+}
+
+// YYYY-MM-DD `days` from today, in local time like the inquiry checks
+function dateFromToday(days) {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    const pad = value => String(value).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+module.exports = {
+    TEST_PASSWORD,
+    startTestApp,
+    as,
+    createUser,
+    listingBody,
+    createListing,
+    latestMessage,
+    linkToken,
+    dateFromToday
+};
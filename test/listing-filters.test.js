@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildListingFilters } = require("../listings");
+
+test("only approved, published listings are searched", () => {
+    const { conditions, params, errors } = buildListingFilters({});
+
+    assert.deepEqual(conditions, ["status = 'approved'", "is_published = 1"]);
+    assert.deepEqual(params, []);
+    assert.deepEqual(errors, {});
+});
+
+test("each facility becomes its own JSON_CONTAINS condition", () => {
+    const { conditions, params } = buildListingFilters({ facilities: "WiFi, AC,," });
+
+    assert.deepEqual(
+        conditions.filter(condition => condition.startsWith("JSON_CONTAINS")),
+        ["JSON_CONTAINS(facilities, JSON_QUOTE(?))", "JSON_CONTAINS(facilities, JSON_QUOTE(?))"]
+    );
+    assert.deepEqual(params, ["WiFi", "AC"]);
+});
+
+test("invalid filters are reported per parameter", () => {
+    const { errors } = buildListingFilters({
+        minPrice: "-1",
+        maxDistance: "far",
+        roomType: "penthouse",
+        gender: "any",
+        available: "maybe",
+        ids: "1,2,3,4,5"
+    });
+
+    assert.deepEqual(Object.keys(errors).sort(), ["available", "gender", "ids", "maxDistance", "minPrice", "roomType"]);
+});
+
+test("gender filters include mixed listings", () => {
+    const { conditions, params } = buildListingFilters({ gender: "female" });
+
+    assert.ok(conditions.includes("gender IN (?, 'both')"));
+    assert.deepEqual(params, ["female"]);
+});
+
+test("keywords are matched literally", () => {
+    const { params } = buildListingFilters({ q: " 100%_AC " });
+
+    assert.deepEqual(params, Array(4).fill("%100\\%\\_AC%"));
+});
@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const request = require("supertest");
+
+const { createLogger, requestLogger, currentRequestId } = require("../logger");
+
+function capture(level) {
+    const lines = [];
+    const logger = createLogger({ level, write: (lineLevel, line) => lines.push(JSON.parse(line)) });
+    return { logger, lines };
+}
+
+test("each line is one JSON object with level, message and fields", () => {
+    const { logger, lines } = capture("info");
+
+    logger.info("PG approved", { pgId: 12, note: undefined });
+
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].level, "info");
+    assert.equal(lines[0].msg, "PG approved");
+    assert.equal(lines[0].pgId, 12);
+    assert.ok(!("note" in lines[0]));
+    assert.ok(!Number.isNaN(Date.parse(lines[0].time)));
+});
+
+test("errors are written out with their message, code and stack", () => {
+    const { logger, lines } = capture("info");
+
+    logger.error("Request failed", { error: Object.assign(new Error("boom"), { code: "E_TEST" }) });
+
+    assert.equal(lines[0].error.message, "boom");
+    assert.equal(lines[0].error.code, "E_TEST");
+    assert.match(lines[0].error.stack, /boom/);
+});
+
+test("lines below the configured level are dropped", () => {
+    const { logger, lines } = capture("warn");
+
+    logger.debug("noise");
+    logger.info("still noise");
+    logger.warn("kept");
+
+    assert.deepEqual(lines.map(line => line.msg), ["kept"]);
+});
+
+test("requests get an ID in the response header and in context", async t => {
+    const app = express();
+    app.use(requestLogger);
+    app.get("/id", async (req, res) => {
+        await new Promise(resolve => setImmediate(resolve));
+        res.json({ requestId: currentRequestId() });
+    });
+
+    // The completion line goes to console.log; keep test output readable
+    t.mock.method(console, "log", () => {});
+
+    const generated = await request(app).get("/id");
+    assert.match(generated.headers["x-request-id"], /^[0-9a-f-]{36}$/);
+    assert.equal(generated.body.requestId, generated.headers["x-request-id"]);
+
+    const forwarded = await request(app).get("/id").set("X-Request-Id", "edge-42.a");
+    assert.equal(forwarded.headers["x-request-id"], "edge-42.a");
+
+    const unsafe = await request(app).get("/id").set("X-Request-Id", "<script>");
+    assert.notEqual(unsafe.headers["x-request-id"], "<script>");
+});
@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createMetrics } = require("../metrics");
+
+test("requests are counted per route and status", () => {
+    const metrics = createMetrics();
+
+    metrics.record("GET /api/pgs/:pgId", 200, 10);
+    metrics.record("GET /api/pgs/:pgId", 404, 4);
+    metrics.record("GET /api/pgs/:pgId", 500, 30);
+    metrics.record("GET /api/colleges", 200, 2);
+
+    const snapshot = metrics.snapshot();
+
+    assert.equal(snapshot.requests.total, 4);
+    assert.deepEqual(snapshot.requests.byStatus, { 200: 2, 404: 1, 500: 1 });
+
+    const [busiest, other] = snapshot.routes;
+    assert.equal(busiest.route, "GET /api/pgs/:pgId");
+    assert.deepEqual(busiest.statuses, { 200: 1, 404: 1, 500: 1 });
+    assert.equal(busiest.errorRate, 0.333);
+    assert.equal(other.route, "GET /api/colleges");
+});
+
+test("latency percentiles come from the recorded durations", () => {
+    const metrics = createMetrics();
+
+    for (let ms = 1; ms <= 100; ms++) metrics.record("GET /api/pgs", 200, ms);
+
+    const { latencyMs } = metrics.snapshot().routes[0];
+
+    assert.deepEqual(latencyMs, { avg: 50.5, p50: 50, p95: 95, p99: 99, max: 100 });
+});
+
+test("uptime is measured from creation", () => {
+    let clock = Date.parse("2026-01-01T00:00:00Z");
+    const metrics = createMetrics({ now: () => clock });
+
+    clock += 90 * 1000;
+
+    assert.equal(metrics.snapshot().uptimeSeconds, 90);
+    assert.equal(metrics.snapshot().startedAt, "2026-01-01T00:00:00.000Z");
+});
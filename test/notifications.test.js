@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("node:events");
+
+const { createNotificationHub, HEARTBEAT_MS } = require("../notifications");
+
+// Just enough of an Express response for the hub: headers, writes, and a close event on end()
+function fakeResponse() {
+    const res = new EventEmitter();
+    res.written = [];
+    res.ended = false;
+    res.set = () => res;
+    res.flushHeaders = () => {};
+    res.write = chunk => res.written.push(chunk);
+    res.end = () => {
+        res.ended = true;
+        res.emit("close");
+    };
+    return res;
+}
+
+test("events reach every stream the user has open", () => {
+    const hub = createNotificationHub();
+    const tabs = [fakeResponse(), fakeResponse()];
+    const stranger = fakeResponse();
+
+    tabs.forEach(res => hub.subscribe(1, res, { unread: 2 }));
+    hub.subscribe(2, stranger);
+
+    hub.publish(1, "unread", { unread: 3 });
+
+    tabs.forEach(res => {
+        assert.equal(res.written[0], "event: ready\ndata: {\"unread\":2}\n\n");
+        assert.equal(res.written[1], "event: unread\ndata: {\"unread\":3}\n\n");
+    });
+    assert.equal(stranger.written.length, 1);
+});
+
+test("disconnecting a user ends only their streams", () => {
+    const hub = createNotificationHub();
+    const tabs = [fakeResponse(), fakeResponse()];
+    const other = fakeResponse();
+
+    tabs.forEach(res => hub.subscribe(1, res));
+    hub.subscribe(2, other);
+
+    hub.disconnectUser(1);
+    hub.disconnectUser(3);
+
+    assert.ok(tabs.every(res => res.ended));
+    assert.equal(other.ended, false);
+    assert.equal(hub.connectionCount(), 1);
+
+    hub.publish(1, "unread", { unread: 1 });
+    assert.ok(tabs.every(res => res.written.length === 1));
+});
+
+test("logging out one session ends only that session's streams", () => {
+    const hub = createNotificationHub();
+    const phone = fakeResponse();
+    const laptop = fakeResponse();
+
+    hub.subscribe(1, phone, { sessionId: 10 });
+    hub.subscribe(1, laptop, { sessionId: 11 });
+
+    hub.disconnectSession(10);
+
+    assert.equal(phone.ended, true);
+    assert.equal(laptop.ended, false);
+
+    hub.publish(1, "unread", { unread: 0 });
+    assert.equal(phone.written.length, 1);
+    assert.equal(laptop.written.length, 2);
+});
+
+test("the heartbeat ends streams whose access token has expired", t => {
+    t.mock.timers.enable({ apis: ["setInterval"] });
+    let clock = 0;
+    const hub = createNotificationHub({ now: () => clock });
+    const expiring = fakeResponse();
+    const fresh = fakeResponse();
+
+    hub.subscribe(1, expiring, { sessionId: 10, expiresAt: HEARTBEAT_MS });
+    hub.subscribe(2, fresh, { sessionId: 20, expiresAt: 10 * HEARTBEAT_MS });
+
+    clock = HEARTBEAT_MS;
+    t.mock.timers.tick(HEARTBEAT_MS);
+
+    assert.equal(expiring.ended, true);
+    assert.equal(fresh.ended, false);
+    assert.equal(fresh.written.at(-1), ": ping\n\n");
+    assert.equal(hub.connectionCount(), 1);
+});
@@ -0,0 +1,285 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const sharp = require("sharp");
+
+const { startTestApp, as, createUser, listingBody, createListing } = require("./helpers");
+
+async function testImage(background) {
+    const png = await sharp({ create: { width: 20, height: 20, channels: 3, background } }).png().toBuffer();
+    return `data:image/png;base64,${png.toString("base64")}`;
+}
+
+test("owner API", async t => {
+    const env = await startTestApp();
+    if (env.skip) return t.skip(env.skip);
+    t.after(() => env.stop());
+
+    const owner = await createUser(env, "owner");
+    const otherOwner = await createUser(env, "owner");
+    const student = await createUser(env, "student");
+    const admin = await createUser(env, "admin");
+
+    await t.test("only owners reach the owner routes", async () => {
+        assert.equal((await as(env, student).get("/api/owner/pgs")).status, 403);
+        assert.equal((await as(env, admin).post("/api/pg/add").send(listingBody())).status, 403);
+        assert.equal((await as(env, student).get("/api/owner/inquiries")).status, 403);
+        assert.equal((await as(env, owner).get("/api/owner/pgs")).status, 200);
+    });
+
+    await t.test("a new listing is stored pending with its photos", async () => {
+        const res = await as(env, owner).post("/api/pg/add").send(listingBody({
+            pgName: "Photo Residency",
+            images: [await testImage("#0a0"), await testImage("#00a")]
+        }));
+
+        assert.equal(res.status, 201);
+        assert.equal(res.body.status, "pending");
+        assert.equal(res.body.imageCount, 2);
+
+        const [pg] = await env.query("SELECT facilities, latitude FROM pgs WHERE id = ?", [res.body.pgId]);
+        assert.deepEqual(typeof pg.facilities === "string" ? JSON.parse(pg.facilities) : pg.facilities, ["WiFi", "AC"]);
+        // 713206 is in the local pincode table, so the listing gets coordinates without a map pin
+        assert.notEqual(pg.latitude, null);
+    });
+
+    await t.test("listing input is checked field by field", async () => {
+        const res = await as(env, owner).post("/api/pg/add").send(listingBody({
+            pgName: "",
+            pgRent: -5,
+            pgPincode: "12",
+            pgRoomType: "penthouse",
+            pgCollege: "",
+            images: ["not-an-image"]
+        }));
+
+        assert.equal(res.status, 400);
+        assert.deepEqual(Object.keys(res.body.errors).sort(), ["pgName", "pgPincode", "pgRent", "pgRoomType"]);
+
+        const collegeMissing = await as(env, owner).post("/api/pg/add").send(listingBody({ pgCollege: "" }));
+        assert.equal(collegeMissing.status, 400);
+        assert.ok(collegeMissing.body.errors.pgCollege);
+
+        const badImage = await as(env, owner).post("/api/pg/add").send(listingBody({ images: ["not-an-image"] }));
+        assert.equal(badImage.status, 400);
+        assert.ok(badImage.body.errors.images);
+    });
+
+    await t.test("distances are calculated from a listed college, never typed", async () => {
+        const college = await env.query(
+            "INSERT INTO colleges (name, city, latitude, longitude) VALUES (?, ?, ?, ?)",
+            ["Owner Test College", "Durgapur", 23.5469, 87.293]
+        );
+
+        const linked = await createListing(env, owner, { pgCollegeId: college.insertId, pgCollege: "", pgDistance: 40 });
+        const unlisted = await createListing(env, owner, { pgDistance: 1.2 });
+        const [linkedPg] = await env.query("SELECT distance FROM pgs WHERE id = ?", [linked]);
+        const [unlistedPg] = await env.query("SELECT distance FROM pgs WHERE id = ?", [unlisted]);
+        assert.ok(Number(linkedPg.distance) < 1);
+        assert.equal(unlistedPg.distance, null);
+
+        // Without a pin or a known pincode/city there is nothing to measure from
+        const unplaced = await as(env, owner).post("/api/pg/add").send(listingBody({
+            pgCollegeId: college.insertId,
+            pgCollege: "",
+            pgPincode: "999999",
+            pgCity: "Nowhere"
+        }));
+        assert.equal(unplaced.status, 400);
+        assert.ok(unplaced.body.errors.pgLatitude);
+
+        // A pin in Delhi is no listing near a Durgapur college, and would not fit the distance column
+        const farAway = await as(env, owner).post("/api/pg/add").send(listingBody({
+            pgCollegeId: college.insertId,
+            pgCollege: "",
+            pgLatitude: 28.6139,
+            pgLongitude: 77.209
+        }));
+        assert.equal(farAway.status, 400);
+        assert.match(farAway.body.errors.pgLatitude, /km from Owner Test College/);
+    });
+
+    await t.test("owners see only their own listings, with rooms and images", async () => {
+        const theirs = await createListing(env, otherOwner, { pgName: "Someone Else's PG" });
+
+        const res = await as(env, owner).get("/api/owner/pgs");
+        assert.equal(res.status, 200);
+        assert.ok(res.body.listings.length > 0);
+        assert.ok(res.body.listings.every(pg => pg.id !== theirs));
+        assert.ok(res.body.listings.every(pg => Array.isArray(pg.rooms) && Array.isArray(pg.images)));
+
+        assert.equal((await as(env, owner).put(`/api/owner/pgs/${theirs}`).send(listingBody())).status, 404);
+        assert.equal((await as(env, owner).delete(`/api/owner/pgs/${theirs}`)).status, 404);
+    });
+
+    await t.test("editing an approved listing sends it back for approval", async () => {
+        const pgId = await createListing(env, owner, {}, { approvedBy: admin });
+
+        const res = await as(env, owner).put(`/api/owner/pgs/${pgId}`).send(listingBody({ pgRent: 9000 }));
+        assert.equal(res.status, 200);
+        assert.equal(res.body.status, "pending");
+        assert.equal(res.body.message, "PG updated and sent back for approval");
+
+        const [pg] = await env.query("SELECT rent, status FROM pgs WHERE id = ?", [pgId]);
+        assert.equal(Number(pg.rent), 9000);
+        assert.equal(pg.status, "pending");
+    });
+
+    await t.test("only rejected listings can be resubmitted", async () => {
+        const pgId = await createListing(env, owner);
+
+        assert.equal((await as(env, owner).post(`/api/owner/pgs/${pgId}/resubmit`).send({})).status, 409);
+
+        await as(env, admin).patch(`/api/admin/pgs/${pgId}/reject`).send({ reason: "Photos are missing" });
+
+        const res = await as(env, owner).post(`/api/owner/pgs/${pgId}/resubmit`).send({ note: "Added photos" });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.status, "pending");
+    });
+
+    await t.test("publishing toggles and deleting removes a listing", async () => {
+        const pgId = await createListing(env, owner);
+
+        const hidden = await as(env, owner).patch(`/api/owner/pgs/${pgId}`).send({ published: false });
+        assert.equal(hidden.status, 200);
+        assert.equal(hidden.body.published, false);
+        assert.equal((await as(env, owner).patch(`/api/owner/pgs/${pgId}`).send({ published: "sometimes" })).status, 400);
+
+        assert.equal((await as(env, owner).delete(`/api/owner/pgs/${pgId}`)).status, 200);
+        assert.deepEqual(await env.query("SELECT id FROM pgs WHERE id = ?", [pgId]), []);
+    });
+
+    await t.test("photos can be reordered and a cover picked", async () => {
+        const pgId = await createListing(env, owner, {
+            images: [await testImage("#a00"), await testImage("#0a0"), await testImage("#00a")]
+        });
+        const ids = (await env.query("SELECT id FROM pg_images WHERE pg_id = ? ORDER BY position", [pgId])).map(row => row.id);
+
+        const reordered = await as(env, owner).put(`/api/owner/pgs/${pgId}/images/order`).send({ imageIds: [...ids].reverse() });
+        assert.equal(reordered.status, 200);
+        assert.deepEqual(reordered.body.images.map(image => image.id), [...ids].reverse());
+
+        const incomplete = await as(env, owner).put(`/api/owner/pgs/${pgId}/images/order`).send({ imageIds: ids.slice(1) });
+        assert.equal(incomplete.status, 400);
+        assert.ok(incomplete.body.errors.imageIds);
+
+        const cover = await as(env, owner).patch(`/api/owner/pgs/${pgId}/images/${ids[1]}/cover`);
+        assert.equal(cover.status, 200);
+        assert.equal(cover.body.images[0].id, ids[1]);
+
+        assert.equal((await as(env, otherOwner).patch(`/api/owner/pgs/${pgId}/images/${ids[1]}/cover`)).status, 404);
+    });
+
+    await t.test("a photo can be deleted to make room for a new one", async () => {
+        const colours = ["#a00", "#0a0", "#00a", "#aa0", "#0aa"];
+        const pgId = await createListing(env, owner, { images: await Promise.all(colours.map(testImage)) });
+        const [photo] = await env.query("SELECT id, file_key, thumb_key FROM pg_images WHERE pg_id = ? ORDER BY position LIMIT 1", [pgId]);
+        const stored = key => fs.existsSync(path.join(env.uploadDir, key));
+        assert.ok(stored(photo.file_key) && stored(photo.thumb_key));
+
+        const full = await as(env, owner).put(`/api/owner/pgs/${pgId}`).send(listingBody({ images: [await testImage("#fff")] }));
+        assert.equal(full.status, 400);
+        assert.ok(full.body.errors.images);
+
+        // Someone else's listing is turned away before any photo is decoded
+        assert.equal((await as(env, otherOwner).put(`/api/owner/pgs/${pgId}`).send(listingBody({ images: ["not-an-image"] }))).status, 404);
+        assert.equal((await as(env, otherOwner).delete(`/api/owner/pgs/${pgId}/images/${photo.id}`)).status, 404);
+
+        const removed = await as(env, owner).delete(`/api/owner/pgs/${pgId}/images/${photo.id}`);
+        assert.equal(removed.status, 200);
+        assert.equal(removed.body.images.length, 4);
+        assert.ok(!stored(photo.file_key) && !stored(photo.thumb_key));
+        assert.equal((await as(env, owner).delete(`/api/owner/pgs/${pgId}/images/${photo.id}`)).status, 404);
+
+        const replaced = await as(env, owner).put(`/api/owner/pgs/${pgId}`).send(listingBody({ images: [await testImage("#fff")] }));
+        assert.equal(replaced.status, 200);
+        assert.equal((await env.query("SELECT id FROM pg_images WHERE pg_id = ?", [pgId])).length, 5);
+    });
+
+    await t.test("room types keep the listing's rent and beds in step", async () => {
+        const pgId = await createListing(env, owner);
+        const rooms = `/api/owner/pgs/${pgId}/rooms`;
+
+        const double = await as(env, owner).post(rooms).send({ name: "Double sharing", sharing: 2, rent: 7000, totalBeds: 8, freeBeds: 3 });
+        assert.equal(double.status, 201);
+        const single = await as(env, owner).post(rooms).send({ name: "Single", sharing: 1, rent: 11000, totalBeds: 4, freeBeds: 1 });
+        assert.equal(single.status, 201);
+        assert.deepEqual(single.body.rooms.map(room => room.name), ["Double sharing", "Single"]);
+
+        let [pg] = await env.query("SELECT rent, rent_max, total_beds, free_beds FROM pgs WHERE id = ?", [pgId]);
+        assert.deepEqual([Number(pg.rent), Number(pg.rent_max), pg.total_beds, pg.free_beds], [7000, 11000, 12, 4]);
+
+        const tooMany = await as(env, owner).post(rooms).send({ name: "Triple", sharing: 3, rent: 6000, totalBeds: 3, freeBeds: 5 });
+        assert.equal(tooMany.status, 400);
+        assert.ok(tooMany.body.errors.freeBeds);
+
+        const updated = await as(env, owner).put(`${rooms}/${single.body.roomId}`).send({ name: "Single AC", sharing: 1, rent: 12000, totalBeds: 4, freeBeds: 2 });
+        assert.equal(updated.status, 200);
+
+        const occupancy = await as(env, owner).patch(`${rooms}/${double.body.roomId}/occupancy`).send({ freeBeds: 0 });
+        assert.equal(occupancy.status, 200);
+        assert.equal((await as(env, owner).patch(`${rooms}/${double.body.roomId}/occupancy`).send({ freeBeds: 9 })).status, 400);
+
+        [pg] = await env.query("SELECT rent_max, free_beds FROM pgs WHERE id = ?", [pgId]);
+        assert.deepEqual([Number(pg.rent_max), pg.free_beds], [12000, 2]);
+
+        const removed = await as(env, owner).delete(`${rooms}/${single.body.roomId}`);
+        assert.equal(removed.status, 200);
+        assert.equal(removed.body.rooms.length, 1);
+
+        assert.equal((await as(env, otherOwner).post(rooms).send({ name: "Sneaky", sharing: 1, rent: 1, totalBeds: 1, freeBeds: 1 })).status, 404);
+    });
+
+    await t.test("room types are edited and removed only on the owner's own listing", async () => {
+        const pgId = await createListing(env, owner);
+        const otherPgId = await createListing(env, otherOwner);
+        const rooms = `/api/owner/pgs/${pgId}/rooms`;
+        const room = { name: "Triple sharing", sharing: 3, rent: 5000, totalBeds: 6, freeBeds: 2 };
+
+        const created = await as(env, owner).post(rooms).send(room);
+        assert.equal(created.status, 201);
+        const roomUrl = `${rooms}/${created.body.roomId}`;
+        const otherRoom = await as(env, otherOwner).post(`/api/owner/pgs/${otherPgId}/rooms`).send(room);
+
+        const invalid = await as(env, owner).put(roomUrl).send({ ...room, rent: 0, freeBeds: 7 });
+        assert.equal(invalid.status, 400);
+        assert.deepEqual(Object.keys(invalid.body.errors).sort(), ["freeBeds", "rent"]);
+
+        assert.equal((await as(env, otherOwner).put(roomUrl).send(room)).status, 404);
+        assert.equal((await as(env, owner).put(`${rooms}/${otherRoom.body.roomId}`).send(room)).status, 404);
+
+        const updated = await as(env, owner).put(roomUrl).send({ ...room, rent: 5500, freeBeds: 0 });
+        assert.equal(updated.status, 200);
+        assert.deepEqual(updated.body.rooms.map(r => [Number(r.rent), r.free_beds]), [[5500, 0]]);
+
+        let [pg] = await env.query("SELECT rent, rent_max, free_beds FROM pgs WHERE id = ?", [pgId]);
+        assert.deepEqual([Number(pg.rent), Number(pg.rent_max), pg.free_beds], [5500, 5500, 0]);
+
+        assert.equal((await as(env, otherOwner).delete(roomUrl)).status, 404);
+        assert.equal((await as(env, owner).delete(`${rooms}/${otherRoom.body.roomId}`)).status, 404);
+
+        const removed = await as(env, owner).delete(roomUrl);
+        assert.equal(removed.status, 200);
+        assert.deepEqual(removed.body.rooms, []);
+        assert.equal((await as(env, owner).delete(roomUrl)).status, 404);
+
+        // With no room types left, the listing keeps its last rent and loses the room totals
+        [pg] = await env.query("SELECT rent_max, total_beds, free_beds FROM pgs WHERE id = ?", [pgId]);
+        assert.deepEqual([pg.rent_max, pg.total_beds, pg.free_beds], [null, null, null]);
+    });
+
+    await t.test("route IDs must be positive whole numbers", async () => {
+        const res = await as(env, owner).delete("/api/owner/pgs/abc");
+        assert.equal(res.status, 400);
+        assert.ok(res.body.errors.pgId);
+    });
+
+    await t.test("geocoding uses the local pincode table", async () => {
+        const found = await as(env, owner).get("/api/owner/geocode?pincode=713206");
+        assert.equal(found.status, 200);
+        assert.equal(typeof found.body.lat, "number");
+
+        assert.equal((await as(env, owner).get("/api/owner/geocode?pincode=999999")).status, 404);
+    });
+});
@@ -0,0 +1,352 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const { once } = require("node:events");
+const request = require("supertest");
+
+const { startTestApp, as, createUser, createListing, latestMessage, dateFromToday } = require("./helpers");
+
+// Saved-search alerts are sent after the approval response; poll until they show up
+async function waitFor(check, attempts = 20) {
+    for (let i = 0; i < attempts; i++) {
+        const result = await check();
+        if (result) return result;
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    return null;
+}
+
+test("student and public API", async t => {
+    const env = await startTestApp();
+    if (env.skip) return t.skip(env.skip);
+    t.after(() => env.stop());
+
+    const admin = await createUser(env, "admin");
+    const owner = await createUser(env, "owner");
+    const otherOwner = await createUser(env, "owner");
+    const student = await createUser(env, "student");
+
+    const acPg = await createListing(env, owner, {
+        pgName: "Shivam PG",
+        pgRent: 8000,
+        facilities: ["WiFi", "Food", "AC"]
+    }, { approvedBy: admin });
+    const laundryPg = await createListing(env, owner, {
+        pgName: "Girls Nest",
+        pgRent: 6000,
+        pgRoomType: "single",
+        pgGender: "female",
+        facilities: ["WiFi", "Laundry"]
+    }, { approvedBy: admin });
+    const pendingPg = await createListing(env, owner, { pgName: "Not Yet Approved PG" });
+
+    const api = () => request(env.app);
+
+    await t.test("only students reach the student routes", async () => {
+        assert.equal((await as(env, owner).get("/api/students/favorites")).status, 403);
+        assert.equal((await as(env, admin).get("/api/students/saved-searches")).status, 403);
+        assert.equal((await as(env, owner).post(`/api/pgs/${acPg}/reviews`).send({})).status, 403);
+        assert.equal((await as(env, admin).post("/api/students/inquiries").send({})).status, 403);
+        assert.equal((await api().get("/api/students/favorites")).status, 401);
+    });
+
+    await t.test("search lists approved, published listings only", async () => {
+        const res = await api().get("/api/pgs?sort=rent_asc");
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.total, 2);
+        assert.deepEqual(res.body.listings.map(pg => pg.id), [laundryPg, acPg]);
+        assert.deepEqual(res.body.listings[1].facilities, ["WiFi", "Food", "AC"]);
+
+        const firstPage = await api().get("/api/pgs?limit=1");
+        assert.equal(firstPage.body.totalPages, 2);
+        assert.equal(firstPage.body.hasMore, true);
+    });
+
+    await t.test("facility filters match inside the JSON column", async () => {
+        const ids = async query => (await api().get(`/api/pgs?${query}`)).body.listings.map(pg => pg.id).sort();
+
+        assert.deepEqual(await ids("facilities=AC"), [acPg]);
+        assert.deepEqual(await ids("facilities=WiFi,Laundry"), [laundryPg]);
+        assert.deepEqual(await ids("facilities=WiFi"), [acPg, laundryPg].sort());
+        assert.deepEqual(await ids("facilities=Gym"), []);
+        // Part of a facility name is not a match
+        assert.deepEqual(await ids("facilities=Wi"), []);
+    });
+
+    await t.test("other filters narrow the results and bad ones are rejected", async () => {
+        const female = await api().get("/api/pgs?gender=female");
+        assert.deepEqual(female.body.listings.map(pg => pg.id), [laundryPg]);
+
+        const cheap = await api().get("/api/pgs?maxPrice=7000");
+        assert.deepEqual(cheap.body.listings.map(pg => pg.id), [laundryPg]);
+
+        const invalid = await api().get("/api/pgs?roomType=penthouse&sort=cheapest");
+        assert.equal(invalid.status, 400);
+        assert.deepEqual(Object.keys(invalid.body.errors).sort(), ["roomType", "sort"]);
+    });
+
+    await t.test("listing details, nearby search and filter options", async () => {
+        const detail = await api().get(`/api/pgs/${acPg}`);
+        assert.equal(detail.status, 200);
+        assert.equal(detail.body.listing.name, "Shivam PG");
+        assert.equal((await api().get(`/api/pgs/${pendingPg}`)).status, 404);
+
+        const nearby = await api().get("/api/pgs/nearby?lat=23.5495&lng=87.2907&radius=2");
+        assert.equal(nearby.status, 200);
+        assert.equal(nearby.body.total, 2);
+        assert.equal((await api().get("/api/pgs/nearby?lat=100&lng=87")).status, 400);
+
+        const options = await api().get("/api/pgs/filter-options");
+        assert.equal(options.status, 200);
+        assert.ok(options.body.cities.includes("Durgapur"));
+    });
+
+    await t.test("favorites can be saved once and removed", async () => {
+        assert.equal((await as(env, student).post("/api/students/favorites").send({ pgId: acPg })).status, 201);
+        assert.equal((await as(env, student).post("/api/students/favorites").send({ pgId: acPg })).status, 200);
+        assert.equal((await as(env, student).post("/api/students/favorites").send({ pgId: pendingPg })).status, 404);
+
+        const favorites = await as(env, student).get("/api/students/favorites");
+        assert.deepEqual(favorites.body.favorites.map(favorite => favorite.pg_id), [acPg]);
+        assert.equal(favorites.body.favorites[0].listing.id, acPg);
+
+        assert.equal((await as(env, student).delete(`/api/students/favorites/${acPg}`)).status, 200);
+        assert.equal((await as(env, student).delete(`/api/students/favorites/${acPg}`)).status, 404);
+    });
+
+    await t.test("a saved search alerts the student about a newly approved match", async () => {
+        const invalid = await as(env, student).post("/api/students/saved-searches").send({
+            name: "Broken",
+            filters: { roomType: "penthouse" }
+        });
+        assert.equal(invalid.status, 400);
+        assert.ok(invalid.body.errors.roomType);
+
+        const created = await as(env, student).post("/api/students/saved-searches").send({
+            name: "AC under 9000",
+            alerts: "email",
+            filters: { facilities: "AC", maxPrice: 9000 }
+        });
+        assert.equal(created.status, 201);
+        assert.deepEqual(created.body.savedSearch.filters, { facilities: "AC", maxPrice: "9000" });
+
+        const searchId = created.body.savedSearch.id;
+        const renamed = await as(env, student).put(`/api/students/saved-searches/${searchId}`).send({
+            name: "AC near college",
+            alerts: "email",
+            filters: { facilities: "AC", maxPrice: 9000 }
+        });
+        assert.equal(renamed.status, 200);
+
+        // Only the matching listing triggers an alert
+        await createListing(env, owner, { pgName: "Too Dear PG", pgRent: 15000, facilities: ["AC"] }, { approvedBy: admin });
+        await createListing(env, owner, { pgName: "New AC PG", pgRent: 8500, facilities: ["AC"] }, { approvedBy: admin });
+
+        const alerts = await waitFor(async () => {
+            const res = await as(env, student).get("/api/notifications");
+            const matches = res.body.notifications.filter(n => n.type === "saved_search_match");
+            return matches.length > 0 ? matches : null;
+        });
+        assert.ok(alerts, "expected a saved-search notification");
+        assert.deepEqual(alerts.map(n => n.title), ['New PG for "AC near college": New AC PG']);
+
+        const email = await waitFor(() => latestMessage(env, student.email));
+        assert.match(email.subject, /New AC PG/);
+
+        const list = await as(env, student).get("/api/students/saved-searches");
+        assert.equal(list.body.savedSearches.length, 1);
+        assert.ok(list.body.savedSearches[0].last_alert_at);
+
+        assert.equal((await as(env, student).delete(`/api/students/saved-searches/${searchId}`)).status, 200);
+    });
+
+    await t.test("reviews: one per student, one owner reply, hidden by admins", async () => {
+        const review = { rating: 4, body: "Clean rooms and friendly staff" };
+
+        const posted = await as(env, student).post(`/api/pgs/${acPg}/reviews`).send(review);
+        assert.equal(posted.status, 201);
+        const reviewId = posted.body.review.id;
+
+        assert.equal((await as(env, student).post(`/api/pgs/${acPg}/reviews`).send(review)).status, 409);
+        assert.equal((await as(env, student).post(`/api/pgs/${pendingPg}/reviews`).send(review)).status, 404);
+        const tooShort = await as(env, student).post(`/api/pgs/${laundryPg}/reviews`).send({ rating: 6, body: "Nice" });
+        assert.equal(tooShort.status, 400);
+        assert.deepEqual(Object.keys(tooShort.body.errors).sort(), ["body", "rating"]);
+
+        assert.equal((await as(env, student).put(`/api/reviews/${reviewId}`).send({ ...review, rating: 5 })).status, 200);
+
+        let reviews = await api().get(`/api/pgs/${acPg}/reviews`);
+        assert.equal(reviews.body.total, 1);
+        assert.equal(reviews.body.rating_avg, 5);
+
+        const mine = await as(env, student).get(`/api/pgs/${acPg}/reviews/mine`);
+        assert.equal(mine.body.review.id, reviewId);
+
+        const ownerReviews = await as(env, owner).get("/api/owner/reviews");
+        assert.deepEqual(ownerReviews.body.reviews.map(r => r.id), [reviewId]);
+
+        const reply = `/api/owner/reviews/${reviewId}/reply`;
+        assert.equal((await as(env, otherOwner).post(reply).send({ reply: "Thanks!" })).status, 404);
+        assert.equal((await as(env, owner).post(reply).send({ reply: "Thanks for staying with us!" })).status, 200);
+        assert.equal((await as(env, owner).post(reply).send({ reply: "Thanks again!" })).status, 409);
+
+        const hide = `/api/admin/reviews/${reviewId}/hide`;
+        assert.equal((await as(env, admin).patch(hide).send({})).status, 400);
+        assert.equal((await as(env, admin).patch(hide).send({ reason: "Mentions another guest by name" })).status, 200);
+
+        reviews = await api().get(`/api/pgs/${acPg}/reviews`);
+        assert.equal(reviews.body.total, 0);
+        assert.equal(reviews.body.rating_avg, null);
+
+        const hidden = await as(env, admin).get("/api/admin/reviews?hidden=1");
+        assert.deepEqual(hidden.body.reviews.map(r => r.id), [reviewId]);
+
+        const unhide = `/api/admin/reviews/${reviewId}/unhide`;
+        assert.equal((await as(env, admin).patch(unhide).send({})).status, 200);
+        assert.equal((await as(env, admin).patch(unhide).send({})).status, 409);
+    });
+
+    await t.test("visit requests move between student and owner", async () => {
+        const inquiry = { pgId: acPg, type: "visit", preferredDate: dateFromToday(2), message: "Can I see a double room?" };
+
+        const sent = await as(env, student).post("/api/students/inquiries").send(inquiry);
+        assert.equal(sent.status, 201);
+        assert.equal(sent.body.status, "pending");
+        const inquiryId = sent.body.inquiryId;
+
+        assert.equal((await as(env, student).post("/api/students/inquiries").send(inquiry)).status, 409);
+        const past = await as(env, student).post("/api/students/inquiries").send({ ...inquiry, pgId: laundryPg, preferredDate: dateFromToday(-1) });
+        assert.equal(past.status, 400);
+        assert.ok(past.body.errors.preferredDate);
+
+        const ownerList = await as(env, owner).get("/api/owner/inquiries");
+        assert.deepEqual(ownerList.body.inquiries.map(i => i.id), [inquiryId]);
+        assert.deepEqual((await as(env, otherOwner).get("/api/owner/inquiries")).body.inquiries, []);
+        assert.equal((await as(env, otherOwner).patch(`/api/owner/inquiries/${inquiryId}/accept`).send({})).status, 404);
+
+        const badTime = await as(env, owner).patch(`/api/owner/inquiries/${inquiryId}/propose`).send({ proposedFor: "tomorrow" });
+        assert.equal(badTime.status, 400);
+
+        const proposed = await as(env, owner).patch(`/api/owner/inquiries/${inquiryId}/propose`)
+            .send({ proposedFor: `${dateFromToday(3)}T17:30`, note: "Evenings suit us better" });
+        assert.equal(proposed.status, 200);
+        assert.equal(proposed.body.status, "proposed");
+
+        const confirmed = await as(env, student).patch(`/api/students/inquiries/${inquiryId}/confirm`).send({});
+        assert.equal(confirmed.body.status, "accepted");
+
+        const cancelled = await as(env, student).patch(`/api/students/inquiries/${inquiryId}/cancel`).send({ note: "Found a place" });
+        assert.equal(cancelled.body.status, "cancelled");
+        assert.equal((await as(env, owner).patch(`/api/owner/inquiries/${inquiryId}/accept`).send({})).status, 409);
+
+        const studentList = await as(env, student).get("/api/students/inquiries");
+        assert.deepEqual(
+            studentList.body.inquiries[0].timeline.map(event => event.action),
+            ["create", "propose", "confirm", "cancel"]
+        );
+    });
+
+    await t.test("owners can decline a request with a note", async () => {
+        const sent = await as(env, student).post("/api/students/inquiries")
+            .send({ pgId: laundryPg, type: "booking", preferredDate: dateFromToday(4), message: "Is a single room free?" });
+        assert.equal(sent.status, 201);
+        const decline = `/api/owner/inquiries/${sent.body.inquiryId}/decline`;
+
+        assert.equal((await as(env, otherOwner).patch(decline).send({})).status, 404);
+        assert.equal((await as(env, student).patch(decline).send({})).status, 403);
+
+        const longNote = await as(env, owner).patch(decline).send({ note: "x".repeat(1001) });
+        assert.equal(longNote.status, 400);
+        assert.ok(longNote.body.errors.note);
+
+        const declined = await as(env, owner).patch(decline).send({ note: "Fully booked until June" });
+        assert.equal(declined.status, 200);
+        assert.equal(declined.body.status, "declined");
+        assert.equal((await as(env, owner).patch(decline).send({})).status, 409);
+
+        const studentList = await as(env, student).get("/api/students/inquiries");
+        const timeline = studentList.body.inquiries.find(i => i.id === sent.body.inquiryId).timeline;
+        assert.deepEqual(timeline.map(event => [event.action, event.note]), [["create", null], ["decline", "Fully booked until June"]]);
+
+        const notifications = await as(env, student).get("/api/notifications");
+        assert.equal(notifications.body.notifications[0].type, "inquiry_decline");
+    });
+
+    await t.test("notifications can be marked read one at a time or all at once", async () => {
+        const before = await as(env, student).get("/api/notifications");
+        assert.ok(before.body.unread >= 2);
+
+        const first = before.body.notifications[0];
+        const read = await as(env, student).patch(`/api/notifications/${first.id}/read`);
+        assert.equal(read.status, 200);
+        assert.equal(read.body.unread, before.body.unread - 1);
+
+        assert.equal((await as(env, owner).patch(`/api/notifications/${first.id}/read`)).status, 404);
+
+        await as(env, student).post("/api/notifications/read-all");
+        assert.equal((await as(env, student).get("/api/notifications")).body.unread, 0);
+    });
+
+    // supertest waits for the body to end, so open event streams over a real port
+    const streamServer = env.app.listen(0);
+    await once(streamServer, "listening");
+    t.after(() => {
+        streamServer.closeAllConnections();
+        streamServer.close();
+    });
+
+    // Returns { res, events() -> text received so far, ended -> promise }
+    async function openStream(user) {
+        const url = `http://127.0.0.1:${streamServer.address().port}/api/notifications/stream?token=${encodeURIComponent(user.token)}`;
+        const res = await new Promise((resolve, reject) => http.get(url, resolve).on("error", reject));
+
+        let received = "";
+        res.setEncoding("utf8");
+        res.on("data", chunk => { received += chunk; });
+
+        return { res, events: () => received, ended: once(res, "end") };
+    }
+
+    await t.test("the notification stream pushes updates until the user logs out everywhere", async () => {
+        const reader = await createUser(env, "student");
+
+        assert.equal((await api().get("/api/notifications/stream")).status, 401);
+
+        const stream = await openStream(reader);
+        assert.equal(stream.res.statusCode, 200);
+        assert.match(stream.res.headers["content-type"], /^text\/event-stream/);
+        assert.ok(await waitFor(() => stream.events().includes("event: ready")));
+
+        await as(env, reader).post("/api/notifications/read-all");
+        assert.ok(await waitFor(() => stream.events().includes("event: unread\ndata: {\"unread\":0}")));
+
+        await as(env, reader).post("/api/auth/logout-all");
+        await stream.ended;
+        assert.equal((await api().get(`/api/notifications/stream?token=${encodeURIComponent(reader.token)}`)).status, 401);
+    });
+
+    await t.test("logging out on one device ends only that device's stream", async () => {
+        const phone = await createUser(env, "student");
+        const laptop = (await api().post("/api/auth/login").send({ email: phone.email, password: phone.password })).body;
+
+        const phoneStream = await openStream(phone);
+        const laptopStream = await openStream(laptop);
+        assert.ok(await waitFor(() => phoneStream.events().includes("event: ready") && laptopStream.events().includes("event: ready")));
+
+        assert.equal((await api().post("/api/auth/logout").send({ refreshToken: phone.refreshToken })).status, 200);
+        await phoneStream.ended;
+
+        await as(env, laptop).post("/api/notifications/read-all");
+        assert.ok(await waitFor(() => laptopStream.events().includes("event: unread")));
+    });
+
+    await t.test("the assistant answers from the listings", async () => {
+        const res = await as(env, student).post("/api/chat").send({ message: "PG with AC under 9000" });
+        assert.equal(res.status, 200);
+        assert.equal(typeof res.body.reply, "string");
+        assert.ok(Array.isArray(res.body.listings));
+
+        assert.equal((await as(env, student).post("/api/chat").send({ message: "   " })).status, 400);
+    });
+});
@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+
+process.env.LOG_LEVEL = "silent";
+
+const { app } = require("../app");
+const repos = require("../repositories");
+const { config } = require("../config");
+
+test("health is OK when the database answers", async t => {
+    t.mock.method(repos, "ping", async () => {});
+
+    const res = await request(app).get("/api/health");
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, "OK");
+    assert.equal(res.body.checks.database.status, "up");
+});
+
+test("health is 503 when the database is down", async t => {
+    t.mock.method(repos, "ping", async () => {
+        throw Object.assign(new Error("connect ECONNREFUSED 127.0.0.1:3306"), { code: "ECONNREFUSED" });
+    });
+
+    const res = await request(app).get("/api/health");
+
+    assert.equal(res.status, 503);
+    assert.equal(res.body.status, "unavailable");
+    assert.deepEqual(
+        { status: res.body.checks.database.status, error: res.body.checks.database.error },
+        { status: "down", error: "ECONNREFUSED" }
+    );
+});
+
+test("liveness does not depend on the database", async t => {
+    const ping = t.mock.method(repos, "ping", async () => {});
+
+    const res = await request(app).get("/api/health/live");
+
+    assert.equal(res.status, 200);
+    assert.equal(ping.mock.callCount(), 0);
+});
+
+test("metrics group requests by route pattern and carry a request ID", async () => {
+    await request(app).get("/api/pgs/not-a-number");
+    await request(app).get("/api/pgs/also-not-a-number");
+
+    const res = await request(app).get("/api/metrics");
+
+    assert.equal(res.status, 200);
+    assert.ok(res.headers["x-request-id"]);
+
+    const route = res.body.routes.find(entry => entry.route === "GET /api/pgs/:pgId");
+    assert.equal(route.statuses["400"], 2);
+    assert.equal(typeof res.body.notifications.openStreams, "number");
+});
+
+test("metrics require the token when one is configured", async t => {
+    t.after(() => { config.metricsToken = null; });
+    config.metricsToken = "metrics-secret";
+
+    const missing = await request(app).get("/api/metrics");
+    const wrong = await request(app).get("/api/metrics").set("Authorization", "Bearer guess");
+    const right = await request(app).get("/api/metrics").set("Authorization", "Bearer metrics-secret");
+
+    assert.equal(missing.status, 401);
+    assert.equal(wrong.status, 401);
+    assert.equal(right.status, 200);
+});
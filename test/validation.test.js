@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { validate, validateBody } = require("../validation");
+
+test("missing required fields are reported, optional ones skipped", () => {
+    const { values, errors } = validate({
+        name: { required: true, label: "Name" },
+        city: { label: "City" }
+    }, { name: "   " });
+
+    assert.deepEqual(values, {});
+    assert.deepEqual(errors, { name: "Name is required" });
+});
+
+test("optional fields sent empty reach the handler as undefined", () => {
+    const req = { body: { name: "Shivam PG", deposit: "", note: "   ", city: null } };
+    let passed = false;
+
+    validateBody({ name: {}, deposit: { type: "number", min: 0 }, note: {}, city: {} })(req, {}, () => { passed = true; });
+
+    assert.ok(passed);
+    assert.deepEqual(req.body, { name: "Shivam PG", deposit: undefined, note: undefined, city: undefined });
+    assert.equal(req.body.deposit ?? 0, 0);
+});
+
+test("values come back trimmed and typed", () => {
+    const { values, errors } = validate({
+        name: { required: true },
+        rent: { type: "number", min: 1 },
+        beds: { type: "integer" },
+        published: { type: "boolean" },
+        password: { trim: false }
+    }, { name: "  Shivam PG ", rent: "8000", beds: 4, published: "false", password: " secret " });
+
+    assert.equal(errors, null);
+    assert.deepEqual(values, { name: "Shivam PG", rent: 8000, beds: 4, published: false, password: " secret " });
+});
+
+test("every failing field gets its own message", () => {
+    const { errors } = validate({
+        rent: { type: "number", min: 1, label: "Rent" },
+        beds: { type: "integer", label: "Beds" },
+        pincode: { pattern: /^\d{6}$/, message: "Pincode must be 6 digits" },
+        roomType: { oneOf: ["single", "shared"], label: "Room type" },
+        name: { minLength: 3, label: "Name" }
+    }, { rent: "0", beds: "2.5", pincode: "7132", roomType: "suite", name: "ab" });
+
+    assert.deepEqual(errors, {
+        rent: "Rent must be at least 1",
+        beds: "Beds must be a whole number",
+        pincode: "Pincode must be 6 digits",
+        roomType: "Room type must be one of: single, shared",
+        name: "Name must be at least 3 characters"
+    });
+});
+
+test("array items are checked with their own rules", () => {
+    const schema = { imageIds: { type: "array", items: { type: "integer", min: 1 }, label: "Photos" } };
+
+    assert.deepEqual(validate(schema, { imageIds: ["3", 1] }).values, { imageIds: [3, 1] });
+    assert.deepEqual(validate(schema, { imageIds: [1, 0] }).errors, { imageIds: "Each item in photos must be at least 1" });
+    assert.deepEqual(validate(schema, { imageIds: "1,2" }).errors, { imageIds: "Photos must be a list" });
+});
+
+test("check rules see the other fields once they are read", () => {
+    const schema = {
+        freeBeds: {
+            type: "integer",
+            check: (freeBeds, { totalBeds }) => freeBeds > totalBeds ? "Free beds cannot exceed total beds" : null
+        },
+        totalBeds: { type: "integer", required: true },
+        phone: { check: (phone, { alerts }) => alerts === "sms" && !phone ? "Enter a number for SMS alerts" : null },
+        alerts: {}
+    };
+
+    assert.deepEqual(validate(schema, { freeBeds: "3", totalBeds: "4" }), { values: { freeBeds: 3, totalBeds: 4 }, errors: null });
+    assert.deepEqual(validate(schema, { freeBeds: 5, totalBeds: 4, alerts: "sms" }).errors, {
+        freeBeds: "Free beds cannot exceed total beds",
+        phone: "Enter a number for SMS alerts"
+    });
+});
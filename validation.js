@@ -0,0 +1,177 @@
+// Request validation: small declarative schemas checked before a route handler runs.
+// A schema maps each field to its rules and every failure is reported per field, in the
+// shape all 400 responses use: { message: "Validation failed", errors: { field: "..." } }.
+//
+//   validate(schema, source)  -> { values, errors }   errors is null when everything passed
+//   validateBody(schema)      -> middleware; replaces checked req.body fields with clean values
+//   validateQuery(schema)     -> the same for req.query
+//   validateIdParams(router)  -> 400 for any :somethingId route parameter that is not a positive integer
+//
+// Field rules:
+//   type        "string" (default), "number", "integer", "boolean", "array" or "object"
+//   required    missing, null and "" fail; otherwise they are skipped, and a null or "" that was sent
+//               comes back as undefined so it never reaches a handler or a column as raw text
+//   min / max   numeric range (number, integer)
+//   minLength / maxLength   length of strings and arrays
+//   oneOf       allowed values
+//   pattern     RegExp a string must match
+//   items       rules applied to every array element
+//   trim        strings are trimmed unless this is false (passwords)
+//   check       (value, values) => message or null, for rules the others cannot express (a date in
+//               the future, one field bounded by another). Runs after every field has been read, with
+//               `values` holding the fields that passed; missing optional fields are checked too, as undefined.
+//   label       name used in generated messages ("This field" when left out)
+//   message     replaces every generated message for the field
+
+function isMissing(value) {
+    return value === undefined || value === null || (typeof value === "string" && value.trim() === "");
+}
+
+// Returns [value, message]; message is null when the value passed
+function checkField(rules, raw) {
+    const label = rules.label || "This field";
+    const type = rules.type || "string";
+    let value = raw;
+
+    if (type === "string") {
+        if (typeof value === "number") value = String(value);
+        if (typeof value !== "string") return [value, `${label} must be text`];
+        if (rules.trim !== false) value = value.trim();
+        if (rules.minLength !== undefined && value.length < rules.minLength) {
+            return [value, `${label} must be at least ${rules.minLength} characters`];
+        }
+        if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+            return [value, `${label} must be at most ${rules.maxLength} characters`];
+        }
+        if (rules.pattern && !rules.pattern.test(value)) {
+            return [value, `${label} is not in the expected format`];
+        }
+    }
+
+    if (type === "number" || type === "integer") {
+        // Forms and query strings send numbers as text
+        value = typeof value === "string" ? Number(value.trim()) : value;
+        if (typeof value !== "number" || !Number.isFinite(value)) return [raw, `${label} must be a number`];
+        if (type === "integer" && !Number.isInteger(value)) return [raw, `${label} must be a whole number`];
+        if (rules.min !== undefined && value < rules.min) return [value, `${label} must be at least ${rules.min}`];
+        if (rules.max !== undefined && value > rules.max) return [value, `${label} must be at most ${rules.max}`];
+    }
+
+    if (type === "boolean") {
+        if (value === "true" || value === "1") value = true;
+        if (value === "false" || value === "0") value = false;
+        if (typeof value !== "boolean") return [raw, `${label} must be true or false`];
+    }
+
+    if (type === "array") {
+        if (!Array.isArray(value)) return [value, `${label} must be a list`];
+        if (rules.minLength !== undefined && value.length < rules.minLength) {
+            return [value, `${label} needs at least ${rules.minLength} item${rules.minLength === 1 ? "" : "s"}`];
+        }
+        if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+            return [value, `${label} can have at most ${rules.maxLength} items`];
+        }
+        if (rules.items) {
+            const cleaned = [];
+            for (const item of value) {
+                const [itemValue, message] = checkField({ label: `Each item in ${label.toLowerCase()}`, ...rules.items }, item);
+                if (message) return [value, message];
+                cleaned.push(itemValue);
+            }
+            value = cleaned;
+        }
+    }
+
+    if (type === "object" && (typeof value !== "object" || value === null || Array.isArray(value))) {
+        return [value, `${label} must be an object`];
+    }
+
+    if (rules.oneOf && !rules.oneOf.includes(value)) {
+        return [value, `${label} must be one of: ${rules.oneOf.join(", ")}`];
+    }
+
+    return [value, null];
+}
+
+function validate(schema, source = {}) {
+    const values = {};
+    const errors = {};
+
+    for (const [field, rules] of Object.entries(schema)) {
+        const raw = source[field];
+
+        if (isMissing(raw)) {
+            if (rules.required) {
+                errors[field] = rules.message || `${rules.label || "This field"} is required`;
+            } else if (raw !== undefined) {
+                values[field] = undefined;
+            }
+            continue;
+        }
+
+        const [value, message] = checkField(rules, raw);
+        if (message) {
+            errors[field] = rules.message || message;
+        } else {
+            values[field] = value;
+        }
+    }
+
+    for (const [field, rules] of Object.entries(schema)) {
+        if (!rules.check || errors[field]) continue;
+
+        const message = rules.check(values[field], values);
+        if (message) {
+            errors[field] = rules.message || message;
+            delete values[field];
+        }
+    }
+
+    return { values, errors: Object.keys(errors).length > 0 ? errors : null };
+}
+
+function sendValidationErrors(res, errors) {
+    return res.status(400).json({ message: "Validation failed", errors });
+}
+
+function validateSource(key, schema) {
+    return (req, res, next) => {
+        const { values, errors } = validate(schema, req[key] || {});
+        if (errors) return sendValidationErrors(res, errors);
+
+        // Unchecked fields pass through untouched, checked ones arrive trimmed and typed
+        req[key] = { ...req[key], ...values };
+        next();
+    };
+}
+
+function validateBody(schema) {
+    return validateSource("body", schema);
+}
+
+function validateQuery(schema) {
+    return validateSource("query", schema);
+}
+
+// Every :somethingId route parameter is a positive integer; anything else is a 400, not a lookup.
+// Parameter handlers belong to one router, so each router registers them for itself.
+const ID_PARAMS = ["pgId", "imageId", "roomId", "userId", "collegeId", "notificationId", "searchId", "reviewId", "inquiryId"];
+
+function validateIdParams(router) {
+    ID_PARAMS.forEach(name => {
+        router.param(name, (req, res, next, value) => {
+            if (!/^[1-9]\d*$/.test(value)) {
+                return sendValidationErrors(res, { [name]: `${name} must be a positive whole number` });
+            }
+            next();
+        });
+    });
+}
+
+module.exports = {
+    validate,
+    validateBody,
+    validateQuery,
+    validateIdParams,
+    sendValidationErrors
+};